@@ -1,35 +1,229 @@
 (function(window, document) {
   'use strict';
 
+  // Allowlists for sanitizeHTML. Anything not listed is unwrapped (tags)
+  // or dropped (attributes); DROP_WITH_CONTENT tags go with their children.
+  const SANITIZE_RULES = {
+    strict: {
+      tags: [
+        'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'code', 'del', 'div', 'em',
+        'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img',
+        'input', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 's', 'small', 'span',
+        'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr',
+        'u', 'ul'
+      ],
+      attributes: {
+        '*': ['class', 'id', 'title', 'lang', 'dir'],
+        a: ['href', 'target', 'rel'],
+        img: ['src', 'alt', 'width', 'height', 'srcset', 'sizes', 'loading'],
+        input: ['type', 'checked', 'disabled'],
+        ol: ['start', 'reversed', 'type'],
+        td: ['colspan', 'rowspan', 'align'],
+        th: ['colspan', 'rowspan', 'scope', 'align']
+      },
+      allowStyle: false,
+      allowDataAttributes: false
+    },
+    permissive: {
+      tags: [
+        'address', 'article', 'aside', 'audio', 'bdi', 'bdo', 'button', 'cite', 'col',
+        'colgroup', 'dd', 'details', 'dfn', 'dl', 'dt', 'fieldset', 'footer', 'form',
+        'header', 'label', 'legend', 'main', 'nav', 'optgroup', 'option', 'picture', 'q',
+        'section', 'select', 'source', 'summary', 'textarea', 'time', 'track', 'video', 'wbr'
+      ],
+      attributes: {
+        '*': ['role', 'hidden', 'tabindex'],
+        audio: ['src', 'controls', 'loop', 'muted', 'preload'],
+        video: ['src', 'controls', 'loop', 'muted', 'preload', 'poster', 'width', 'height', 'playsinline'],
+        source: ['src', 'srcset', 'sizes', 'type', 'media'],
+        track: ['src', 'kind', 'srclang', 'label', 'default'],
+        input: ['name', 'value', 'placeholder', 'required', 'min', 'max', 'step'],
+        button: ['type', 'name', 'value', 'disabled'],
+        select: ['name', 'multiple', 'required', 'disabled'],
+        option: ['value', 'selected', 'disabled'],
+        textarea: ['name', 'rows', 'cols', 'placeholder', 'required'],
+        label: ['for'],
+        form: ['action', 'method'],
+        details: ['open'],
+        time: ['datetime'],
+        col: ['span'],
+        colgroup: ['span']
+      },
+      allowStyle: true,
+      allowDataAttributes: true
+    }
+  };
+
+  const DROP_WITH_CONTENT = ['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed',
+    'applet', 'noscript', 'template', 'link', 'meta', 'base', 'svg', 'math'];
+  const URL_ATTRIBUTES = ['href', 'src', 'action', 'poster', 'cite'];
+  const SAFE_URL = /^(?:(?:https?|mailto|tel):|[^a-z]|[a-z+.-]+(?:[^a-z+.\-:]|$))/i;
+  const SAFE_DATA_URL = /^data:image\/(?:png|gif|jpe?g|webp|avif);base64,[a-z0-9+/]+=*$/i;
+
+  // IndexedDB layout, shared with cms_sw.js
+  const DB_VERSION = 1;
+  const OUTBOX_SYNC_TAG = 'cms-outbox';
+
   const CMSClient = {
     config: {
       apiEndpoint: window.CMS_API_ENDPOINT || 'http://localhost:8080',
-      storageKey: 'cms_cache',
+      storageKey: 'cms_cache', // Legacy localStorage cache, used when IndexedDB is unavailable
+      dbName: 'cms_client',
+      serviceWorker: window.CMS_SERVICE_WORKER || null, // e.g. '/cms_sw.js'
+      apiKey: window.CMS_API_KEY || null, // Needed for saveContent/deleteContent
+      locale: window.CMS_LOCALE || null, // Default for elements without data-cms-locale
       cacheDuration: 300000,
+      maxStaleAge: 86400000,
+      staleWhileRevalidate: false,
+      batchRequests: true,
+      batchSize: 50,
+      sanitize: 'strict', // 'permissive' opts in to forms, media and inline styles, 'off' trusts content
+      scopeStyles: true,
+      markdownHTML: false,
+      imageWidths: [320, 640, 960, 1280, 1920], // srcset candidates for data-cms-type="image"
       observerThreshold: 0.1,
-      debounceDelay: 150
+      debounceDelay: 150,
+      live: window.CMS_LIVE || false,
+      streamPath: '/content/stream',
+      searchPath: '/search',
+      searchDelay: 200, // ms of typing quiet before data-cms-search queries
+      searchLimit: 10
     },
 
     cache: new Map(),
+    cacheMeta: new Map(),
+    pendingRequests: new Map(),
+    batchQueue: new Map(),
+    batchTimer: null,
     observers: new Map(),
     loadedComponents: new Set(),
+    transformsRequest: null, // pending or settled GET /assets/transforms
+    liveSource: null,
+    db: null,
+    ready: null,
+    flushing: false,
+    listeners: [],
 
     init(config = {}) {
       Object.assign(this.config, config);
-      this.loadCache();
+      this.ready = this.loadCache().then(() => this.flushOutbox());
       this.setupObservers();
       this.discoverComponents();
+      if (this.config.serviceWorker) {
+        this.registerServiceWorker();
+      }
+      if (this.config.live) {
+        this.connectLive();
+      }
+      this.listen(window, 'online', () => this.flushOutbox());
       return this;
     },
 
-    loadCache() {
+    listen(target, type, handler) {
+      target.addEventListener(type, handler);
+      this.listeners.push(() => target.removeEventListener(type, handler));
+    },
+
+    /**
+     * Items live in IndexedDB, one record each: { id, content, etag, fetchedAt }.
+     * Without IndexedDB the single localStorage blob is used instead.
+     */
+    async loadCache() {
+      this.db = await this.openDatabase();
+
+      if (!this.db) {
+        this.loadLegacyCache();
+        return;
+      }
+
+      try {
+        await this.migrateLegacyCache();
+
+        const records = await this.idb('content', 'readonly', store => store.getAll());
+        const expired = [];
+
+        records.forEach(({ id, content, etag, fetchedAt }) => {
+          if (Date.now() - fetchedAt >= this.config.maxStaleAge) {
+            expired.push(id);
+          } else if (!this.cache.has(id)) {
+            this.cache.set(id, content);
+            this.cacheMeta.set(id, { etag, fetchedAt });
+          }
+        });
+
+        if (expired.length) {
+          await this.idb('content', 'readwrite', store => expired.forEach(id => store.delete(id)));
+        }
+      } catch (e) {
+        console.warn('CMS: Cache load failed', e);
+      }
+    },
+
+    openDatabase() {
+      if (!('indexedDB' in window)) return Promise.resolve(null);
+
+      return new Promise(resolve => {
+        const request = indexedDB.open(this.config.dbName, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains('content')) {
+            db.createObjectStore('content', { keyPath: 'id' });
+          }
+          if (!db.objectStoreNames.contains('outbox')) {
+            db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('CMS: IndexedDB unavailable, falling back to localStorage', request.error);
+          resolve(null);
+        };
+      });
+    },
+
+    /**
+     * Run operation(store) in a transaction, resolving with its request's
+     * result once the transaction commits
+     */
+    idb(storeName, mode, operation) {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = transaction.onabort = () => reject(transaction.error);
+      });
+    },
+
+    /**
+     * Move a cache written by older clients into IndexedDB
+     */
+    async migrateLegacyCache() {
+      if (!localStorage.getItem(this.config.storageKey)) return;
+
+      this.loadLegacyCache();
+      await this.idb('content', 'readwrite', store => {
+        this.cache.forEach((content, id) => store.put({ id, content, ...this.cacheMeta.get(id) }));
+      });
+      localStorage.removeItem(this.config.storageKey);
+    },
+
+    loadLegacyCache() {
       try {
         const cached = localStorage.getItem(this.config.storageKey);
         if (cached) {
           const data = JSON.parse(cached);
-          if (Date.now() - data.timestamp < this.config.cacheDuration) {
-            this.cache = new Map(Object.entries(data.content));
-          }
+          const meta = data.meta || {};
+
+          Object.entries(data.content || {}).forEach(([id, content]) => {
+            // Older caches only carry one timestamp for everything
+            const entryMeta = meta[id] || { etag: null, fetchedAt: data.timestamp };
+            if (Date.now() - entryMeta.fetchedAt < this.config.maxStaleAge) {
+              this.cache.set(id, content);
+              this.cacheMeta.set(id, entryMeta);
+            }
+          });
         }
       } catch (e) {
         console.warn('CMS: Cache load failed', e);
@@ -40,7 +234,8 @@
       try {
         const data = {
           timestamp: Date.now(),
-          content: Object.fromEntries(this.cache)
+          content: Object.fromEntries(this.cache),
+          meta: Object.fromEntries(this.cacheMeta)
         };
         localStorage.setItem(this.config.storageKey, JSON.stringify(data));
       } catch (e) {
@@ -48,6 +243,60 @@
       }
     },
 
+    setCached(contentId, content, etag = null) {
+      this.cache.set(contentId, content);
+      this.cacheMeta.set(contentId, { etag, fetchedAt: Date.now() });
+      this.persist(contentId);
+    },
+
+    uncache(contentId) {
+      this.cache.delete(contentId);
+      this.cacheMeta.delete(contentId);
+      this.persist(contentId);
+    },
+
+    /**
+     * Forget every cached locale of an item
+     */
+    uncacheVariants(contentId, { keepBase = false } = {}) {
+      const matches = key => key.startsWith(`${contentId}@`) || (!keepBase && key === contentId);
+
+      Array.from(this.cache.keys()).filter(matches).forEach(key => this.uncache(key));
+      Array.from(this.loadedComponents).filter(matches).forEach(key => this.loadedComponents.delete(key));
+    },
+
+    /**
+     * Write one item's cache entry (or its removal) through to storage
+     */
+    persist(contentId) {
+      if (!this.db) {
+        this.saveCache();
+        return;
+      }
+
+      const record = this.cache.has(contentId)
+        ? { id: contentId, content: this.cache.get(contentId), ...this.cacheMeta.get(contentId) }
+        : null;
+
+      this.idb('content', 'readwrite', store => (record ? store.put(record) : store.delete(contentId)))
+        .catch(e => console.warn('CMS: Cache save failed', e));
+    },
+
+    clearPersisted() {
+      if (!this.db) {
+        this.saveCache();
+        return;
+      }
+
+      this.idb('content', 'readwrite', store => store.clear())
+        .catch(e => console.warn('CMS: Cache clear failed', e));
+    },
+
+    isFresh(contentId) {
+      const meta = this.cacheMeta.get(contentId);
+      return Boolean(meta) && Date.now() - meta.fetchedAt < this.config.cacheDuration;
+    },
+
     setupObservers() {
       const intersectionObserver = new IntersectionObserver(
         this.debounce((entries) => {
@@ -105,22 +354,25 @@
       components.forEach(el => {
         this.observers.get('intersection').observe(el);
       });
+      document.querySelectorAll('[data-cms-search]').forEach(el => this.setupSearch(el));
     },
 
     async loadComponent(element) {
       const contentId = element.getAttribute('data-cms-content');
       const contentType = element.getAttribute('data-cms-type') || 'html';
+      const locale = this.localeOf(element);
+      const key = this.cacheKey(contentId, locale);
 
-      if (this.loadedComponents.has(contentId)) return;
+      if (this.loadedComponents.has(key)) return;
 
       performance.mark(`cms-${contentId}-start`);
 
       try {
-        const content = await this.fetchContent(contentId);
+        const content = await this.fetchContent(contentId, locale);
         
         if (content) {
           this.renderContent(element, content, contentType);
-          this.loadedComponents.add(contentId);
+          this.loadedComponents.add(key);
           element.classList.add('cms-loaded');
           element.dispatchEvent(new CustomEvent('cms:loaded', { 
             detail: { contentId, content } 
@@ -136,12 +388,144 @@
       }
     },
 
-    async fetchContent(contentId) {
-      if (this.cache.has(contentId)) {
-        return this.cache.get(contentId);
+    /**
+     * Each locale of an item is cached separately, as "<id>@<locale>"
+     */
+    cacheKey(contentId, locale = null) {
+      return locale ? `${contentId}@${locale}` : contentId;
+    },
+
+    localeOf(element) {
+      return element.getAttribute('data-cms-locale') || this.config.locale || null;
+    },
+
+    async fetchContent(contentId, locale = this.config.locale) {
+      await this.ready;
+      const key = this.cacheKey(contentId, locale);
+
+      if (this.cache.has(key)) {
+        if (this.isFresh(key)) {
+          return this.cache.get(key);
+        }
+
+        // Show the stale copy now and swap in fresh content when it arrives
+        if (this.config.staleWhileRevalidate) {
+          this.revalidate(contentId, locale);
+          return this.cache.get(key);
+        }
+      }
+
+      try {
+        return await this.requestContent(contentId, locale);
+      } catch (error) {
+        // Offline or server down: an expired copy beats an error message
+        if (this.cache.has(key)) {
+          console.warn(`CMS: Serving cached ${key}`, error);
+          return this.cache.get(key);
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * GET one item, revalidating with If-None-Match when we hold an ETag.
+     * Concurrent calls for the same id and locale share a single request.
+     */
+    requestContent(contentId, locale = null) {
+      const key = this.cacheKey(contentId, locale);
+      if (this.pendingRequests.has(key)) {
+        return this.pendingRequests.get(key);
       }
 
-      const response = await fetch(`${this.config.apiEndpoint}/content/${contentId}`, {
+      // Items we can revalidate with an ETag go alone, the rest are batched
+      const meta = this.cacheMeta.get(key);
+      const canBatch = this.config.batchRequests && !(meta && meta.etag && this.cache.has(key));
+
+      const request = (canBatch ? this.enqueueBatch(contentId, locale) : this.performRequest(contentId, locale)).finally(() => {
+        this.pendingRequests.delete(key);
+      });
+      this.pendingRequests.set(key, request);
+      return request;
+    },
+
+    async performRequest(contentId, locale = null) {
+      const key = this.cacheKey(contentId, locale);
+      const headers = {
+        'Content-Type': 'application/json',
+        'X-CMS-Client': 'embeddable'
+      };
+
+      const meta = this.cacheMeta.get(key);
+      if (meta && meta.etag && this.cache.has(key)) {
+        headers['If-None-Match'] = meta.etag;
+      }
+
+      const query = locale ? `?locale=${encodeURIComponent(locale)}` : '';
+      const response = await fetch(`${this.config.apiEndpoint}/content/${encodeURIComponent(contentId)}${query}`, {
+        method: 'GET',
+        headers
+      });
+
+      if (response.status === 304) {
+        const content = this.cache.get(key);
+        this.setCached(key, content, meta.etag);
+        return content;
+      }
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const content = await response.json();
+      this.setCached(key, content, response.headers.get('ETag'));
+
+      return content;
+    },
+
+    /**
+     * Queue an id for the next batch. Everything requested in the same
+     * tick (e.g. one IntersectionObserver callback) shares one GET per locale.
+     */
+    enqueueBatch(contentId, locale = null) {
+      return new Promise((resolve, reject) => {
+        this.batchQueue.set(this.cacheKey(contentId, locale), { contentId, locale, resolve, reject });
+
+        if (!this.batchTimer) {
+          this.batchTimer = setTimeout(() => this.flushBatch(), 0);
+        }
+      });
+    },
+
+    flushBatch() {
+      const byLocale = new Map();
+      this.batchQueue.forEach(entry => {
+        if (!byLocale.has(entry.locale)) byLocale.set(entry.locale, []);
+        byLocale.get(entry.locale).push(entry);
+      });
+      this.batchQueue = new Map();
+      this.batchTimer = null;
+
+      byLocale.forEach((entries, locale) => {
+        for (let i = 0; i < entries.length; i += this.config.batchSize) {
+          const chunk = entries.slice(i, i + this.config.batchSize);
+          this.performBatch(chunk.map(entry => entry.contentId), locale)
+            .then(items => {
+              chunk.forEach(({ contentId, resolve, reject }) => {
+                if (items.has(contentId)) {
+                  resolve(items.get(contentId));
+                } else {
+                  reject(new Error('HTTP 404: Content not found'));
+                }
+              });
+            })
+            .catch(error => chunk.forEach(({ reject }) => reject(error)));
+        }
+      });
+    },
+
+    async performBatch(ids, locale = null) {
+      const query = ids.map(encodeURIComponent).join(',') + (locale ? `&locale=${encodeURIComponent(locale)}` : '');
+      const response = await fetch(`${this.config.apiEndpoint}/content?ids=${query}`, {
         method: 'GET',
         headers: {
           'Content-Type': 'application/json',
@@ -153,18 +537,392 @@
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
 
-      const content = await response.json();
-      this.cache.set(contentId, content);
-      this.saveCache();
+      // "id=etag, ..." with ids URL-encoded, so later reads can revalidate with If-None-Match
+      const etags = new Map((response.headers.get('X-CMS-ETags') || '').split(',')
+        .map(pair => pair.trim().split('='))
+        .filter(([id, etag]) => id && etag)
+        .map(([id, etag]) => [decodeURIComponent(id), etag]));
 
-      return content;
+      const items = new Map();
+      (await response.json()).forEach(content => {
+        if (ids.includes(content.id)) {
+          items.set(content.id, content);
+          this.setCached(this.cacheKey(content.id, locale), content, etags.get(content.id) || null);
+        }
+      });
+
+      return items;
+    },
+
+    async revalidate(contentId, locale = null) {
+      const key = this.cacheKey(contentId, locale);
+      const previousEtag = (this.cacheMeta.get(key) || {}).etag;
+
+      try {
+        const content = await this.requestContent(contentId, locale);
+        const { etag } = this.cacheMeta.get(key) || {};
+
+        if (!etag || etag !== previousEtag) {
+          this.updateElements(contentId, content, {}, locale);
+        }
+      } catch (e) {
+        console.warn(`CMS: Revalidation failed for ${key}`, e);
+      }
+    },
+
+    /**
+     * Re-render every element showing an item and announce the change
+     */
+    updateElements(contentId, content, detail = {}, locale = null) {
+      this.elementsFor(contentId, locale).forEach(el => {
+        this.renderContent(el, content, el.getAttribute('data-cms-type') || 'html');
+        el.classList.remove('cms-error');
+        el.classList.add('cms-loaded');
+        el.dispatchEvent(new CustomEvent('cms:updated', {
+          detail: { contentId, content, ...detail }
+        }));
+      });
+
+      // Elements using this item as their stored template
+      document.querySelectorAll(`[data-cms-template="${CSS.escape(contentId)}"]`).forEach(el => {
+        const data = this.cache.get(this.cacheKey(el.getAttribute('data-cms-content'), this.localeOf(el)));
+        if (data) this.renderJSON(el, data);
+      });
+    },
+
+    /**
+     * Elements showing an item, optionally only those in one locale
+     */
+    elementsFor(contentId, locale) {
+      const elements = Array.from(document.querySelectorAll(`[data-cms-content="${CSS.escape(contentId)}"]`));
+      return locale === undefined ? elements : elements.filter(el => this.localeOf(el) === locale);
+    },
+
+    reloadElements(elements) {
+      elements.forEach(el => {
+        el.classList.remove('cms-loaded', 'cms-error');
+        this.loadComponent(el);
+      });
+    },
+
+    /**
+     * Create or replace an item. Offline, the write is queued in IndexedDB
+     * and replayed by the service worker (Background Sync) or when the
+     * browser comes back online; the page shows the change right away.
+     */
+    saveContent(contentId, content) {
+      const meta = this.cacheMeta.get(contentId);
+      const local = { ...(this.cache.get(contentId) || {}), ...content, id: contentId };
+
+      return this.sendWrite({
+        method: 'PUT',
+        url: `${this.config.apiEndpoint}/content/${encodeURIComponent(contentId)}`,
+        headers: this.writeHeaders(meta && meta.etag),
+        body: JSON.stringify({ ...content, id: contentId }),
+        contentId
+      }, local);
+    },
+
+    deleteContent(contentId) {
+      const meta = this.cacheMeta.get(contentId);
+
+      return this.sendWrite({
+        method: 'DELETE',
+        url: `${this.config.apiEndpoint}/content/${encodeURIComponent(contentId)}`,
+        headers: this.writeHeaders(meta && meta.etag),
+        body: null,
+        contentId
+      }, null);
+    },
+
+    writeHeaders(etag) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.config.apiKey) headers['X-API-Key'] = this.config.apiKey;
+      if (etag) headers['If-Match'] = etag;
+      return headers;
+    },
+
+    async sendWrite(request, local) {
+      await this.ready;
+
+      let response;
+      try {
+        response = await fetch(request.url, {
+          method: request.method,
+          headers: request.headers,
+          body: request.body
+        });
+      } catch (e) {
+        await this.queueWrite(request);
+        this.applyLocalWrite(request.contentId, local, { queued: true });
+        return { queued: true, content: local };
+      }
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      if (request.method === 'DELETE') {
+        this.applyLocalWrite(request.contentId, null, { queued: false });
+        return { queued: false, content: null };
+      }
+
+      // The server acknowledges with { success, id, version } and the
+      // working copy's ETag, which the next write sends as If-Match. Reads
+      // here get the published snapshot, so the write is not read back.
+      const { version } = await response.json();
+      const content = { ...local, version };
+      this.applyLocalWrite(request.contentId, content, { queued: false }, response.headers.get('ETag'));
+      return { queued: false, content };
+    },
+
+    /**
+     * Show a write before or after the server has it. etag is the one the
+     * server returned for it, null while the write is only local.
+     */
+    applyLocalWrite(contentId, content, detail, etag = null) {
+      if (content === null) {
+        this.removeElements(contentId, detail);
+        return;
+      }
+
+      this.setCached(contentId, content, etag);
+      this.loadedComponents.add(contentId);
+      this.updateElements(contentId, content, detail);
+
+      // Localized views are resolved by the server, fetch them again
+      const localized = this.elementsFor(contentId).filter(el => this.localeOf(el));
+      if (localized.length) {
+        this.uncacheVariants(contentId, { keepBase: true });
+        this.reloadElements(localized);
+      }
+    },
+
+    async queueWrite(request) {
+      if (!this.db) {
+        throw new Error('CMS: Offline writes need IndexedDB');
+      }
+
+      // Earlier queued writes will change the ETag this one was based on
+      const queued = await this.idb('outbox', 'readonly', store => store.getAll());
+      if (queued.some(entry => entry.contentId === request.contentId)) {
+        delete request.headers['If-Match'];
+      }
+
+      await this.idb('outbox', 'readwrite', store => store.add({ ...request, queuedAt: Date.now() }));
+
+      if (this.usesBackgroundSync()) {
+        navigator.serviceWorker.ready
+          .then(registration => registration.sync.register(OUTBOX_SYNC_TAG))
+          .catch(e => console.warn('CMS: Background sync unavailable', e));
+      }
+    },
+
+    usesBackgroundSync() {
+      return Boolean(this.config.serviceWorker) &&
+        'serviceWorker' in navigator &&
+        'SyncManager' in window &&
+        Boolean(navigator.serviceWorker.controller);
+    },
+
+    /**
+     * Replay queued writes in order. Left to the service worker when it
+     * handles Background Sync, so nothing is sent twice.
+     */
+    async flushOutbox() {
+      if (!this.db || this.flushing || this.usesBackgroundSync()) return;
+
+      this.flushing = true;
+      try {
+        const entries = await this.idb('outbox', 'readonly', store => store.getAll());
+
+        for (const entry of entries) {
+          let response;
+          try {
+            response = await fetch(entry.url, { method: entry.method, headers: entry.headers, body: entry.body });
+          } catch (e) {
+            break; // Still offline, keep the rest queued in order
+          }
+
+          if (response.status >= 500 || response.status === 408 || response.status === 429) {
+            break;
+          }
+
+          await this.idb('outbox', 'readwrite', store => store.delete(entry.seq));
+          this.handleSynced(entry, response.status);
+        }
+      } catch (e) {
+        console.warn('CMS: Outbox replay failed', e);
+      } finally {
+        this.flushing = false;
+      }
+    },
+
+    /**
+     * A queued write reached the server. Conflicts (412) and rejections
+     * are reported, and the page reloads the server's copy either way.
+     */
+    handleSynced({ contentId, method }, status) {
+      const ok = status >= 200 && status < 300;
+
+      window.dispatchEvent(new CustomEvent(ok ? 'cms:synced' : 'cms:sync-failed', {
+        detail: { contentId, method, status }
+      }));
+
+      if (this.elementsFor(contentId).length) {
+        this.refresh(contentId);
+      } else {
+        this.uncacheVariants(contentId);
+      }
+    },
+
+    registerServiceWorker() {
+      if (!('serviceWorker' in navigator)) return;
+
+      const url = new URL(this.config.serviceWorker, document.baseURI);
+      url.searchParams.set('api', new URL(this.config.apiEndpoint, document.baseURI).href);
+      url.searchParams.set('db', this.config.dbName);
+
+      navigator.serviceWorker.register(url.href)
+        .catch(e => console.warn('CMS: Service worker registration failed', e));
+
+      this.listen(navigator.serviceWorker, 'message', event => {
+        const data = event.data || {};
+        if (data.type === 'cms:synced') {
+          this.handleSynced(data.entry, data.status);
+        }
+      });
+    },
+
+    connectLive() {
+      if (this.liveSource) return;
+
+      if (!('EventSource' in window)) {
+        console.warn('CMS: Live updates need EventSource support');
+        return;
+      }
+
+      // EventSource reconnects on its own and resumes via Last-Event-ID
+      const source = new EventSource(`${this.config.apiEndpoint}${this.config.streamPath}`);
+
+      source.onmessage = (event) => {
+        try {
+          this.handleLivePatch(JSON.parse(event.data));
+        } catch (e) {
+          console.warn('CMS: Live update failed', e);
+        }
+      };
+
+      // The server could not replay what we missed, reload everything shown
+      source.addEventListener('reset', () => {
+        const ids = new Set(Array.from(document.querySelectorAll('[data-cms-content].cms-loaded'), el => el.getAttribute('data-cms-content')));
+        ids.forEach(id => this.refresh(id));
+      });
+
+      this.liveSource = source;
+    },
+
+    disconnectLive() {
+      if (this.liveSource) {
+        this.liveSource.close();
+        this.liveSource = null;
+      }
+    },
+
+    handleLivePatch(patch) {
+      const contentId = patch.metadata && patch.metadata.contentId;
+      if (!contentId) return;
+
+      const elements = this.elementsFor(contentId);
+      const cached = this.cache.get(contentId);
+      const diff = patch.compressed ? JSON.parse(patch.diff) : patch.diff;
+
+      if (patch.type === 'delete') {
+        this.removeElements(contentId, { patch });
+        return;
+      }
+
+      if (!elements.length) {
+        // Nothing on the page uses it, just drop the stale copies
+        this.uncacheVariants(contentId);
+        return;
+      }
+
+      // Patches describe the stored item, not a localized view of it
+      if ((cached && cached.available_locales) || elements.some(el => this.localeOf(el))) {
+        this.refresh(contentId);
+        return;
+      }
+
+      // Patches only apply cleanly to the version they were computed from
+      const baseVersion = patch.metadata.baseVersion;
+      const stale = cached && baseVersion !== undefined && baseVersion !== null && cached.version !== baseVersion;
+
+      if ((!cached && patch.type !== 'create') || stale) {
+        this.refresh(contentId);
+        return;
+      }
+
+      let content;
+      try {
+        content = this.applyPatch(cached || {}, diff);
+      } catch (e) {
+        this.refresh(contentId);
+        return;
+      }
+
+      // A patched copy no longer matches any ETag the server handed out
+      this.setCached(contentId, content, null);
+      this.loadedComponents.add(contentId);
+      this.updateElements(contentId, content, { patch });
+    },
+
+    /**
+     * Clear every element showing a deleted item
+     */
+    removeElements(contentId, detail = {}) {
+      this.uncacheVariants(contentId);
+
+      this.elementsFor(contentId).forEach(el => {
+        el.innerHTML = '';
+        el.classList.remove('cms-loaded');
+        el.dispatchEvent(new CustomEvent('cms:removed', { detail: { contentId, ...detail } }));
+      });
+    },
+
+    applyPatch(doc, operations) {
+      const result = JSON.parse(JSON.stringify(doc));
+
+      operations.forEach(({ op, path, value }) => {
+        const keys = path.split('/').slice(1).map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+        const last = keys.pop();
+        const parent = keys.reduce((node, key) => node[key], result);
+
+        if (parent === undefined || parent === null || last === undefined) {
+          throw new Error(`CMS: Cannot apply ${op} at ${path}`);
+        }
+
+        if (op === 'add' || op === 'replace') {
+          parent[last] = value;
+        } else if (op === 'remove') {
+          delete parent[last];
+        } else {
+          throw new Error(`CMS: Unsupported patch op ${op}`);
+        }
+      });
+
+      return result;
     },
 
     renderContent(element, content, type) {
+      const allowScripts = element.hasAttribute('data-cms-allow-scripts');
+
       switch(type) {
         case 'html':
-          element.innerHTML = content.html || content.body || '';
-          this.executeScripts(element);
+          this.setHTML(element, content.html || content.body || '', { allowScripts });
+          if (allowScripts) {
+            this.executeScripts(element);
+          }
           break;
         case 'text':
           element.textContent = content.text || content.body || '';
@@ -173,17 +931,363 @@
           this.renderJSON(element, content);
           break;
         case 'markdown':
-          element.innerHTML = this.parseMarkdown(content.markdown || content.body || '');
+          this.setHTML(element, this.parseMarkdown(content.markdown || content.body || '', {
+            allowHTML: this.config.markdownHTML || element.hasAttribute('data-cms-allow-html')
+          }));
+          break;
+        case 'image':
+          this.renderImage(element, content);
           break;
         default:
-          element.innerHTML = content.body || '';
+          this.setHTML(element, content.body || '');
       }
 
       if (content.css) {
-        this.injectStyles(content.css, contentId);
+        this.injectStyles(content.css, element.getAttribute('data-cms-content'));
+      }
+    },
+
+    /**
+     * Responsive image for { asset, alt, width, height } (an id from the
+     * server's /assets) or { src }. Asset images get a srcset of server
+     * derivatives when the server makes them (see imageTransforms);
+     * data-cms-sizes, data-cms-format (e.g. webp) and data-cms-widths="320,640"
+     * tune it. An <img> host is filled in place, any other element gets one
+     * as its only child.
+     */
+    renderImage(element, content) {
+      const img = element.localName === 'img' ? element : document.createElement('img');
+      const assetId = content.asset || content.asset_id;
+      const source = assetId
+        ? `${this.config.apiEndpoint}/assets/${encodeURIComponent(assetId)}`
+        : content.src || content.url || content.body || '';
+
+      if (!this.isSafeURL(source, true)) {
+        throw new Error('CMS: Unsafe image URL');
+      }
+
+      if (assetId) {
+        // No src until we know which derivatives exist, so the original is not fetched first
+        this.imageTransforms().then(transforms => this.setImageSources(img, element, content, source, transforms));
+      } else {
+        this.setImageSources(img, element, content, source, { enabled: false });
+      }
+
+      img.setAttribute('alt', content.alt || content.title || '');
+      ['width', 'height'].forEach(dimension => {
+        if (content[dimension]) {
+          img.setAttribute(dimension, content[dimension]);
+        }
+      });
+      if (!img.hasAttribute('loading')) img.setAttribute('loading', 'lazy');
+      img.setAttribute('decoding', 'async');
+
+      if (img !== element) {
+        element.replaceChildren(img);
+      }
+    },
+
+    /**
+     * src, and srcset/sizes from the widths the server makes derivatives in
+     */
+    setImageSources(img, element, content, source, transforms) {
+      const listed = element.hasAttribute('data-cms-widths')
+        ? element.getAttribute('data-cms-widths').split(',').map(Number)
+        : this.config.imageWidths;
+      const widths = transforms.enabled ? listed.filter(w => transforms.sizes.includes(w)) : [];
+
+      // Derivatives are never upscaled, the original covers widths past its own
+      const candidates = (content.width ? widths.filter(w => w < content.width) : widths).map(w => [w, w]);
+      if (content.width && candidates.length && widths.some(w => w >= content.width)) {
+        candidates.push([content.width, null]);
+      }
+
+      if (!candidates.length) {
+        img.setAttribute('src', source);
+        img.removeAttribute('srcset');
+        img.removeAttribute('sizes');
+        return;
+      }
+
+      const format = element.getAttribute('data-cms-format');
+      const fm = format && transforms.formats.includes(format) ? `&fm=${encodeURIComponent(format)}` : '';
+      const urlFor = derivative => (derivative ? `${source}?w=${derivative}${fm}` : source);
+      const fallback = candidates.filter(([w]) => w <= 1024).pop() || candidates[0];
+
+      img.setAttribute('src', urlFor(fallback[1]));
+      img.setAttribute('srcset', candidates.map(([w, derivative]) => `${urlFor(derivative)} ${w}w`).join(', '));
+      img.setAttribute('sizes', element.getAttribute('data-cms-sizes') || '100vw');
+    },
+
+    /**
+     * Sizes and formats the server makes image derivatives in, fetched
+     * once: { enabled, sizes, formats }. A server without a transformer
+     * reports enabled: false and images use their original. Failures are
+     * not remembered, the next image asks again.
+     */
+    imageTransforms() {
+      if (!this.transformsRequest) {
+        this.transformsRequest = fetch(`${this.config.apiEndpoint}/assets/transforms`)
+          .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            return response.json();
+          })
+          .catch(error => {
+            console.warn('CMS: Image transforms unknown, using originals', error);
+            this.transformsRequest = null;
+            return { enabled: false };
+          });
+      }
+      return this.transformsRequest;
+    },
+
+    /**
+     * Full-text search over GET /search. Anonymous and embeddable callers
+     * only search published content.
+     */
+    async search(query, { type, tag, status, limit, offset, signal } = {}) {
+      const params = new URLSearchParams({ q: query });
+      Object.entries({ type, tag, status, limit, offset }).forEach(([name, value]) => {
+        if (value !== undefined && value !== null && value !== '') params.set(name, value);
+      });
+
+      const response = await fetch(`${this.config.apiEndpoint}${this.config.searchPath}?${params}`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CMS-Client': 'embeddable'
+        },
+        signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      return response.json();
+    },
+
+    /**
+     * data-cms-search="Placeholder" turns an element into a search box.
+     * An <input> inside it is used if present. data-cms-search-type,
+     * -tag and -limit narrow the query, data-cms-search-href="/blog/{{id}}"
+     * links results, and data-cms-template renders the whole response
+     * ({ query, total, results, facets }) instead of the default list.
+     */
+    setupSearch(element) {
+      if (element.classList.contains('cms-search-ready')) return;
+      element.classList.add('cms-search-ready');
+
+      let input = element.querySelector('input');
+      if (!input) {
+        input = document.createElement('input');
+        input.type = 'search';
+        input.className = 'cms-search-input';
+        input.placeholder = element.getAttribute('data-cms-search') || 'Search';
+        input.setAttribute('aria-label', input.placeholder);
+        element.appendChild(input);
+      }
+
+      const output = document.createElement('div');
+      output.className = 'cms-search-output';
+      output.setAttribute('aria-live', 'polite');
+      element.appendChild(output);
+
+      // Facet buttons toggle a filter on top of the element's own
+      const state = { filters: {}, controller: null };
+      const run = () => this.runSearch(element, input.value, output, state);
+
+      this.listen(input, 'input', this.debounce(run, this.config.searchDelay));
+      this.listen(output, 'click', event => {
+        const button = event.target.closest('[data-facet]');
+        if (!button) return;
+
+        const facet = button.getAttribute('data-facet');
+        const value = button.getAttribute('data-value');
+        state.filters[facet] = state.filters[facet] === value ? null : value;
+        run();
+      });
+
+      if (input.value.trim()) run();
+    },
+
+    async runSearch(element, query, output, state) {
+      if (state.controller) state.controller.abort();
+
+      if (!query.trim()) {
+        state.controller = null;
+        element.classList.remove('cms-searching');
+        output.innerHTML = '';
+        return;
+      }
+
+      const controller = new AbortController();
+      state.controller = controller;
+      element.classList.add('cms-searching');
+
+      try {
+        const result = await this.search(query, {
+          type: state.filters.type || element.getAttribute('data-cms-search-type'),
+          tag: state.filters.tag || element.getAttribute('data-cms-search-tag'),
+          limit: element.getAttribute('data-cms-search-limit') || this.config.searchLimit,
+          signal: controller.signal
+        });
+
+        this.renderSearchResults(element, output, result, state.filters);
+        element.dispatchEvent(new CustomEvent('cms:search', { detail: { query, result } }));
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('CMS: Search failed', error);
+        output.innerHTML = '<div class="cms-error-message">Search failed</div>';
+      } finally {
+        if (state.controller === controller) {
+          state.controller = null;
+          element.classList.remove('cms-searching');
+        }
       }
     },
 
+    renderSearchResults(element, output, result, filters = {}) {
+      const templateId = element.getAttribute('data-cms-template');
+      const inline = templateId && document.getElementById(templateId);
+
+      if (inline && inline.tagName === 'TEMPLATE') {
+        this.setHTML(output, this.renderTemplate(inline.innerHTML, result));
+        return;
+      }
+
+      // Snippets arrive escaped with <mark> around matches; sanitized anyway
+      const snippet = html => this.sanitizeHTML(html, { mode: 'strict' });
+      const hrefPattern = element.getAttribute('data-cms-search-href');
+
+      const facets = ['type', 'tag'].map(facet => {
+        const counts = Object.entries(result.facets[facet] || {});
+        // An active filter stays visible so it can be switched off
+        if (filters[facet] && !counts.some(([value]) => value === filters[facet])) counts.push([filters[facet], 0]);
+        if (counts.length < 2 && !filters[facet]) return '';
+
+        return `<div class="cms-search-facet">${counts.map(([value, count]) => `<button type="button"` +
+          `${filters[facet] === value ? ' class="cms-active" aria-pressed="true"' : ''}` +
+          ` data-facet="${facet}" data-value="${this.escapeHTML(value)}">${this.escapeHTML(value)} (${count})</button>`).join('')}</div>`;
+      }).join('');
+
+      const items = result.results.map(hit => {
+        const title = hit.highlights.title ? snippet(hit.highlights.title) : this.escapeHTML(hit.title || hit.id);
+        const href = hrefPattern && hrefPattern.replace(/\{\{\s*(\w+)\s*\}\}/g, (tag, name) => encodeURIComponent(hit[name] ?? ''));
+        const body = Object.entries(hit.highlights).find(([field]) => field !== 'title');
+
+        return '<li class="cms-search-result">' +
+          (href && this.isSafeURL(href) ? `<a href="${this.escapeHTML(href)}">${title}</a>` : `<strong>${title}</strong>`) +
+          (body ? `<p>${snippet(body[1])}</p>` : '') +
+          '</li>';
+      }).join('');
+
+      output.innerHTML = facets + (items
+        ? `<ol class="cms-search-results">${items}</ol>`
+        : `<p class="cms-search-empty">No results for “${this.escapeHTML(result.query)}”</p>`);
+    },
+
+    setHTML(element, html, options = {}) {
+      element.innerHTML = this.config.sanitize === 'off' ? html : this.sanitizeHTML(html, options);
+    },
+
+    /**
+     * Allowlist sanitizer: parses into an inert <template>, unwraps
+     * unknown tags, drops dangerous ones with their content, and keeps
+     * only allowed attributes with safe URLs.
+     */
+    sanitizeHTML(html, { mode = this.config.sanitize, allowScripts = false } = {}) {
+      // Anything but an explicit 'permissive' gets the strict rules
+      const rules = mode !== 'permissive'
+        ? SANITIZE_RULES.strict
+        : {
+          tags: SANITIZE_RULES.strict.tags.concat(SANITIZE_RULES.permissive.tags),
+          attributes: this.mergeAttributeRules(SANITIZE_RULES.strict.attributes, SANITIZE_RULES.permissive.attributes),
+          allowStyle: SANITIZE_RULES.permissive.allowStyle,
+          allowDataAttributes: SANITIZE_RULES.permissive.allowDataAttributes
+        };
+
+      const template = document.createElement('template');
+      template.innerHTML = html;
+      this.sanitizeNode(template.content, rules, allowScripts);
+      return template.innerHTML;
+    },
+
+    mergeAttributeRules(base, extra) {
+      const merged = { ...base };
+      Object.entries(extra).forEach(([tag, attrs]) => {
+        merged[tag] = (merged[tag] || []).concat(attrs);
+      });
+      return merged;
+    },
+
+    sanitizeNode(parent, rules, allowScripts) {
+      Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === 8) {
+          node.remove();
+          return;
+        }
+        if (node.nodeType !== 1) return;
+
+        const tag = node.localName;
+
+        if (tag === 'script' && allowScripts) {
+          return;
+        }
+
+        if (DROP_WITH_CONTENT.includes(tag)) {
+          node.remove();
+          return;
+        }
+
+        // Clean children first so unwrapped content is already safe
+        this.sanitizeNode(node.content || node, rules, allowScripts);
+
+        if (!rules.tags.includes(tag)) {
+          node.replaceWith(...Array.from(node.childNodes));
+          return;
+        }
+
+        this.sanitizeAttributes(node, tag, rules);
+      });
+    },
+
+    sanitizeAttributes(node, tag, rules) {
+      const allowed = (rules.attributes['*'] || []).concat(rules.attributes[tag] || []);
+
+      Array.from(node.attributes).forEach(({ name, value }) => {
+        const isData = rules.allowDataAttributes && /^data-[a-z0-9-]+$/.test(name) && !name.startsWith('data-cms-');
+        const isAria = /^aria-[a-z]+$/.test(name);
+        const isStyle = name === 'style' && rules.allowStyle && !/expression\s*\(|javascript:|url\s*\(/i.test(value);
+
+        if (!allowed.includes(name) && !isData && !isAria && !isStyle) {
+          node.removeAttribute(name);
+          return;
+        }
+
+        if (URL_ATTRIBUTES.includes(name) && !this.isSafeURL(value, tag === 'img' || tag === 'source')) {
+          node.removeAttribute(name);
+        }
+
+        if (name === 'srcset' && value.split(',').some(part => !this.isSafeURL(part.trim().split(/\s+/)[0], true))) {
+          node.removeAttribute(name);
+        }
+      });
+
+      if (tag === 'a' && node.getAttribute('target') === '_blank') {
+        node.setAttribute('rel', 'noopener noreferrer');
+      }
+
+      if (tag === 'input' && node.getAttribute('type') !== 'checkbox' && !rules.tags.includes('form')) {
+        node.remove();
+      }
+    },
+
+    isSafeURL(value, allowImageData = false) {
+      const url = value.replace(/[\u0000-\u0020]/g, '');
+      if (allowImageData && SAFE_DATA_URL.test(url)) return true;
+      return SAFE_URL.test(url);
+    },
+
     executeScripts(container) {
       const scripts = container.querySelectorAll('script');
       scripts.forEach(oldScript => {
@@ -197,31 +1301,150 @@
     },
 
     injectStyles(css, id) {
-      if (!document.getElementById(`cms-style-${id}`)) {
-        const style = document.createElement('style');
+      const scoped = this.config.scopeStyles
+        ? this.scopeCSS(css, `[data-cms-content="${CSS.escape(id)}"]`)
+        : css;
+
+      let style = document.getElementById(`cms-style-${id}`);
+      if (!style) {
+        style = document.createElement('style');
         style.id = `cms-style-${id}`;
-        style.textContent = css;
         document.head.appendChild(style);
       }
+
+      // Live updates may change the CSS of an item already on the page
+      if (style.textContent !== scoped) {
+        style.textContent = scoped;
+      }
+    },
+
+    /**
+     * Prefix every selector with the component's scope so content CSS
+     * only reaches its own element. :root, html and body map to the
+     * scope itself; @import is dropped by replaceSync.
+     */
+    scopeCSS(css, scope) {
+      if (typeof CSSStyleSheet === 'undefined' || !('replaceSync' in CSSStyleSheet.prototype)) {
+        console.warn('CMS: Constructable stylesheets unavailable, content CSS skipped');
+        return '';
+      }
+
+      const sheet = new CSSStyleSheet();
+      sheet.replaceSync(css);
+      return Array.from(sheet.cssRules).map(rule => this.scopeRule(rule, scope)).join('\n');
+    },
+
+    scopeRule(rule, scope) {
+      // CSSStyleRule
+      if (rule.type === 1) {
+        const selectors = this.splitSelectors(rule.selectorText).map(selector => {
+          if (/^(:root|html|body)\b/.test(selector)) {
+            return selector.replace(/^(:root|html|body)\b(\s*>?\s*body\b)?/, scope);
+          }
+          return `${scope} ${selector}`;
+        });
+        return `${selectors.join(', ')} { ${rule.style.cssText} }`;
+      }
+
+      // CSSMediaRule, CSSSupportsRule, CSSContainerRule, CSSLayerBlockRule
+      if ([4, 12].includes(rule.type) || (rule.cssRules && rule.type === 0)) {
+        const prelude = rule.cssText.slice(0, rule.cssText.indexOf('{'));
+        const inner = Array.from(rule.cssRules).map(child => this.scopeRule(child, scope)).join('\n');
+        return `${prelude}{\n${inner}\n}`;
+      }
+
+      // @keyframes, @font-face and friends cannot leak onto the page
+      if ([5, 7].includes(rule.type)) {
+        return rule.cssText;
+      }
+
+      return '';
     },
 
-    parseMarkdown(md) {
-      return md
-        .replace(/^### (.*$)/gim, '<h3>$1</h3>')
-        .replace(/^## (.*$)/gim, '<h2>$1</h2>')
-        .replace(/^# (.*$)/gim, '<h1>$1</h1>')
-        .replace(/\*\*(.*)\*\*/gim, '<strong>$1</strong>')
-        .replace(/\*(.*)\*/gim, '<em>$1</em>')
-        .replace(/\n/gim, '<br>');
+    splitSelectors(selectorText) {
+      const selectors = [];
+      let depth = 0;
+      let current = '';
+
+      for (const char of selectorText) {
+        if (char === '(' || char === '[') depth++;
+        if (char === ')' || char === ']') depth--;
+
+        if (char === ',' && depth === 0) {
+          selectors.push(current.trim());
+          current = '';
+        } else {
+          current += char;
+        }
+      }
+
+      selectors.push(current.trim());
+      return selectors.filter(Boolean);
     },
 
+    /**
+     * Render with the shared CommonMark renderer (cms_markdown.js). Raw
+     * HTML is escaped unless allowHTML; the output is sanitized either way.
+     */
+    parseMarkdown(md, { allowHTML = false } = {}) {
+      if (!window.CMSMarkdown) {
+        console.warn('CMS: Load cms_markdown.js before cms_client.js to render Markdown');
+        return `<pre>${this.escapeHTML(md)}</pre>`;
+      }
+
+      return window.CMSMarkdown.render(md, { allowHTML });
+    },
+
+    /**
+     * data-cms-template names an inline <template> element by id, or a
+     * stored content item whose template/html/body holds the markup
+     */
     renderJSON(element, data) {
-      const template = element.getAttribute('data-cms-template');
-      if (template && window[template]) {
-        element.innerHTML = window[template](data);
-      } else {
-        element.innerHTML = `<pre>${JSON.stringify(data, null, 2)}</pre>`;
+      const templateId = element.getAttribute('data-cms-template');
+      const render = source => this.setHTML(element, this.renderTemplate(source, data));
+
+      if (!templateId) {
+        element.innerHTML = `<pre>${this.escapeHTML(JSON.stringify(data, null, 2))}</pre>`;
+        return;
       }
+
+      const inline = document.getElementById(templateId);
+      if (inline && inline.tagName === 'TEMPLATE') {
+        render(inline.innerHTML);
+        return;
+      }
+
+      this.fetchContent(templateId)
+        .then(stored => {
+          if (!stored) throw new Error(`Template ${templateId} not found`);
+          render(stored.template || stored.html || stored.body || '');
+        })
+        .catch(error => {
+          console.error(`CMS: Template ${templateId} failed`, error);
+          element.classList.add('cms-error');
+          this.renderError(element, error);
+        });
+    },
+
+    /**
+     * Render with the shared template renderer (cms_template.js)
+     */
+    renderTemplate(source, data = {}) {
+      if (!window.CMSTemplate) {
+        console.warn('CMS: Load cms_template.js before cms_client.js to render templates');
+        return `<pre>${this.escapeHTML(JSON.stringify(data, null, 2))}</pre>`;
+      }
+
+      return window.CMSTemplate.render(source, data);
+    },
+
+    escapeHTML(value) {
+      return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
     },
 
     renderError(element, error) {
@@ -245,25 +1468,25 @@
 
     refresh(contentId = null) {
       if (contentId) {
-        this.cache.delete(contentId);
-        this.loadedComponents.delete(contentId);
-        const elements = document.querySelectorAll(`[data-cms-content="${contentId}"]`);
-        elements.forEach(el => {
-          el.classList.remove('cms-loaded', 'cms-error');
-          this.loadComponent(el);
-        });
+        this.uncacheVariants(contentId);
+        this.reloadElements(this.elementsFor(contentId));
       } else {
         this.cache.clear();
+        this.cacheMeta.clear();
         this.loadedComponents.clear();
-        this.saveCache();
+        this.clearPersisted();
         this.discoverComponents();
       }
     },
 
     destroy() {
+      this.disconnectLive();
+      this.listeners.forEach(remove => remove());
+      this.listeners = [];
       this.observers.forEach(observer => observer.disconnect());
       this.observers.clear();
       this.cache.clear();
+      this.cacheMeta.clear();
       this.loadedComponents.clear();
     }
   };
@@ -0,0 +1,400 @@
+/**
+ * CMS Content Schemas
+ * Declarative content-type definitions in a JSON Schema-like dialect,
+ * and the validator that checks items against them.
+ *
+ * Shared by cms_server.cjs (required through server/types.js) and
+ * PGliteManager (imported through src/core/schema), so an item that
+ * passes in the browser passes on the server too.
+ *
+ *   {
+ *     name: 'article',
+ *     properties: {
+ *       title: { type: 'string', maxLength: 120 },
+ *       category: { enum: ['news', 'guide'] },
+ *       author: { type: 'reference', to: 'author' },
+ *       blocks: { type: 'array', items: { type: 'reference', to: ['quote', 'image'], onDelete: 'unset' } }
+ *     },
+ *     required: ['title', 'body']
+ *   }
+ *
+ * A reference's onDelete says what deleting the referenced item does to
+ * the item holding the reference: "restrict" (the default) refuses the
+ * delete, "cascade" deletes the holder too, "unset" drops the reference.
+ *
+ * Errors are plain objects { path, code, message }, path being a JSON
+ * Pointer into the item ("/blocks/2") so it lines up with JSON Patch.
+ */
+
+(function(root) {
+  'use strict';
+
+  const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null', 'reference'];
+
+  // Stamped or owned by the server, never declared by a type
+  const SYSTEM_FIELDS = [
+    'id', 'type', 'version', 'status', 'created_at', 'updated_at',
+    'published_at', 'publish_at', 'locale', 'locales'
+  ];
+  const RESERVED_FIELDS = ['id', 'type', 'version', 'locales'];
+
+  const TYPE_NAME = /^[a-z][a-z0-9_-]*$/;
+
+  const ON_DELETE = ['restrict', 'cascade', 'unset'];
+
+  const FORMATS = {
+    'date-time': value => !isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value),
+    date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    uri: value => /^[a-z][a-z0-9+.-]*:/i.test(value)
+  };
+
+  /**
+   * Thrown by CMSSchema.assert, carrying every error found
+   */
+  class SchemaValidationError extends Error {
+    constructor(errors, message = 'Validation failed') {
+      super(message);
+      this.name = 'SchemaValidationError';
+      this.errors = errors;
+    }
+  }
+
+  function pointer(path, key) {
+    return `${path}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+  }
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  function matchesType(value, type) {
+    switch (type) {
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && isFinite(value);
+      case 'reference': return typeof value === 'string' && value.length > 0;
+      default: return typeOf(value) === type;
+    }
+  }
+
+  function typesOf(schema) {
+    if (schema.type === undefined) return [];
+    return Array.isArray(schema.type) ? schema.type : [schema.type];
+  }
+
+  function error(errors, path, code, message, params = {}) {
+    errors.push({ path: path || '/', code, message, ...params });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Definitions
+  // ---------------------------------------------------------------------------
+
+  function checkSchema(schema, path, errors) {
+    if (!isPlainObject(schema)) {
+      error(errors, path, 'schema', 'Field schema must be an object');
+      return;
+    }
+
+    const types = typesOf(schema);
+    types.forEach(type => {
+      if (!TYPES.includes(type)) {
+        error(errors, pointer(path, 'type'), 'schema', `Unknown type: ${type}`);
+      }
+    });
+
+    if (schema.enum !== undefined && (!Array.isArray(schema.enum) || !schema.enum.length)) {
+      error(errors, pointer(path, 'enum'), 'schema', 'enum must be a non-empty array');
+    }
+
+    ['minLength', 'maxLength', 'minItems', 'maxItems'].forEach(keyword => {
+      if (schema[keyword] !== undefined && !(Number.isInteger(schema[keyword]) && schema[keyword] >= 0)) {
+        error(errors, pointer(path, keyword), 'schema', `${keyword} must be a non-negative integer`);
+      }
+    });
+
+    ['minimum', 'maximum'].forEach(keyword => {
+      if (schema[keyword] !== undefined && typeof schema[keyword] !== 'number') {
+        error(errors, pointer(path, keyword), 'schema', `${keyword} must be a number`);
+      }
+    });
+
+    if (schema.pattern !== undefined) {
+      try {
+        new RegExp(schema.pattern, 'u');
+      } catch (e) {
+        error(errors, pointer(path, 'pattern'), 'schema', `Invalid pattern: ${e.message}`);
+      }
+    }
+
+    if (schema.format !== undefined && !FORMATS[schema.format]) {
+      error(errors, pointer(path, 'format'), 'schema', `Unknown format: ${schema.format}`);
+    }
+
+    if (types.includes('reference')) {
+      const targets = Array.isArray(schema.to) ? schema.to : [schema.to];
+      if (schema.to !== undefined && !targets.every(target => typeof target === 'string' && TYPE_NAME.test(target))) {
+        error(errors, pointer(path, 'to'), 'schema', 'to must be a type name or a list of type names');
+      }
+      if (schema.onDelete !== undefined && !ON_DELETE.includes(schema.onDelete)) {
+        error(errors, pointer(path, 'onDelete'), 'schema', `onDelete must be one of: ${ON_DELETE.join(', ')}`);
+      }
+    }
+
+    if (schema.items !== undefined) {
+      checkSchema(schema.items, pointer(path, 'items'), errors);
+    }
+
+    checkProperties(schema, path, errors);
+  }
+
+  function checkProperties(schema, path, errors) {
+    if (schema.properties !== undefined) {
+      if (!isPlainObject(schema.properties)) {
+        error(errors, pointer(path, 'properties'), 'schema', 'properties must be an object');
+      } else {
+        Object.entries(schema.properties).forEach(([name, property]) => {
+          checkSchema(property, pointer(pointer(path, 'properties'), name), errors);
+        });
+      }
+    }
+
+    if (schema.required !== undefined &&
+        !(Array.isArray(schema.required) && schema.required.every(name => typeof name === 'string'))) {
+      error(errors, pointer(path, 'required'), 'schema', 'required must be a list of field names');
+    }
+
+    if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+      error(errors, pointer(path, 'additionalProperties'), 'schema', 'additionalProperties must be a boolean');
+    }
+  }
+
+  /**
+   * Errors in a content-type definition itself, [] when it is usable
+   */
+  function checkDefinition(definition) {
+    const errors = [];
+
+    if (!isPlainObject(definition)) {
+      error(errors, '/', 'schema', 'Type definition must be an object');
+      return errors;
+    }
+
+    if (typeof definition.name !== 'string' || !TYPE_NAME.test(definition.name)) {
+      error(errors, '/name', 'schema', 'name must be lowercase letters, digits, "-" or "_"');
+    }
+
+    checkProperties(definition, '', errors);
+
+    if (isPlainObject(definition.properties)) {
+      RESERVED_FIELDS.forEach(field => {
+        if (field in definition.properties) {
+          error(errors, pointer('/properties', field), 'schema', `${field} is managed by the CMS and cannot be declared`);
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Items
+  // ---------------------------------------------------------------------------
+
+  function validateValue(value, schema, path, errors, options) {
+    const types = typesOf(schema);
+
+    if (types.length && !types.some(type => matchesType(value, type))) {
+      error(errors, path, 'type', `Expected ${types.join(' or ')}, got ${typeOf(value)}`, { expected: types });
+      return;
+    }
+
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+      error(errors, path, 'enum', `Must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`, { allowed: schema.enum });
+    }
+
+    if (typeof value === 'string') {
+      // Length in code points, so an emoji counts once
+      const length = Array.from(value).length;
+      if (schema.minLength !== undefined && length < schema.minLength) {
+        error(errors, path, 'minLength', `Must be at least ${schema.minLength} characters`, { limit: schema.minLength });
+      }
+      if (schema.maxLength !== undefined && length > schema.maxLength) {
+        error(errors, path, 'maxLength', `Must be at most ${schema.maxLength} characters`, { limit: schema.maxLength });
+      }
+      if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+        error(errors, path, 'pattern', `Must match ${schema.pattern}`);
+      }
+      if (schema.format !== undefined && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+        error(errors, path, 'format', `Must be a valid ${schema.format}`);
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        error(errors, path, 'minimum', `Must be at least ${schema.minimum}`, { limit: schema.minimum });
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        error(errors, path, 'maximum', `Must be at most ${schema.maximum}`, { limit: schema.maximum });
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        error(errors, path, 'minItems', `Must have at least ${schema.minItems} items`, { limit: schema.minItems });
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        error(errors, path, 'maxItems', `Must have at most ${schema.maxItems} items`, { limit: schema.maxItems });
+      }
+      if (schema.items) {
+        value.forEach((entry, index) => validateValue(entry, schema.items, pointer(path, index), errors, options));
+      }
+    }
+
+    if (isPlainObject(value) && (schema.properties || schema.required)) {
+      validateObject(value, schema, path, errors, options, []);
+    }
+
+    if (types.includes('reference') && typeof value === 'string' && options.resolve) {
+      validateReference(value, schema, path, errors, options);
+    }
+  }
+
+  function validateObject(value, schema, path, errors, options, ignored) {
+    const properties = schema.properties || {};
+
+    if (!options.partial) {
+      (schema.required || []).forEach(name => {
+        if (value[name] === undefined || value[name] === null || value[name] === '') {
+          error(errors, pointer(path, name), 'required', `${name} is required`);
+        }
+      });
+    }
+
+    Object.keys(value).forEach(name => {
+      if (value[name] === undefined || ignored.includes(name)) return;
+
+      if (properties[name]) {
+        validateValue(value[name], properties[name], pointer(path, name), errors, options);
+      } else if (schema.additionalProperties === false) {
+        error(errors, pointer(path, name), 'additionalProperties', `${name} is not a field of this type`);
+      }
+    });
+  }
+
+  function validateReference(id, schema, path, errors, options) {
+    const target = options.resolve(id);
+
+    if (!target) {
+      error(errors, path, 'reference', `Referenced item not found: ${id}`, { ref: id });
+      return;
+    }
+
+    const allowed = schema.to === undefined ? null : [].concat(schema.to);
+    if (allowed && !allowed.includes(target.type)) {
+      error(errors, path, 'referenceType', `Must reference ${allowed.join(' or ')}, ${id} is ${target.type || 'untyped'}`, {
+        ref: id,
+        expected: allowed
+      });
+    }
+  }
+
+  /**
+   * Every error in an item against its type definition, [] when valid.
+   *
+   * options.resolve(id) looks up referenced items; without it references
+   * are only checked for shape. Locale variants (see server/locales.js)
+   * are checked field by field, their required fields come from the base.
+   */
+  function validate(content, definition, options = {}) {
+    const errors = [];
+
+    if (!isPlainObject(content)) {
+      error(errors, '/', 'type', 'Content must be an object');
+      return errors;
+    }
+
+    validateObject(content, definition, '', errors, options, SYSTEM_FIELDS);
+
+    if (isPlainObject(content.locales)) {
+      Object.entries(content.locales).forEach(([tag, variant]) => {
+        if (isPlainObject(variant)) {
+          validateObject(variant, definition, pointer('/locales', tag), errors, { ...options, partial: true }, SYSTEM_FIELDS);
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Throw a SchemaValidationError unless the item is valid
+   */
+  function assert(content, definition, options = {}) {
+    const errors = validate(content, definition, options);
+    if (errors.length) {
+      throw new SchemaValidationError(errors, `Invalid ${definition.name || 'content'}`);
+    }
+    return content;
+  }
+
+  /**
+   * References an item holds, [{ path, id, to, onDelete }], for callers
+   * that must load them before validating (an async store can prefetch,
+   * then resolve from a Map) or follow them
+   */
+  function references(content, definition) {
+    const found = [];
+
+    function walk(value, schema, path) {
+      if (value === undefined || value === null || !schema) return;
+
+      if (typesOf(schema).includes('reference') && typeof value === 'string') {
+        found.push({
+          path,
+          id: value,
+          to: schema.to === undefined ? null : [].concat(schema.to),
+          onDelete: schema.onDelete || 'restrict'
+        });
+      } else if (Array.isArray(value) && schema.items) {
+        value.forEach((entry, index) => walk(entry, schema.items, pointer(path, index)));
+      } else if (isPlainObject(value) && schema.properties) {
+        Object.entries(schema.properties).forEach(([name, property]) => walk(value[name], property, pointer(path, name)));
+      }
+    }
+
+    walk(content, { properties: definition.properties || {} }, '');
+
+    if (content && isPlainObject(content.locales)) {
+      Object.entries(content.locales).forEach(([tag, variant]) => {
+        walk(variant, { properties: definition.properties || {} }, pointer('/locales', tag));
+      });
+    }
+
+    return found;
+  }
+
+  const CMSSchema = {
+    TYPES,
+    SYSTEM_FIELDS,
+    ON_DELETE,
+    SchemaValidationError,
+    checkDefinition,
+    validate,
+    assert,
+    references
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CMSSchema;
+  } else {
+    root.CMSSchema = CMSSchema;
+  }
+
+})(typeof window !== 'undefined' ? window : globalThis);
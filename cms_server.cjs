@@ -0,0 +1,1204 @@
+const http = require('http');
+const path = require('path');
+const url = require('url');
+const { parseArgs } = require('util');
+const { createStore } = require('./server/storage');
+const { HttpError, sendJSON, readBuffer, readJSON, pathSegments, etagFor, etagMatches } = require('./server/http');
+const { JSONPatchError, applyPatch, computeDiff } = require('./server/json-patch');
+const { QueryError, queryContent, listParam } = require('./server/query');
+const { Auth, hasRole, corsOriginHeaders } = require('./server/auth');
+const { ContentRepository } = require('./server/content');
+const { RevisionHistory } = require('./server/revisions');
+const { ChangeFeed } = require('./server/events');
+const locales = require('./server/locales');
+const { TypeRegistry } = require('./server/types');
+const { AssetLibrary, sendFile } = require('./server/assets');
+const { ImageDerivatives, loadTransformer } = require('./server/images');
+const { parseMultipart } = require('./server/multipart');
+const { WebhookDispatcher } = require('./server/webhooks');
+const { RateLimiter } = require('./server/ratelimit');
+const { Metrics, routeLabel } = require('./server/metrics');
+const { Logger, requestId } = require('./server/logging');
+const { readArchive, toNDJSONLine, toTarball } = require('./server/archive');
+const { ContentTransfer } = require('./server/transfer');
+const { BulkWriter } = require('./server/bulk');
+const { SearchIndex, parseBoosts } = require('./server/search');
+const { ReferenceIndex } = require('./server/references');
+const { ContentGraph } = require('./server/content-graph');
+const { SiteBuilder } = require('./server/site');
+
+const PORT = process.env.PORT || 8080;
+const startedAt = Date.now();
+
+// JSON bodies; uploads have their own CMS_ASSET_MAX_SIZE
+const maxBodySize = Number(process.env.CMS_MAX_BODY_SIZE) || 1024 * 1024;
+
+// First path segment of every route, for metrics labels
+const RESOURCES = ['content', 'search', 'graphql', 'types', 'assets', 'webhooks', 'export', 'import', 'admin', 'health', 'metrics'];
+
+// Backed by CMS_STORAGE (file | memory), see server/storage.js
+const contentStore = createStore('content');
+const publishedStore = createStore('published');
+const keyStore = createStore('api_keys');
+const revisionStore = createStore('revisions');
+const typeStore = createStore('types');
+const assetStore = createStore('assets');
+const webhookStore = createStore('webhooks');
+const deliveryStore = createStore('webhook_deliveries');
+const stores = [contentStore, publishedStore, keyStore, revisionStore, typeStore, assetStore, webhookStore, deliveryStore];
+
+const repository = new ContentRepository({
+  contentStore,
+  publishedStore,
+  schedulerInterval: Number(process.env.CMS_SCHEDULER_INTERVAL) || 30000
+});
+
+const revisions = new RevisionHistory({
+  store: revisionStore,
+  maxRevisions: Number(process.env.CMS_MAX_REVISIONS) || 0
+}).attach(repository);
+
+const types = new TypeRegistry({
+  store: typeStore,
+  resolve: id => repository.get(id)
+});
+
+const references = new ReferenceIndex({
+  types,
+  maxDepth: Number(process.env.CMS_INCLUDE_MAX_DEPTH) || 3,
+  validate: validateContent
+}).attach(repository);
+
+const assets = new AssetLibrary({
+  store: assetStore,
+  dir: process.env.CMS_ASSETS_DIR || path.join(process.env.CMS_DATA_DIR || './data', 'assets'),
+  maxSize: Number(process.env.CMS_ASSET_MAX_SIZE) || 10 * 1024 * 1024,
+  ...(process.env.CMS_ASSET_TYPES
+    ? { allowedTypes: process.env.CMS_ASSET_TYPES.split(',').map(type => type.trim()).filter(Boolean) }
+    : {})
+});
+
+const images = new ImageDerivatives({
+  library: assets,
+  dir: path.join(assets.config.dir, 'derivatives'),
+  transformer: loadTransformer(process.env.CMS_IMAGE_TRANSFORMER),
+  ...(process.env.CMS_IMAGE_SIZES
+    ? { sizes: process.env.CMS_IMAGE_SIZES.split(',').map(Number).filter(size => Number.isInteger(size) && size > 0) }
+    : {}),
+  thumbnail: { width: Number(process.env.CMS_THUMBNAIL_WIDTH) || 320, format: 'webp' }
+});
+
+const changeFeed = new ChangeFeed({
+  bufferSize: Number(process.env.CMS_FEED_BUFFER) || 1000
+}).attach(repository);
+
+// Editors search working copies, everyone else what is published
+const searchBoosts = parseBoosts(process.env.CMS_SEARCH_BOOSTS);
+const search = {
+  draft: new SearchIndex({ boosts: searchBoosts }).attach(repository),
+  public: new SearchIndex({ boosts: searchBoosts }).attach(repository, { published: true })
+};
+
+const webhooks = new WebhookDispatcher({
+  store: webhookStore,
+  deliveryStore,
+  timeout: Number(process.env.CMS_WEBHOOK_TIMEOUT) || 10000,
+  maxDeliveries: Number(process.env.CMS_WEBHOOK_LOG_SIZE) || 100
+}).attach(repository);
+
+const transfer = new ContentTransfer({
+  repository,
+  types,
+  assets,
+  validate: validateContent
+});
+
+const bulk = new BulkWriter({
+  repository,
+  validate: validateContent,
+  references,
+  maxOperations: Number(process.env.CMS_BULK_MAX_OPERATIONS) || 1000
+});
+
+// Archives carry asset bytes, so they get more room than JSON bodies
+const maxImportSize = Number(process.env.CMS_IMPORT_MAX_SIZE) || 100 * 1024 * 1024;
+
+const auth = new Auth({
+  enabled: process.env.CMS_AUTH !== 'off',
+  publicRead: process.env.CMS_PUBLIC_READ !== 'false',
+  adminKey: process.env.CMS_ADMIN_KEY || null,
+  jwtSecret: process.env.CMS_JWT_SECRET || null,
+  maxTokenTTL: Number(process.env.CMS_TOKEN_MAX_TTL) || 30 * 24 * 3600,
+  keyStore
+});
+
+const limiter = new RateLimiter({
+  enabled: process.env.CMS_RATE_LIMIT !== 'off',
+  rate: Number(process.env.CMS_RATE_LIMIT) || 10,
+  burst: Number(process.env.CMS_RATE_BURST) || 60,
+  trustProxy: process.env.CMS_TRUST_PROXY === 'true'
+});
+
+const log = new Logger();
+const accessLog = process.env.CMS_ACCESS_LOG !== 'off';
+
+// Mutations share the REST write handlers, defined below
+const graph = new ContentGraph({
+  types,
+  repository,
+  references,
+  handlers: {
+    create: createContent,
+    update: replaceContent,
+    delete: deleteContent,
+    publish: publishContent,
+    unpublish: unpublishContent
+  },
+  represent: representation,
+  maxDepth: Number(process.env.CMS_GRAPHQL_MAX_DEPTH) || 10,
+  log
+}).attach(repository);
+
+const metrics = new Metrics()
+  .counter('cms_http_requests_total', 'HTTP requests by method, route and status')
+  .histogram('cms_http_request_duration_seconds', 'HTTP request duration by method and route')
+  .collected('cms_http_requests_in_flight', 'gauge', 'HTTP requests being handled', () => inFlight)
+  .collected('cms_rate_limited_total', 'counter', 'Requests refused with 429', () => limiter.limited)
+  .collected('cms_content_items', 'gauge', 'Working copies stored', () => contentStore.size)
+  .collected('cms_published_items', 'gauge', 'Published snapshots stored', () => publishedStore.size)
+  .collected('cms_search_documents', 'gauge', 'Items in the search index', () => search.draft.size)
+  .collected('cms_assets', 'gauge', 'Uploaded assets', () => assetStore.size)
+  .collected('cms_stream_clients', 'gauge', 'Open change-feed streams', () => changeFeed.clients.size)
+  .collected('cms_graphql_subscriptions', 'gauge', 'Open GraphQL subscription streams', () => graph.clients.size)
+  .collected('cms_webhook_deliveries', 'gauge', 'Logged webhook deliveries by status', () => {
+    const counts = { pending: 0, succeeded: 0, failed: 0 };
+    for (const delivery of deliveryStore.values()) counts[delivery.status]++;
+    return Object.entries(counts).map(([status, value]) => ({ labels: { status }, value }));
+  })
+  .collected('process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes', () => process.memoryUsage().rss)
+  .collected('nodejs_heap_used_bytes', 'gauge', 'V8 heap in use in bytes', () => process.memoryUsage().heapUsed)
+  .collected('process_uptime_seconds', 'gauge', 'Seconds since the server started', () => (Date.now() - startedAt) / 1000);
+
+let inFlight = 0;
+
+const defaultLocale = locales.normalizeLocale(process.env.CMS_DEFAULT_LOCALE || 'en');
+
+const corsOrigins = (process.env.CMS_CORS_ORIGINS || '*').split(',').map(o => o.trim()).filter(Boolean);
+
+const corsHeaders = {
+  'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, X-CMS-Client, If-Match, If-None-Match, If-Range, Range, Authorization, X-API-Key, Last-Event-ID, X-Request-ID',
+  'Access-Control-Expose-Headers': 'ETag, X-CMS-ETags, Link, X-Total-Count, Content-Range, Accept-Ranges, Content-Length, X-Request-ID, X-RateLimit-Limit, X-RateLimit-Remaining, Retry-After'
+};
+
+/**
+ * Enforce If-Match / If-None-Match request headers on a write against
+ * the current item
+ */
+function checkPreconditions(headers, current) {
+  const etag = current ? etagFor(current) : null;
+  const ifMatch = headers['if-match'];
+  const ifNoneMatch = headers['if-none-match'];
+
+  if (ifMatch && !etagMatches(ifMatch, etag)) {
+    throw new HttpError(412, 'Precondition failed: content has changed', { etag });
+  }
+
+  if (ifNoneMatch && etagMatches(ifNoneMatch, etag)) {
+    throw new HttpError(412, 'Precondition failed: content already exists', { etag });
+  }
+}
+
+/**
+ * Reject a write based on a stale "version" in the submitted body
+ */
+function checkVersion(content, current) {
+  if (current && content.version !== undefined && content.version !== current.version) {
+    throw new HttpError(409, 'Version conflict', { version: current.version });
+  }
+}
+
+/**
+ * Whether a read sees working copies rather than published snapshots.
+ * Anonymous and embeddable callers only get published content; editors
+ * embedding a page can opt into drafts with ?preview=true.
+ */
+function canSeeDrafts(req, caller, query) {
+  if (query.preview === 'true') {
+    auth.authorize(caller, 'editor');
+    return true;
+  }
+
+  return hasRole(caller.role, 'editor') && req.headers['x-cms-client'] !== 'embeddable';
+}
+
+/**
+ * The representation of an item for the locales a request asks for.
+ * Items without variants are served as stored.
+ */
+function representation(item, wanted) {
+  if (!wanted || !locales.hasVariants(item)) return item;
+  return locales.localize(item, locales.negotiateLocale(item, wanted, defaultLocale), defaultLocale);
+}
+
+/**
+ * Expand ?include= references with the visibility and locale of the item
+ * that holds them
+ */
+function withIncludes(item, include, drafts, wanted) {
+  if (!include) return item;
+
+  return references.expand(item, include, {
+    resolve: id => (drafts ? repository.get(id) : repository.getPublished(id)),
+    represent: target => representation(target, wanted)
+  });
+}
+
+function localeHeaders(res, item) {
+  return {
+    'Content-Language': item.locale || defaultLocale,
+    Vary: [res.getHeader('Vary'), 'Accept-Language'].filter(Boolean).join(', ')
+  };
+}
+
+/**
+ * Checks every write runs before it reaches the repository. Imports and
+ * bulk writes pass the registry and reference lookup they will leave behind.
+ */
+function validateContent(content, { registry = types, resolve } = {}) {
+  locales.validateLocales(content);
+  registry.validate(content, { resolve });
+}
+
+/**
+ * Fill an uploaded image's thumbnail_url. A failed thumbnail leaves it
+ * null rather than failing the upload.
+ */
+async function makeThumbnail(asset) {
+  try {
+    const thumbnailUrl = await images.thumbnail(asset);
+    return thumbnailUrl ? assets.setThumbnail(asset.id, thumbnailUrl) : asset;
+  } catch (error) {
+    console.error(`CMS API: Thumbnail failed for asset ${asset.id}`, error);
+    return asset;
+  }
+}
+
+/**
+ * JSON request body, capped at CMS_MAX_BODY_SIZE
+ */
+function readRequest(req, fallback) {
+  return readJSON(req, fallback, { limit: maxBodySize });
+}
+
+/**
+ * Liveness plus a check that every store is still open
+ */
+function health() {
+  const closed = stores.filter(store => 'fd' in store && store.fd === null).map(store => store.config.name);
+  return {
+    status: closed.length ? 'degraded' : 'ok',
+    uptime_seconds: Math.round((Date.now() - startedAt) / 1000),
+    storage: process.env.CMS_STORAGE || 'file',
+    ...(closed.length ? { closed_stores: closed } : {})
+  };
+}
+
+function sendSaved(res, status, item) {
+  sendJSON(res, status, { success: true, id: item.id, version: item.version }, { ETag: etagFor(item) });
+}
+
+/**
+ * Content writes behind both the REST routes and GraphQL mutations.
+ * Each checks the caller's role; headers carry the preconditions.
+ */
+function createContent(content, caller) {
+  auth.authorize(caller, 'editor');
+  if (!content.id) {
+    throw new HttpError(400, 'Content ID required');
+  }
+  validateContent(content);
+
+  if (repository.has(content.id)) {
+    throw new HttpError(409, 'Content already exists, use PUT or PATCH to update', {
+      etag: etagFor(repository.get(content.id))
+    });
+  }
+
+  return repository.save(content.id, content, null, { actor: caller.sub });
+}
+
+function replaceContent(id, content, caller, headers = {}) {
+  auth.authorize(caller, 'editor');
+  const current = repository.get(id);
+
+  if (content.id !== undefined && content.id !== id) {
+    throw new HttpError(400, 'Content ID in body does not match URL');
+  }
+
+  checkPreconditions(headers, current);
+  checkVersion(content, current);
+  validateContent(content);
+
+  return repository.save(id, content, current, { actor: caller.sub });
+}
+
+/**
+ * Delete an item, following the onDelete of every reference to it:
+ * { deleted, unlinked }
+ */
+function deleteContent(id, caller, headers = {}) {
+  auth.authorize(caller, 'publisher');
+  const current = repository.get(id);
+
+  if (!current) {
+    throw new HttpError(404, 'Content not found');
+  }
+
+  checkPreconditions(headers, current);
+
+  const plan = references.planDelete(id);
+  if (plan.blocked.length) {
+    throw new HttpError(409, 'Content is referenced by other items', { referrers: plan.blocked });
+  }
+
+  plan.updates.forEach(update => repository.save(update.id, update.content, repository.get(update.id), { actor: caller.sub }));
+  plan.deleted.forEach(deleted => repository.delete(deleted, { actor: caller.sub }));
+  return { deleted: plan.deleted, unlinked: plan.updates.map(update => update.id) };
+}
+
+function publishContent(id, caller, headers = {}, publishAt = null) {
+  auth.authorize(caller, 'publisher');
+  const current = repository.get(id);
+
+  if (!current) {
+    throw new HttpError(404, 'Content not found');
+  }
+
+  checkPreconditions(headers, current);
+
+  if (publishAt && isNaN(new Date(publishAt).getTime())) {
+    throw new HttpError(400, 'Invalid publish_at');
+  }
+  return repository.publish(id, { publishAt, actor: caller.sub });
+}
+
+function unpublishContent(id, caller, headers = {}) {
+  auth.authorize(caller, 'publisher');
+  const current = repository.get(id);
+
+  if (!current) {
+    throw new HttpError(404, 'Content not found');
+  }
+
+  checkPreconditions(headers, current);
+  return repository.unpublish(id, { actor: caller.sub });
+}
+
+async function handleRequest(req, res) {
+  const parsedUrl = url.parse(req.url, true);
+  const path = parsedUrl.pathname;
+  const method = req.method;
+  const segments = pathSegments(path);
+  const [resource, contentId, action] = segments;
+  const isItem = resource === 'content' && segments.length === 2;
+
+  if (method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  if (method === 'GET' && path === '/health') {
+    const status = health();
+    sendJSON(res, status.status === 'ok' ? 200 : 503, status, { 'Cache-Control': 'no-store' });
+    return;
+  }
+
+  // Failed logins still spend the IP's tokens, so keys cannot be brute-forced
+  let caller;
+  try {
+    caller = auth.authenticate(req);
+  } catch (error) {
+    limiter.check(req, res, null);
+    throw error;
+  }
+  req.caller = caller;
+
+  if (method === 'GET' && path === '/metrics') {
+    if (process.env.CMS_METRICS_PUBLIC !== 'true') {
+      auth.authorize(caller, 'admin');
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(metrics.render());
+    return;
+  }
+
+  limiter.check(req, res, caller);
+
+  if (method === 'POST' && path === '/content/bulk') {
+    auth.authorize(caller, 'editor');
+    const body = await readRequest(req);
+    const operations = Array.isArray(body) ? body : body && body.operations;
+
+    // Deleting needs the same role as DELETE /content/:id
+    if (Array.isArray(operations) && operations.some(operation => operation && operation.op === 'delete')) {
+      auth.authorize(caller, 'publisher');
+    }
+
+    sendJSON(res, 200, { success: true, results: bulk.apply(operations, { actor: caller.sub }) });
+    return;
+  }
+
+  if (method === 'POST' && resource === 'content' && segments.length === 3 &&
+      (action === 'publish' || action === 'unpublish')) {
+    auth.authorize(caller, 'publisher');
+
+    let item;
+    if (action === 'publish') {
+      const { publish_at: publishAt = null } = await readRequest(req, {});
+      item = publishContent(contentId, caller, req.headers, publishAt);
+    } else {
+      item = unpublishContent(contentId, caller, req.headers);
+    }
+
+    sendJSON(res, 200, {
+      success: true,
+      id: item.id,
+      version: item.version,
+      status: item.status,
+      published_at: item.published_at || null,
+      publish_at: item.publish_at || null
+    }, { ETag: etagFor(item) });
+    return;
+  }
+
+  if (method === 'GET' && path === '/content/stream') {
+    auth.authorize(caller, 'viewer');
+    changeFeed.subscribe(req, res, {
+      channel: canSeeDrafts(req, caller, parsedUrl.query) ? 'draft' : 'public',
+      ids: listParam(parsedUrl.query.ids),
+      lastEventId: req.headers['last-event-id'] || parsedUrl.query.lastEventId || null
+    });
+    return;
+  }
+
+  if (method === 'GET' && path === '/search') {
+    auth.authorize(caller, 'viewer');
+    const { q = '', limit, offset } = parsedUrl.query;
+    const index = canSeeDrafts(req, caller, parsedUrl.query) ? search.draft : search.public;
+
+    if (!String(q).trim()) {
+      throw new HttpError(400, 'Query parameter "q" is required');
+    }
+
+    const started = Date.now();
+    const result = index.search(String(q), {
+      type: listParam(parsedUrl.query.type),
+      tag: listParam(parsedUrl.query.tag),
+      status: listParam(parsedUrl.query.status),
+      limit,
+      offset
+    });
+
+    sendJSON(res, 200, { query: String(q), ...result, took_ms: Date.now() - started }, { 'X-Total-Count': String(result.total) });
+    return;
+  }
+
+  if ((method === 'GET' || method === 'POST') && path === '/graphql') {
+    auth.authorize(caller, 'viewer');
+    const params = method === 'POST' ? await readRequest(req) : parsedUrl.query;
+    const drafts = canSeeDrafts(req, caller, parsedUrl.query);
+
+    graph.handle(req, res, params, {
+      caller,
+      drafts,
+      wanted: locales.requestedLocales(req, parsedUrl.query, { negotiate: !drafts })
+    });
+    return;
+  }
+
+  if (method === 'GET' && path === '/graphql/schema') {
+    auth.authorize(caller, 'viewer');
+    res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(graph.sdl());
+    return;
+  }
+
+  if (method === 'GET' && isItem) {
+    auth.authorize(caller, 'viewer');
+    const drafts = canSeeDrafts(req, caller, parsedUrl.query);
+    const item = drafts ? repository.get(contentId) : repository.getPublished(contentId);
+
+    if (!item) {
+      sendJSON(res, 404, { error: 'Content not found' });
+      return;
+    }
+
+    const wanted = locales.requestedLocales(req, parsedUrl.query, { negotiate: !drafts });
+    const body = withIncludes(representation(item, wanted), references.parseInclude(parsedUrl.query.include), drafts, wanted);
+    const etag = etagFor(body);
+    const headers = { ETag: etag, ...localeHeaders(res, body) };
+
+    if (etagMatches(req.headers['if-none-match'], etag)) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+
+    sendJSON(res, 200, body, headers);
+    return;
+  }
+
+  if (method === 'POST' && path === '/content') {
+    auth.authorize(caller, 'editor');
+    const content = await readRequest(req);
+    sendSaved(res, 201, createContent(content, caller));
+    return;
+  }
+
+  if (method === 'PUT' && isItem) {
+    auth.authorize(caller, 'editor');
+    const content = await readRequest(req);
+    const existed = repository.has(contentId);
+    sendSaved(res, existed ? 200 : 201, replaceContent(contentId, content, caller, req.headers));
+    return;
+  }
+
+  if (method === 'PATCH' && isItem) {
+    auth.authorize(caller, 'editor');
+    const patch = await readRequest(req);
+    const current = repository.get(contentId);
+
+    if (!current) {
+      throw new HttpError(404, 'Content not found');
+    }
+
+    if (!Array.isArray(patch)) {
+      throw new HttpError(400, 'PATCH body must be a JSON Patch (RFC 6902) array');
+    }
+
+    checkPreconditions(req.headers, current);
+
+    let patched;
+    try {
+      patched = applyPatch(current, patch);
+    } catch (error) {
+      if (!(error instanceof JSONPatchError)) throw error;
+      throw new HttpError(error.conflict ? 409 : 422, error.message);
+    }
+
+    if (!patched || typeof patched !== 'object' || Array.isArray(patched)) {
+      throw new HttpError(422, 'Patched content must be an object');
+    }
+
+    if (patched.id !== contentId) {
+      throw new HttpError(422, 'Content ID cannot be changed');
+    }
+    validateContent(patched);
+
+    sendSaved(res, 200, repository.save(contentId, patched, current, { actor: caller.sub }));
+    return;
+  }
+
+  if (method === 'GET' && path === '/content') {
+    auth.authorize(caller, 'viewer');
+    const drafts = canSeeDrafts(req, caller, parsedUrl.query);
+    const allContent = drafts ? repository.list() : repository.listPublished();
+
+    let page;
+    try {
+      page = queryContent(allContent, parsedUrl.query);
+    } catch (error) {
+      if (!(error instanceof QueryError)) throw error;
+      throw new HttpError(400, error.message);
+    }
+
+    const wanted = locales.requestedLocales(req, parsedUrl.query, { negotiate: !drafts });
+    const include = references.parseInclude(parsedUrl.query.include);
+    const headers = {
+      'X-Total-Count': String(page.total),
+      Vary: [res.getHeader('Vary'), 'Accept-Language'].filter(Boolean).join(', ')
+    };
+    if (page.nextCursor) {
+      const next = new URLSearchParams(parsedUrl.query);
+      next.set('cursor', page.nextCursor);
+      headers.Link = `</content?${next.toString()}>; rel="next"`;
+    }
+
+    const items = page.items.map(item => withIncludes(representation(item, wanted), include, drafts, wanted));
+
+    // A batch fetch (?ids=) gets each item's ETag, as GET /content/:id would send it
+    if (listParam(parsedUrl.query.ids).length) {
+      headers['X-CMS-ETags'] = items.map(item => `${encodeURIComponent(item.id)}=${etagFor(item)}`).join(', ');
+    }
+
+    sendJSON(res, 200, items, headers);
+    return;
+  }
+
+  if (method === 'DELETE' && isItem) {
+    sendJSON(res, 200, { success: true, ...deleteContent(contentId, caller, req.headers) });
+    return;
+  }
+
+  if (method === 'GET' && resource === 'content' && action === 'referrers' && segments.length === 3) {
+    auth.authorize(caller, 'viewer');
+    const drafts = canSeeDrafts(req, caller, parsedUrl.query);
+
+    if (!(drafts ? repository.get(contentId) : repository.getPublished(contentId))) {
+      throw new HttpError(404, 'Content not found');
+    }
+
+    // Public callers only see references published items hold
+    const holds = (holder, path) => {
+      const published = repository.getPublished(holder);
+      return published && references.references(published).some(reference => reference.id === contentId && reference.path === path);
+    };
+
+    sendJSON(res, 200, references.referrers(contentId).filter(({ id, path }) => drafts || holds(id, path)));
+    return;
+  }
+
+  if (method === 'GET' && resource === 'content' && action === 'revisions' && segments.length === 3) {
+    auth.authorize(caller, 'editor');
+    const list = revisions.list(contentId);
+
+    if (!list.length) {
+      throw new HttpError(404, 'No revisions found');
+    }
+    sendJSON(res, 200, list);
+    return;
+  }
+
+  if (method === 'GET' && resource === 'content' && action === 'revisions' && segments.length === 4) {
+    auth.authorize(caller, 'editor');
+    const revision = revisions.get(contentId, Number(segments[3]));
+
+    if (!revision) {
+      throw new HttpError(404, 'Revision not found');
+    }
+    sendJSON(res, 200, revision);
+    return;
+  }
+
+  if (method === 'GET' && resource === 'content' && action === 'diff' && segments.length === 3) {
+    auth.authorize(caller, 'editor');
+    const { from, to } = parsedUrl.query;
+    const current = repository.get(contentId);
+
+    if (!from) {
+      throw new HttpError(400, 'Query parameter "from" is required');
+    }
+
+    // Without "to", diff against the current working copy
+    const diff = to
+      ? revisions.diff(contentId, Number(from), Number(to))
+      : current && revisions.get(contentId, Number(from)) && {
+        id: contentId,
+        from: Number(from),
+        to: 'current',
+        patch: computeDiff(revisions.get(contentId, Number(from)).content, current)
+      };
+
+    if (!diff) {
+      throw new HttpError(404, 'Revision not found');
+    }
+    sendJSON(res, 200, diff);
+    return;
+  }
+
+  if (method === 'POST' && resource === 'content' && action === 'revert' && segments.length === 4) {
+    auth.authorize(caller, 'editor');
+    const revision = revisions.get(contentId, Number(segments[3]));
+    const current = repository.get(contentId);
+
+    if (!revision) {
+      throw new HttpError(404, 'Revision not found');
+    }
+
+    checkPreconditions(req.headers, current);
+
+    const { version, created_at, updated_at, ...fields } = revision.content;
+    validateContent(fields);
+    const item = repository.save(contentId, fields, current, { actor: caller.sub });
+    sendJSON(res, current ? 200 : 201, {
+      success: true,
+      id: item.id,
+      version: item.version,
+      reverted_to: revision.revision
+    }, { ETag: etagFor(item) });
+    return;
+  }
+
+  if (method === 'GET' && path === '/types') {
+    auth.authorize(caller, 'viewer');
+    sendJSON(res, 200, types.list());
+    return;
+  }
+
+  if (method === 'GET' && resource === 'types' && segments.length === 2) {
+    auth.authorize(caller, 'viewer');
+    const definition = types.get(segments[1]);
+
+    if (!definition) {
+      throw new HttpError(404, 'Type not found');
+    }
+    sendJSON(res, 200, definition);
+    return;
+  }
+
+  if (method === 'POST' && path === '/types') {
+    auth.authorize(caller, 'admin');
+    const definition = await readRequest(req);
+
+    const name = definition && definition.name;
+
+    if (types.get(name)) {
+      throw new HttpError(409, 'Type already exists, use PUT to replace it');
+    }
+    sendJSON(res, 201, types.define(name, definition));
+    return;
+  }
+
+  if (method === 'PUT' && resource === 'types' && segments.length === 2) {
+    auth.authorize(caller, 'admin');
+    const definition = await readRequest(req);
+
+    if (definition && definition.name !== undefined && definition.name !== segments[1]) {
+      throw new HttpError(400, 'Type name in body does not match URL');
+    }
+
+    const existed = Boolean(types.get(segments[1]));
+    sendJSON(res, existed ? 200 : 201, types.define(segments[1], definition));
+    return;
+  }
+
+  if (method === 'DELETE' && resource === 'types' && segments.length === 2) {
+    auth.authorize(caller, 'admin');
+    const inUse = repository.list().filter(item => item.type === segments[1]).length;
+
+    if (inUse) {
+      throw new HttpError(409, `Type is used by ${inUse} item(s)`, { count: inUse });
+    }
+
+    const removed = types.remove(segments[1]);
+    if (!removed) {
+      throw new HttpError(404, 'Type not found');
+    }
+    sendJSON(res, 200, { success: true });
+    return;
+  }
+
+  if (method === 'GET' && path === '/assets') {
+    auth.authorize(caller, 'viewer');
+    const { mime = null, tag = null } = parsedUrl.query;
+    sendJSON(res, 200, assets.list({ mime, tag }));
+    return;
+  }
+
+  if (method === 'POST' && path === '/assets') {
+    auth.authorize(caller, 'editor');
+
+    // Room for the multipart framing around the largest allowed upload
+    const body = await readBuffer(req, { limit: assets.config.maxSize + 64 * 1024 });
+    const { fields, files } = parseMultipart(body, req.headers['content-type']);
+
+    if (!files.length) {
+      throw new HttpError(400, 'No file in upload');
+    }
+
+    // Check every file before storing any, so an upload is all or nothing
+    files.forEach(file => assets.check(file));
+    const results = files.map(file => assets.add(file, fields));
+
+    for (const result of results) {
+      if (result.created) {
+        result.asset = await makeThumbnail(result.asset);
+      }
+    }
+
+    sendJSON(res, results.some(result => result.created) ? 201 : 200, {
+      success: true,
+      assets: results.map(({ asset, created }) => ({ ...asset, deduplicated: !created }))
+    });
+    return;
+  }
+
+  if (method === 'GET' && path === '/assets/transforms') {
+    auth.authorize(caller, 'viewer');
+    sendJSON(res, 200, images.capabilities());
+    return;
+  }
+
+  if ((method === 'GET' || method === 'HEAD') && resource === 'assets' && segments.length === 2) {
+    auth.authorize(caller, 'viewer');
+    const asset = assets.get(segments[1]);
+
+    if (!asset) {
+      throw new HttpError(404, 'Asset not found');
+    }
+
+    const ops = images.parse(parsedUrl.query);
+    sendFile(req, res, ops ? await images.derive(asset, ops) : assets.original(asset), { publicRead: auth.config.publicRead });
+    return;
+  }
+
+  if (method === 'PATCH' && resource === 'assets' && segments.length === 2) {
+    auth.authorize(caller, 'editor');
+    const asset = assets.update(segments[1], await readRequest(req));
+
+    if (!asset) {
+      throw new HttpError(404, 'Asset not found');
+    }
+    sendJSON(res, 200, asset);
+    return;
+  }
+
+  if (method === 'DELETE' && resource === 'assets' && segments.length === 2) {
+    auth.authorize(caller, 'publisher');
+    const removed = assets.remove(segments[1]);
+
+    if (!removed) {
+      throw new HttpError(404, 'Asset not found');
+    }
+    images.remove(removed);
+    sendJSON(res, 200, { success: true });
+    return;
+  }
+
+  if (method === 'GET' && path === '/export') {
+    auth.authorize(caller, 'admin');
+    const format = parsedUrl.query.format || 'ndjson';
+    const records = transfer.records({ assets: parsedUrl.query.assets !== 'false' });
+    const filename = `cms-export-${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === 'tar') {
+      const archive = toTarball(Array.from(records));
+      res.writeHead(200, {
+        'Content-Type': 'application/gzip',
+        'Content-Length': String(archive.length),
+        'Content-Disposition': `attachment; filename="${filename}.tar.gz"`
+      });
+      res.end(archive);
+      return;
+    }
+
+    if (format !== 'ndjson') {
+      throw new HttpError(400, 'format must be one of: ndjson, tar');
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'application/x-ndjson',
+      'Content-Disposition': `attachment; filename="${filename}.ndjson"`
+    });
+    for (const record of records) {
+      res.write(toNDJSONLine(record));
+    }
+    res.end();
+    return;
+  }
+
+  if (method === 'POST' && path === '/import') {
+    auth.authorize(caller, 'admin');
+    const body = await readBuffer(req, { limit: maxImportSize });
+    const records = readArchive(body, { contentType: req.headers['content-type'], limit: maxImportSize * 4 });
+    const dryRun = parsedUrl.query.dry_run === 'true';
+
+    const report = transfer.import(records, {
+      policy: parsedUrl.query.on_conflict || 'skip',
+      dryRun,
+      actor: caller.sub
+    });
+
+    if (!dryRun) {
+      for (const entry of report.items) {
+        if (entry.kind === 'asset' && entry.action === 'create') {
+          await makeThumbnail(assets.get(entry.id));
+        }
+      }
+    }
+
+    sendJSON(res, 200, report);
+    return;
+  }
+
+  if (method === 'GET' && path === '/webhooks') {
+    auth.authorize(caller, 'admin');
+    sendJSON(res, 200, webhooks.list().map(hook => webhooks.describe(hook)));
+    return;
+  }
+
+  if (method === 'POST' && path === '/webhooks') {
+    auth.authorize(caller, 'admin');
+    const hook = webhooks.create(await readRequest(req, {}) || {});
+    sendJSON(res, 201, webhooks.describe(hook, { withSecret: true }));
+    return;
+  }
+
+  if (resource === 'webhooks' && segments.length >= 2) {
+    auth.authorize(caller, 'admin');
+    const hookId = segments[1];
+    const hook = webhooks.get(hookId);
+
+    if (!hook) {
+      throw new HttpError(404, 'Webhook not found');
+    }
+
+    if (method === 'GET' && segments.length === 2) {
+      sendJSON(res, 200, webhooks.describe(hook));
+      return;
+    }
+
+    if (method === 'PATCH' && segments.length === 2) {
+      const changes = await readRequest(req, {}) || {};
+      sendJSON(res, 200, webhooks.describe(webhooks.update(hookId, changes), { withSecret: changes.secret !== undefined }));
+      return;
+    }
+
+    if (method === 'DELETE' && segments.length === 2) {
+      webhooks.remove(hookId);
+      sendJSON(res, 200, { success: true });
+      return;
+    }
+
+    if (method === 'POST' && segments.length === 3 && segments[2] === 'ping') {
+      const delivery = webhooks.deliver(hook, 'ping', { event: 'ping', timestamp: new Date().toISOString(), content: null, data: null });
+      sendJSON(res, 202, { success: true, delivery: delivery.id });
+      return;
+    }
+
+    if (method === 'GET' && segments.length === 3 && segments[2] === 'deliveries') {
+      sendJSON(res, 200, webhooks.listDeliveries(hookId, { status: parsedUrl.query.status || null }));
+      return;
+    }
+
+    const delivery = segments[2] === 'deliveries' && segments[3] ? webhooks.getDelivery(segments[3]) : null;
+    if (segments[2] === 'deliveries' && segments[3] && (!delivery || delivery.webhook_id !== hookId)) {
+      throw new HttpError(404, 'Delivery not found');
+    }
+
+    if (method === 'GET' && segments.length === 4 && delivery) {
+      sendJSON(res, 200, delivery);
+      return;
+    }
+
+    if (method === 'POST' && segments.length === 5 && delivery && segments[4] === 'redeliver') {
+      sendJSON(res, 202, webhooks.redeliver(delivery.id));
+      return;
+    }
+  }
+
+  if (method === 'GET' && path === '/admin/keys') {
+    auth.authorize(caller, 'admin');
+    sendJSON(res, 200, auth.listKeys());
+    return;
+  }
+
+  if (method === 'POST' && path === '/admin/keys') {
+    auth.authorize(caller, 'admin');
+    const { name, role } = await readRequest(req);
+    sendJSON(res, 201, auth.createKey({ name, role }));
+    return;
+  }
+
+  if (method === 'DELETE' && path.startsWith('/admin/keys/') && segments.length === 3) {
+    auth.authorize(caller, 'admin');
+    const revoked = auth.revokeKey(segments[2]);
+
+    if (!revoked) {
+      throw new HttpError(404, 'API key not found');
+    }
+    sendJSON(res, 200, revoked);
+    return;
+  }
+
+  if (method === 'POST' && path === '/admin/tokens') {
+    auth.authorize(caller, 'admin');
+    const { sub, role, ttl } = await readRequest(req);
+    const token = auth.signToken({ sub, role }, ttl);
+    sendJSON(res, 201, { token });
+    return;
+  }
+
+  sendJSON(res, 404, { error: 'Route not found' });
+}
+
+/**
+ * Count, time and log a request once its response is done (or aborted)
+ */
+function observe(req, res, id) {
+  const started = process.hrtime.bigint();
+  inFlight++;
+
+  res.once('close', () => {
+    inFlight--;
+    const duration = Number(process.hrtime.bigint() - started) / 1e9;
+    const segments = url.parse(req.url).pathname.split('/').filter(Boolean);
+    const route = routeLabel(segments, RESOURCES);
+    const status = res.writableFinished ? res.statusCode : 499;
+
+    metrics.inc('cms_http_requests_total', { method: req.method, route, status });
+    metrics.observe('cms_http_request_duration_seconds', { method: req.method, route }, duration);
+
+    if (accessLog) {
+      log.info({
+        msg: 'request',
+        request_id: id,
+        method: req.method,
+        path: req.url,
+        route,
+        status,
+        duration_ms: Math.round(duration * 1000),
+        ip: limiter.clientIP(req),
+        caller: req.caller ? req.caller.sub : null,
+        user_agent: req.headers['user-agent'] || null
+      });
+    }
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const id = requestId(req);
+  res.setHeader('X-Request-ID', id);
+  observe(req, res, id);
+
+  const cors = { ...corsHeaders, ...corsOriginHeaders(req.headers.origin, corsOrigins) };
+  Object.entries(cors).forEach(([name, value]) => res.setHeader(name, value));
+
+  handleRequest(req, res).catch(error => {
+    if (res.headersSent) {
+      log.error({ msg: 'Request failed after response started', request_id: id, error: error.stack || String(error) });
+      res.destroy();
+      return;
+    }
+
+    if (error instanceof HttpError) {
+      // Drop the connection instead of reading the rest of a body that is too large
+      const headers = error.status === 413 ? { Connection: 'close' } : {};
+      sendJSON(res, error.status, { error: error.message, ...error.details }, headers);
+      return;
+    }
+
+    log.error({ msg: 'Request failed', request_id: id, error: error.stack || String(error) });
+    sendJSON(res, 500, { error: 'Internal server error', request_id: id });
+  });
+});
+
+/**
+ * node cms_server.js build [--out site/] [--base-url https://example.com/] [--full]
+ * renders the published content to static files instead of serving it
+ */
+async function buildSite(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      out: { type: 'string', default: process.env.CMS_SITE_OUT || 'site' },
+      'base-url': { type: 'string', default: process.env.CMS_SITE_URL || `http://localhost:${PORT}/` },
+      full: { type: 'boolean', default: false }
+    }
+  });
+
+  const site = new SiteBuilder({
+    repository,
+    out: values.out,
+    baseUrl: values['base-url'],
+    title: process.env.CMS_SITE_TITLE || 'CMS',
+    template: process.env.CMS_SITE_TEMPLATE || null,
+    variation: process.env.CMS_SITE_VARIATION || null,
+    defaultLocale
+  });
+
+  const result = await site.build({ full: values.full });
+  console.log(`Built ${result.pages} pages into ${path.resolve(values.out)}: ${result.written.length} written, ${result.unchanged.length} unchanged, ${result.skipped.length} up to date, ${result.removed.length} removed`);
+  result.errors.forEach(({ id, message }) => console.error(`  ${id}: ${message}`));
+  return result.errors.length ? 1 : 0;
+}
+
+function serve() {
+  repository.startScheduler();
+  webhooks.resume();
+
+  server.listen(PORT, () => {
+    console.log(`CMS API Server running on http://localhost:${PORT}`);
+    console.log('Endpoints:');
+    console.log('  GET    /content/:id  - Fetch content by ID (returns ETag, ?locale= or Accept-Language, ?include=author,blocks.image)');
+    console.log('  POST   /content      - Create content');
+    console.log('  PUT    /content/:id  - Replace content (If-Match)');
+    console.log('  PATCH  /content/:id  - Apply JSON Patch (If-Match)');
+    console.log('  GET    /content      - List content (?ids=&type=&status=&tag=&q=&sort=&limit=&cursor=&locale=)');
+    console.log('  DELETE /content/:id  - Delete content (If-Match, follows onDelete of references to it)');
+    console.log('  GET    /content/:id/referrers - Items referencing this one');
+    console.log('  GET    /search?q=    - Full-text search ("phrase", prefix*, &type=&tag=&status=&limit=&offset=)');
+    console.log('  POST   /graphql      - GraphQL queries and mutations (GET for queries, subscriptions stream as SSE)');
+    console.log('  GET    /graphql/schema - GraphQL schema generated from the content types (SDL)');
+    console.log('  POST   /content/:id/publish   - Publish now or at { publish_at }');
+    console.log('  POST   /content/:id/unpublish - Take content offline');
+    console.log('  POST   /content/bulk - Atomic batch of create/update/patch/delete operations');
+    console.log('  GET    /content/stream - Server-Sent Events change feed (?ids=, Last-Event-ID)');
+    console.log('  GET    /content/:id/revisions    - List revisions');
+    console.log('  GET    /content/:id/revisions/:n - Fetch revision n');
+    console.log('  GET    /content/:id/diff?from=&to= - JSON Patch between revisions');
+    console.log('  POST   /content/:id/revert/:n    - Restore revision n as a new version');
+    console.log('  GET    /types        - List content types');
+    console.log('  GET    /types/:name  - Fetch a content type');
+    console.log('  POST   /types        - Register a content type');
+    console.log('  PUT    /types/:name  - Create or replace a content type');
+    console.log('  DELETE /types/:name  - Remove an unused content type');
+    console.log('  GET    /assets       - List assets (?mime=image/*&tag=)');
+    console.log('  POST   /assets       - Upload files (multipart/form-data, deduplicated by hash)');
+    console.log('  GET    /assets/transforms - Image sizes and formats the server can make');
+    console.log('  GET    /assets/:id   - Fetch an asset (Range supported, images: ?w=&h=&fit=&fm=&q=&rect=)');
+    console.log('  PATCH  /assets/:id   - Update filename, tags or metadata');
+    console.log('  DELETE /assets/:id   - Delete an asset');
+    console.log('  GET    /export       - Export content, types and assets (?format=ndjson|tar&assets=false)');
+    console.log('  POST   /import       - Import an export (?dry_run=true&on_conflict=skip|overwrite|rename)');
+    console.log('  GET    /webhooks     - List webhooks');
+    console.log('  POST   /webhooks     - Register a webhook { url, events, secret }');
+    console.log('  PATCH  /webhooks/:id - Update a webhook');
+    console.log('  DELETE /webhooks/:id - Remove a webhook');
+    console.log('  POST   /webhooks/:id/ping - Send a test delivery');
+    console.log('  GET    /webhooks/:id/deliveries - Delivery log (?status=pending|succeeded|failed)');
+    console.log('  POST   /webhooks/:id/deliveries/:delivery/redeliver - Retry a delivery');
+    console.log('  GET    /health       - Liveness and store status');
+    console.log('  GET    /metrics      - Prometheus metrics (admin unless CMS_METRICS_PUBLIC=true)');
+    console.log('  GET    /admin/keys   - List API keys');
+    console.log('  POST   /admin/keys   - Mint an API key');
+    console.log('  DELETE /admin/keys/:id - Revoke an API key');
+    console.log('  POST   /admin/tokens - Mint a bearer token');
+
+    if (process.env.CMS_AUTH === 'off') {
+      console.warn('Auth is disabled (CMS_AUTH=off), every caller is an admin');
+    } else if (!process.env.CMS_ADMIN_KEY && !process.env.CMS_JWT_SECRET && keyStore.size === 0) {
+      console.warn('No CMS_ADMIN_KEY, CMS_JWT_SECRET or API keys configured, write routes are locked');
+    }
+  });
+}
+
+function shutdown() {
+  repository.stopScheduler();
+  changeFeed.close();
+  graph.close();
+  webhooks.close();
+  limiter.close();
+  server.close(() => {
+    stores.forEach(store => store.close());
+    process.exit(0);
+  });
+}
+
+if (process.argv[2] === 'build') {
+  buildSite(process.argv.slice(3))
+    .catch(error => {
+      console.error(error.message);
+      return 1;
+    })
+    .then(code => {
+      stores.forEach(store => store.close());
+      process.exit(code);
+    });
+} else {
+  serve();
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
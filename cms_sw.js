@@ -0,0 +1,146 @@
+/**
+ * CMS Service Worker
+ * Companion to cms_client.js, registered by
+ * CMSClient.init({ serviceWorker: '/cms_sw.js' }).
+ *
+ * - GET /content/:id and /content?ids= go to the network first and fall
+ *   back to the client's IndexedDB cache when offline
+ * - Background Sync ("cms-outbox") replays writes CMSClient queued
+ *   while offline, in order, and reports each result to open pages
+ *
+ * Shares cms_client.js's IndexedDB layout: stores "content"
+ * ({ id, content, etag, fetchedAt }) and "outbox" (queued requests).
+ */
+
+const params = new URL(self.location.href).searchParams;
+const API_ENDPOINT = new URL(params.get('api') || '/', self.location.href);
+const DB_NAME = params.get('db') || 'cms_client';
+const DB_VERSION = 1;
+const OUTBOX_SYNC_TAG = 'cms-outbox';
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', event => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const base = API_ENDPOINT.pathname.replace(/\/$/, '');
+  if (url.origin !== API_ENDPOINT.origin || !url.pathname.startsWith(base)) return;
+
+  const path = url.pathname.slice(base.length);
+  const item = /^\/content\/([^/]+)$/.exec(path);
+  const locale = url.searchParams.get('locale');
+
+  // Same keys CMSClient.cacheKey uses
+  const key = id => (locale ? `${id}@${locale}` : id);
+
+  if (item && item[1] !== 'stream') {
+    event.respondWith(networkFirst(request, [key(decodeURIComponent(item[1]))], false));
+  } else if (path === '/content' && url.searchParams.has('ids')) {
+    const ids = url.searchParams.getAll('ids').flatMap(value => value.split(',')).filter(Boolean);
+    event.respondWith(networkFirst(request, ids.map(key), true));
+  }
+});
+
+self.addEventListener('sync', event => {
+  if (event.tag === OUTBOX_SYNC_TAG) {
+    event.waitUntil(replayOutbox());
+  }
+});
+
+/**
+ * Network response, or the cached copies when the network is unreachable
+ */
+async function networkFirst(request, keys, list) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const db = await openDatabase();
+    const records = (await Promise.all(keys.map(key => run(db, 'content', 'readonly', store => store.get(key)))))
+      .filter(Boolean);
+
+    if (list) {
+      return jsonResponse(200, records.map(record => record.content));
+    }
+
+    if (!records.length) {
+      return jsonResponse(503, { error: 'Offline and not cached' });
+    }
+
+    const headers = records[0].etag ? { ETag: records[0].etag } : {};
+    return jsonResponse(200, records[0].content, headers);
+  }
+}
+
+/**
+ * Send queued writes oldest first. A network error or retryable status
+ * rejects, so the browser schedules another sync with the rest intact.
+ */
+async function replayOutbox() {
+  const db = await openDatabase();
+  const entries = await run(db, 'outbox', 'readonly', store => store.getAll());
+
+  for (const entry of entries) {
+    const response = await fetch(entry.url, {
+      method: entry.method,
+      headers: entry.headers,
+      body: entry.body
+    });
+
+    if (response.status >= 500 || response.status === 408 || response.status === 429) {
+      throw new Error(`CMS: Replay deferred, HTTP ${response.status}`);
+    }
+
+    await run(db, 'outbox', 'readwrite', store => store.delete(entry.seq));
+    await notifyClients({
+      type: 'cms:synced',
+      entry: { contentId: entry.contentId, method: entry.method },
+      status: response.status
+    });
+  }
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true, type: 'window' });
+  clients.forEach(client => client.postMessage(message));
+}
+
+function jsonResponse(status, body, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', 'X-CMS-Offline': '1', ...headers }
+  });
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('content')) {
+        db.createObjectStore('content', { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains('outbox')) {
+        db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function run(db, storeName, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = transaction.onabort = () => reject(transaction.error);
+  });
+}
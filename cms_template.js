@@ -0,0 +1,171 @@
+/**
+ * CMS Templates
+ * The mustache-like renderer behind data-cms-template, same syntax as
+ * ConvoAppGen.renderTemplate: {{path}} (HTML-escaped), {{{path}}} (raw),
+ * {{#each path}}...{{else}}...{{/each}} with {{this}}, {{@index}},
+ * {{@key}}, and {{#if path}}...{{else}}...{{/if}}. Paths not found on
+ * the current item are looked up in outer scopes.
+ *
+ * Shared by cms_client.js (load this script first) and the static site
+ * builder (required through server/shared.js), so a view renders the
+ * same in the browser and in a build.
+ *
+ * Values wrapped in CMSTemplate.SafeHTML are already markup and are not
+ * escaped, so {{content}} can take a rendered body.
+ *
+ * Usage: CMSTemplate.render('<h1>{{title}}</h1>', { title: 'Hello' })
+ */
+
+(function(root) {
+  'use strict';
+
+  class SafeHTML {
+    constructor(html) {
+      this.html = String(html);
+    }
+
+    toString() {
+      return this.html;
+    }
+  }
+
+  const compiled = new Map(); // source -> nodes
+
+  function escapeHTML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Parse a template source into nodes, throwing on malformed blocks
+   */
+  function compile(source) {
+    const tree = { type: null, target: [] };
+    const stack = [tree];
+    const tag = /\{\{(\{)?\s*([^{}]+?)\s*\}?\}\}/g;
+    let last = 0;
+    let match;
+
+    // Nodes go to the open block's body, or its inverse after {{else}}
+    const append = node => stack[stack.length - 1].target.push(node);
+
+    while ((match = tag.exec(source))) {
+      if (match.index > last) {
+        append({ type: 'text', value: source.slice(last, match.index) });
+      }
+      last = tag.lastIndex;
+
+      const [, raw, body] = match;
+      const open = /^#(each|if)\s+(.+)$/.exec(body);
+      const close = /^\/(each|if)$/.exec(body);
+      const block = stack[stack.length - 1];
+
+      if (open) {
+        const node = { type: open[1], path: open[2].trim(), body: [], inverse: [] };
+        append(node);
+        stack.push({ ...node, node, target: node.body });
+      } else if (close) {
+        if (block.type !== close[1]) {
+          throw new Error(`Unexpected {{/${close[1]}}} in template`);
+        }
+        stack.pop();
+      } else if (body === 'else' && block.type) {
+        block.target = block.node.inverse;
+      } else {
+        append({ type: 'value', path: body, raw: Boolean(raw) });
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new Error(`Unclosed {{#${stack[stack.length - 1].type}}} in template`);
+    }
+    if (last < source.length) {
+      append({ type: 'text', value: source.slice(last) });
+    }
+    return tree.target;
+  }
+
+  function lookup(scopes, path) {
+    const scope = scopes[scopes.length - 1];
+
+    if (path === 'this' || path === '.') return scope.value;
+    if (path.startsWith('@')) return scope[path.slice(1)];
+
+    const parts = path.replace(/^this\./, '').split('.');
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      const base = scopes[i].value;
+      if (base !== null && typeof base === 'object' && !(base instanceof SafeHTML) && parts[0] in base) {
+        return parts.reduce((current, prop) => current?.[prop], base);
+      }
+      if (path.startsWith('this.')) break;
+    }
+    return undefined;
+  }
+
+  function renderNodes(nodes, scopes) {
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'text':
+          return node.value;
+        case 'value': {
+          const value = lookup(scopes, node.path);
+          if (value === undefined || value === null) return '';
+          if (value instanceof SafeHTML) return value.html;
+          const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+          return node.raw ? text : escapeHTML(text);
+        }
+        case 'if': {
+          const value = lookup(scopes, node.path);
+          const truthy = Array.isArray(value)
+            ? value.length > 0
+            : Boolean(value instanceof SafeHTML ? value.html : value);
+          return renderNodes(truthy ? node.body : node.inverse, scopes);
+        }
+        case 'each': {
+          const value = lookup(scopes, node.path);
+          const entries = Array.isArray(value)
+            ? value.map((item, index) => [index, item])
+            : (value && typeof value === 'object' && !(value instanceof SafeHTML) ? Object.entries(value) : []);
+
+          if (!entries.length) {
+            return renderNodes(node.inverse, scopes);
+          }
+
+          return entries.map(([key, item], index) => renderNodes(node.body, [
+            ...scopes,
+            { value: item, index, key, first: index === 0, last: index === entries.length - 1 }
+          ])).join('');
+        }
+        default:
+          return '';
+      }
+    }).join('');
+  }
+
+  const CMSTemplate = {
+    SafeHTML,
+    compile,
+    escapeHTML,
+
+    /**
+     * Render a template source with data, throwing on malformed blocks
+     */
+    render(source, data = {}) {
+      if (!compiled.has(source)) {
+        compiled.set(source, compile(source));
+      }
+      return renderNodes(compiled.get(source), [{ value: data }]);
+    }
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CMSTemplate;
+  } else {
+    root.CMSTemplate = CMSTemplate;
+  }
+
+})(typeof window !== 'undefined' ? window : globalThis);
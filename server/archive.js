@@ -0,0 +1,256 @@
+/**
+ * Export Archives
+ * The records GET /export writes and POST /import reads, in two
+ * containers:
+ *
+ * - ndjson: one JSON record per line, asset bytes inline as base64
+ * - tar: a gzipped ustar archive with one JSON file per record and the
+ *   asset bytes as plain files, so an export can be unpacked and read
+ *
+ *   manifest.json               { kind: 'meta', format, version, ... }
+ *   types/<name>.json           { kind: 'type', definition }
+ *   content/<id>.json           { kind: 'content', item, published }
+ *   assets/<id>.json            { kind: 'asset', asset }
+ *   files/<id>/<filename>       the asset's bytes
+ *
+ * Names are URI-encoded; ones longer than ustar allows get a PAX header.
+ */
+
+const zlib = require('zlib');
+const { HttpError } = require('./http');
+
+const FORMAT = 'cms-export';
+const VERSION = 1;
+const BLOCK = 512;
+
+// Import order: types before the content they validate, assets before content
+const KINDS = ['meta', 'type', 'asset', 'content'];
+
+function octal(value, length) {
+  return value.toString(8).padStart(length - 1, '0') + '\0';
+}
+
+function header(name, size, mtime, typeflag = '0') {
+  const block = Buffer.alloc(BLOCK);
+  block.write(name, 0, 100, 'utf8');
+  block.write(octal(0o644, 8), 100, 'latin1');
+  block.write(octal(0, 8), 108, 'latin1');
+  block.write(octal(0, 8), 116, 'latin1');
+  block.write(octal(size, 12), 124, 'latin1');
+  block.write(octal(mtime, 12), 136, 'latin1');
+  block.write(' '.repeat(8), 148, 'latin1');
+  block.write(typeflag, 156, 'latin1');
+  block.write('ustar\0' + '00', 257, 'latin1');
+
+  let checksum = 0;
+  for (const byte of block) checksum += byte;
+  block.write(octal(checksum, 7) + ' ', 148, 'latin1');
+  return block;
+}
+
+function padding(size) {
+  return Buffer.alloc((BLOCK - (size % BLOCK)) % BLOCK);
+}
+
+/**
+ * PAX record "<length> path=<name>\n", the length counting itself
+ */
+function paxPath(name) {
+  const body = ` path=${name}\n`;
+  const size = Buffer.byteLength(body);
+  let length = size + 1;
+  while (String(length).length + size !== length) length++;
+  return Buffer.from(`${length}${body}`);
+}
+
+/**
+ * ustar archive from [{ name, data }]
+ */
+function packTar(entries, { mtime = Math.floor(Date.now() / 1000) } = {}) {
+  const chunks = [];
+
+  entries.forEach(({ name, data }) => {
+    if (Buffer.byteLength(name) > 100) {
+      const pax = paxPath(name);
+      chunks.push(header('PaxHeader', pax.length, mtime, 'x'), pax, padding(pax.length));
+    }
+    chunks.push(header(name.slice(0, 100), data.length, mtime), data, padding(data.length));
+  });
+
+  chunks.push(Buffer.alloc(BLOCK * 2));
+  return Buffer.concat(chunks);
+}
+
+function readString(block, start, length) {
+  const end = block.indexOf(0, start);
+  return block.toString('utf8', start, end === -1 || end > start + length ? start + length : end);
+}
+
+/**
+ * [{ name, data }] for the regular files in a ustar archive, honouring
+ * PAX path records and ustar name prefixes
+ */
+function unpackTar(buffer) {
+  const entries = [];
+  let offset = 0;
+  let longName = null;
+
+  while (offset + BLOCK <= buffer.length) {
+    const block = buffer.subarray(offset, offset + BLOCK);
+    if (block.every(byte => byte === 0)) break;
+
+    const size = parseInt(readString(block, 124, 12).trim() || '0', 8);
+    const typeflag = String.fromCharCode(block[156] || 48);
+    const prefix = readString(block, 345, 155);
+    const name = longName || (prefix ? `${prefix}/${readString(block, 0, 100)}` : readString(block, 0, 100));
+    const data = buffer.subarray(offset + BLOCK, offset + BLOCK + size);
+
+    if (isNaN(size) || data.length < size) {
+      throw new HttpError(400, 'Truncated tar archive');
+    }
+
+    offset += BLOCK + size + padding(size).length;
+
+    if (typeflag === 'x') {
+      const match = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(data.toString('utf8'));
+      longName = match ? match[1] : null;
+      continue;
+    }
+
+    longName = null;
+    if (typeflag === '0' || typeflag === '\0') {
+      entries.push({ name, data });
+    }
+  }
+
+  return entries;
+}
+
+function encodeName(value) {
+  return encodeURIComponent(value);
+}
+
+function manifest(counts) {
+  return { kind: 'meta', format: FORMAT, version: VERSION, exported_at: new Date().toISOString(), counts };
+}
+
+/**
+ * Records as NDJSON lines, asset bytes base64-encoded
+ */
+function toNDJSONLine(record) {
+  const { data, ...rest } = record;
+  return JSON.stringify(data ? { ...rest, data: data.toString('base64') } : rest) + '\n';
+}
+
+/**
+ * Records as a gzipped tarball
+ */
+function toTarball(records) {
+  const mtime = Math.floor(Date.now() / 1000);
+  const entries = [];
+
+  records.forEach(record => {
+    const json = name => entries.push({ name, data: Buffer.from(JSON.stringify(record, null, 2) + '\n') });
+
+    if (record.kind === 'meta') json('manifest.json');
+    if (record.kind === 'type') json(`types/${encodeName(record.definition.name)}.json`);
+    if (record.kind === 'content') json(`content/${encodeName(record.item.id)}.json`);
+    if (record.kind === 'asset') {
+      const { data, ...meta } = record;
+      entries.push({ name: `assets/${encodeName(meta.asset.id)}.json`, data: Buffer.from(JSON.stringify(meta, null, 2) + '\n') });
+      entries.push({ name: `files/${encodeName(meta.asset.id)}/${encodeName(meta.asset.filename)}`, data });
+    }
+  });
+
+  return zlib.gzipSync(packTar(entries, { mtime }));
+}
+
+function parseRecord(text, where) {
+  let record;
+  try {
+    record = JSON.parse(text);
+  } catch (error) {
+    throw new HttpError(400, `Invalid JSON in ${where}`);
+  }
+  if (!record || typeof record !== 'object' || !KINDS.includes(record.kind)) {
+    throw new HttpError(400, `Unknown record in ${where}`, { kinds: KINDS });
+  }
+  return record;
+}
+
+/**
+ * Asset id of a files/<id> tarball entry, as encodeName wrote it
+ */
+function fileId(entry) {
+  try {
+    return decodeURIComponent(entry.name.split('/')[1]);
+  } catch (error) {
+    if (!(error instanceof URIError)) throw error;
+    throw new HttpError(400, `Invalid archive entry "${entry.name}"`);
+  }
+}
+
+function isTarball(buffer, contentType = '') {
+  if (/gzip|x-tar/.test(contentType)) return true;
+  if (/ndjson|json/.test(contentType)) return false;
+  return (buffer[0] === 0x1f && buffer[1] === 0x8b) ||
+    buffer.toString('latin1', 257, 262) === 'ustar';
+}
+
+/**
+ * Records from an uploaded archive of either kind, sorted into import
+ * order. limit caps the unpacked size of a tarball (413).
+ */
+function readArchive(buffer, { contentType = '', limit = Infinity } = {}) {
+  let records;
+
+  if (isTarball(buffer, contentType)) {
+    let tar = buffer;
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      try {
+        tar = zlib.gunzipSync(buffer, { maxOutputLength: Number.isFinite(limit) ? limit : undefined });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw new HttpError(413, 'Archive too large', { limit });
+        }
+        throw new HttpError(400, 'Invalid gzip data');
+      }
+    }
+
+    const entries = unpackTar(tar);
+    const files = new Map(entries
+      .filter(entry => entry.name.startsWith('files/'))
+      .map(entry => [fileId(entry), entry.data]));
+
+    records = entries
+      .filter(entry => entry.name.endsWith('.json') && !entry.name.startsWith('files/'))
+      .map(entry => parseRecord(entry.data.toString('utf8'), entry.name))
+      .map(record => (record.kind === 'asset' && record.asset ? { ...record, data: files.get(record.asset.id) } : record));
+  } else {
+    records = buffer.toString('utf8').split('\n')
+      .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+      .filter(({ line }) => line)
+      .map(({ line, number }) => parseRecord(line, `line ${number}`))
+      .map(record => (record.kind === 'asset' && typeof record.data === 'string'
+        ? { ...record, data: Buffer.from(record.data, 'base64') }
+        : record));
+  }
+
+  const meta = records.find(record => record.kind === 'meta');
+  if (meta && (meta.format !== FORMAT || meta.version > VERSION)) {
+    throw new HttpError(400, `Unsupported archive: ${meta.format} version ${meta.version}`, { format: FORMAT, version: VERSION });
+  }
+
+  return records.sort((a, b) => KINDS.indexOf(a.kind) - KINDS.indexOf(b.kind));
+}
+
+module.exports = {
+  ARCHIVE_FORMAT: FORMAT,
+  ARCHIVE_VERSION: VERSION,
+  manifest,
+  toNDJSONLine,
+  toTarball,
+  readArchive,
+  packTar,
+  unpackTar
+};
@@ -0,0 +1,340 @@
+/**
+ * Asset Library
+ * Uploaded media stored on disk by content hash, with their metadata in
+ * a store shaped like PGliteManager's assets table (filename, mime_type,
+ * size, url, thumbnail_url, metadata, tags).
+ *
+ * An asset's id is derived from its SHA-256, so uploading the same bytes
+ * twice returns the existing asset, and a browser can work out the id of
+ * a file before it is uploaded.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { HttpError, etagMatches } = require('./http');
+const { imageSize } = require('./images');
+
+const DEFAULT_TYPES = [
+  'image/*', 'video/*', 'audio/*', 'application/pdf', 'text/plain',
+  'model/gltf-binary', 'model/gltf+json'
+];
+
+const ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg'
+};
+
+// Leading bytes of formats a browser would otherwise render as something else
+const SIGNATURES = [
+  { type: 'image/png', test: data => data.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'image/jpeg', test: data => data.slice(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  { type: 'image/gif', test: data => /^GIF8[79]a/.test(data.slice(0, 6).toString('latin1')) },
+  { type: 'image/webp', test: data => data.slice(0, 4).toString('latin1') === 'RIFF' && data.slice(8, 12).toString('latin1') === 'WEBP' },
+  { type: 'application/pdf', test: data => data.slice(0, 5).toString('latin1') === '%PDF-' },
+  { type: 'model/gltf-binary', test: data => data.slice(0, 4).toString('latin1') === 'glTF' }
+];
+
+/**
+ * Send a stored file ({ file, mimeType, size, etag, filename }), honouring
+ * Range (single range), If-Range and If-None-Match. Files are addressed by
+ * content hash and never change under a URL, so they cache forever, in
+ * shared caches only when anyone may read them (publicRead).
+ */
+function sendFile(req, res, { file, mimeType, size, etag, filename }, { publicRead = true } = {}) {
+  if (!fs.existsSync(file)) {
+    throw new HttpError(404, 'Asset file not found');
+  }
+
+  const headers = {
+    'Content-Type': mimeType,
+    'Accept-Ranges': 'bytes',
+    ETag: etag,
+    'Cache-Control': `${publicRead ? 'public' : 'private'}, max-age=31536000, immutable`,
+    'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(filename)}`,
+    // Uploaded SVG or HTML must not run script in the API's origin
+    'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox",
+    'X-Content-Type-Options': 'nosniff'
+  };
+
+  if (etagMatches(req.headers['if-none-match'], etag)) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+
+  const ifRange = req.headers['if-range'];
+  const range = !ifRange || etagMatches(ifRange, etag) ? parseRange(req.headers.range, size) : null;
+
+  if (range === false) {
+    res.writeHead(416, { ...headers, 'Content-Range': `bytes */${size}` });
+    res.end();
+    return;
+  }
+
+  const { start, end } = range || { start: 0, end: size - 1 };
+  res.writeHead(range ? 206 : 200, {
+    ...headers,
+    'Content-Length': String(end - start + 1),
+    ...(range ? { 'Content-Range': `bytes ${start}-${end}/${size}` } : {})
+  });
+
+  if (req.method === 'HEAD' || size === 0) {
+    res.end();
+    return;
+  }
+
+  fs.createReadStream(file, { start, end })
+    .on('error', error => {
+      console.error('CMS API: Asset read failed', error);
+      res.destroy(error);
+    })
+    .pipe(res);
+}
+
+function hashOf(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Asset id for a SHA-256 hex digest
+ */
+function assetId(hash) {
+  return hash.slice(0, 32);
+}
+
+function sniff(data) {
+  const match = SIGNATURES.find(signature => signature.test(data));
+  return match ? match.type : null;
+}
+
+function matchesType(mimeType, pattern) {
+  return pattern.endsWith('/*')
+    ? mimeType.startsWith(pattern.slice(0, -1))
+    : mimeType === pattern;
+}
+
+/**
+ * A single byte range from a Range header: { start, end } inclusive,
+ * null to send the whole file, false when it cannot be satisfied.
+ * Multi-range requests get the whole file.
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+
+  if (match[1] === '') {
+    // Suffix range: the last n bytes
+    const length = Number(match[2]);
+    if (length === 0) return false;
+    start = Math.max(size - length, 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end) return false;
+  return { start, end };
+}
+
+/**
+ * tags as a JSON array or a comma-separated list
+ */
+function parseTags(value) {
+  if (value === undefined) return undefined;
+
+  let tags = value;
+  if (typeof value === 'string') {
+    tags = value.trim().startsWith('[') ? parseJSONField('tags', value) : value.split(',');
+  }
+  if (!Array.isArray(tags)) {
+    throw new HttpError(400, 'tags must be a list');
+  }
+  return tags.map(tag => String(tag).trim()).filter(Boolean);
+}
+
+function parseJSONField(name, value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new HttpError(400, `Invalid JSON in ${name}`);
+  }
+}
+
+function parseMetadata(value) {
+  if (value === undefined) return undefined;
+
+  const metadata = typeof value === 'string' ? parseJSONField('metadata', value) : value;
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new HttpError(400, 'metadata must be an object');
+  }
+  return metadata;
+}
+
+class AssetLibrary {
+  constructor(config = {}) {
+    this.config = {
+      store: null,
+      dir: './data/assets',
+      maxSize: 10 * 1024 * 1024, // Bytes per upload request
+      allowedTypes: DEFAULT_TYPES,
+      ...config
+    };
+
+    this.store = this.config.store;
+    fs.mkdirSync(this.config.dir, { recursive: true });
+  }
+
+  list({ mime = null, tag = null } = {}) {
+    return Array.from(this.store.values())
+      .filter(asset => !mime || matchesType(asset.mime_type, mime))
+      .filter(asset => !tag || (asset.tags || []).includes(tag))
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Blob path, sharded by the first two hex digits of the hash
+   */
+  filePath(asset) {
+    return path.join(this.config.dir, asset.hash.slice(0, 2), asset.hash);
+  }
+
+  isAllowed(mimeType) {
+    return this.config.allowedTypes.some(pattern => matchesType(mimeType, pattern));
+  }
+
+  /**
+   * The type an upload will be stored as, rejecting disallowed, mislabelled
+   * or oversized files
+   */
+  check(file) {
+    const sniffed = sniff(file.data);
+    const declared = ALIASES[file.mimeType] || file.mimeType;
+    const mimeType = declared === 'application/octet-stream' && sniffed ? sniffed : declared;
+
+    if (sniffed && sniffed !== mimeType) {
+      throw new HttpError(415, `${file.filename} is ${sniffed}, not ${mimeType}`);
+    }
+    if (!this.isAllowed(mimeType)) {
+      throw new HttpError(415, `File type not allowed: ${mimeType}`, { allowed: this.config.allowedTypes });
+    }
+    if (file.data.length > this.config.maxSize) {
+      throw new HttpError(413, `${file.filename} is larger than ${this.config.maxSize} bytes`, { limit: this.config.maxSize });
+    }
+    return mimeType;
+  }
+
+  /**
+   * Store an uploaded file: { filename, mimeType, data }. Returns
+   * { asset, created }, created being false when the bytes were
+   * already in the library.
+   */
+  add(file, fields = {}) {
+    const mimeType = this.check(file);
+    const hash = hashOf(file.data);
+    const id = assetId(hash);
+    const existing = this.get(id);
+
+    if (existing) {
+      return { asset: existing, created: false };
+    }
+
+    const dimensions = mimeType.startsWith('image/') ? imageSize(file.data) : null;
+    const asset = {
+      id,
+      hash,
+      filename: path.basename(file.filename || id),
+      mime_type: mimeType,
+      size: file.data.length,
+      width: dimensions ? dimensions.width : null,
+      height: dimensions ? dimensions.height : null,
+      url: `/assets/${id}`,
+      thumbnail_url: null,
+      metadata: parseMetadata(fields.metadata) || {},
+      tags: parseTags(fields.tags) || [],
+      created_at: new Date().toISOString()
+    };
+
+    // Write then rename, so a crash never leaves a torn blob under its hash
+    const target = this.filePath(asset);
+    if (!fs.existsSync(target)) {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(`${target}.tmp`, file.data);
+      fs.renameSync(`${target}.tmp`, target);
+    }
+
+    this.store.set(id, asset);
+    return { asset, created: true };
+  }
+
+  /**
+   * Change an asset's filename, tags or metadata; the bytes are immutable
+   */
+  update(id, changes) {
+    const current = this.get(id);
+    if (!current) return null;
+
+    const { filename, ...fields } = changes || {};
+    const tags = parseTags(fields.tags);
+    const metadata = parseMetadata(fields.metadata);
+    const asset = {
+      ...current,
+      ...(filename !== undefined ? { filename: path.basename(String(filename)) } : {}),
+      ...(tags !== undefined ? { tags } : {}),
+      ...(metadata !== undefined ? { metadata } : {}),
+      updated_at: new Date().toISOString()
+    };
+
+    this.store.set(id, asset);
+    return asset;
+  }
+
+  /**
+   * The original's bytes as a file to send
+   */
+  original(asset) {
+    return {
+      file: this.filePath(asset),
+      mimeType: asset.mime_type,
+      size: asset.size,
+      etag: `"${asset.hash}"`,
+      filename: asset.filename
+    };
+  }
+
+  /**
+   * Record the URL of an image's thumbnail once it has been made
+   */
+  setThumbnail(id, thumbnailUrl) {
+    const current = this.get(id);
+    if (!current) return null;
+
+    const asset = { ...current, thumbnail_url: thumbnailUrl };
+    this.store.set(id, asset);
+    return asset;
+  }
+
+  remove(id) {
+    const asset = this.get(id);
+    if (!asset) return null;
+
+    this.store.delete(id);
+    fs.rmSync(this.filePath(asset), { force: true });
+    return asset;
+  }
+}
+
+module.exports = {
+  AssetLibrary,
+  assetId,
+  parseRange,
+  sendFile
+};
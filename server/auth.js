@@ -0,0 +1,240 @@
+/**
+ * CMS Server Authentication & Authorization
+ *
+ * Credentials:
+ * - API keys: "X-API-Key: cms_<id>_<secret>", minted via /admin/keys,
+ *   stored as SHA-256 hashes only
+ * - Bearer tokens: HS256-signed JWTs carrying a "role" claim
+ * - CMS_ADMIN_KEY: bootstrap admin key taken from the environment
+ *
+ * Roles are ordered, each one includes the ones before it:
+ * viewer < editor < publisher < admin
+ */
+
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+
+const ROLES = ['viewer', 'editor', 'publisher', 'admin'];
+
+function hasRole(actual, required) {
+  return ROLES.includes(actual) && ROLES.indexOf(actual) >= ROLES.indexOf(required);
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function base64url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+class Auth {
+  constructor(config = {}) {
+    this.config = {
+      enabled: true,
+      publicRead: true, // Anonymous callers act as viewers
+      adminKey: null,
+      jwtSecret: null,
+      tokenTTL: 3600, // seconds
+      maxTokenTTL: 30 * 24 * 3600, // longest ttl a caller may ask for
+      keyStore: null,
+      ...config
+    };
+
+    this.keys = this.config.keyStore;
+  }
+
+  /**
+   * Identify the caller. Presenting a bad credential is always a 401,
+   * even on routes that anonymous callers may use.
+   */
+  authenticate(req) {
+    if (!this.config.enabled) {
+      return { role: 'admin', sub: 'anonymous', via: 'disabled' };
+    }
+
+    const apiKey = req.headers['x-api-key'];
+    const authorization = req.headers.authorization || '';
+
+    if (apiKey) {
+      return this.verifyKey(apiKey);
+    }
+
+    if (/^Bearer\s+/i.test(authorization)) {
+      const claims = this.verifyToken(authorization.replace(/^Bearer\s+/i, '').trim());
+      return { role: claims.role, sub: claims.sub || null, via: 'token' };
+    }
+
+    return { role: this.config.publicRead ? 'viewer' : null, sub: null, via: 'anonymous' };
+  }
+
+  /**
+   * Require at least the given role
+   */
+  authorize(auth, role) {
+    if (hasRole(auth.role, role)) return;
+
+    if (auth.via === 'anonymous') {
+      throw new HttpError(401, 'Authentication required');
+    }
+    throw new HttpError(403, `Requires ${role} role`);
+  }
+
+  /**
+   * API keys
+   */
+  verifyKey(key) {
+    if (this.config.adminKey && safeEqual(key, this.config.adminKey)) {
+      return { role: 'admin', sub: 'admin-key', via: 'env' };
+    }
+
+    const match = /^cms_([a-f0-9]+)_([A-Za-z0-9_-]+)$/.exec(key);
+    const record = match && this.keys && this.keys.get(match[1]);
+
+    if (!record || record.revoked_at || !safeEqual(sha256(match[2]), record.hash)) {
+      throw new HttpError(401, 'Invalid API key');
+    }
+
+    return { role: record.role, sub: record.name, keyId: record.id, via: 'key' };
+  }
+
+  createKey({ name, role }) {
+    if (!ROLES.includes(role)) {
+      throw new HttpError(400, `Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const record = {
+      id,
+      name: name || id,
+      role,
+      hash: sha256(secret),
+      created_at: new Date().toISOString(),
+      revoked_at: null
+    };
+
+    this.keys.set(id, record);
+    return { ...this.describeKey(record), key: `cms_${id}_${secret}` };
+  }
+
+  revokeKey(id) {
+    const record = this.keys.get(id);
+    if (!record) return null;
+
+    const revoked = { ...record, revoked_at: record.revoked_at || new Date().toISOString() };
+    this.keys.set(id, revoked);
+    return this.describeKey(revoked);
+  }
+
+  listKeys() {
+    return Array.from(this.keys.values()).map(record => this.describeKey(record));
+  }
+
+  describeKey({ hash, ...record }) {
+    return record;
+  }
+
+  /**
+   * HS256 JSON Web Tokens
+   */
+  signToken(claims, ttl = this.config.tokenTTL) {
+    if (!this.config.jwtSecret) {
+      throw new HttpError(501, 'Token signing requires CMS_JWT_SECRET');
+    }
+
+    if (!ROLES.includes(claims.role)) {
+      throw new HttpError(400, `Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const { maxTokenTTL } = this.config;
+    if (!Number.isInteger(ttl) || ttl < 1 || ttl > maxTokenTTL) {
+      throw new HttpError(400, `ttl must be a whole number of seconds from 1 to ${maxTokenTTL}`, { max_ttl: maxTokenTTL });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const payload = { iat: now, exp: now + ttl, ...claims };
+    const unsigned = `${base64url({ alg: 'HS256', typ: 'JWT' })}.${base64url(payload)}`;
+    const signature = crypto.createHmac('sha256', this.config.jwtSecret).update(unsigned).digest('base64url');
+
+    return `${unsigned}.${signature}`;
+  }
+
+  verifyToken(token) {
+    if (!this.config.jwtSecret) {
+      throw new HttpError(401, 'Bearer tokens are not enabled');
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      throw new HttpError(401, 'Malformed token');
+    }
+
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+      claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new HttpError(401, 'Malformed token');
+    }
+    if (!claims || typeof claims !== 'object' || Array.isArray(claims)) {
+      throw new HttpError(401, 'Malformed token');
+    }
+
+    const expected = crypto.createHmac('sha256', this.config.jwtSecret)
+      .update(`${parts[0]}.${parts[1]}`)
+      .digest('base64url');
+
+    if (header.alg !== 'HS256' || !safeEqual(parts[2], expected)) {
+      throw new HttpError(401, 'Invalid token signature');
+    }
+
+    // A time claim that is not a number cannot be checked, so it is not trusted
+    if (['exp', 'nbf'].some(claim => claims[claim] !== undefined && typeof claims[claim] !== 'number')) {
+      throw new HttpError(401, 'Malformed token');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp === 'number' && now >= claims.exp) {
+      throw new HttpError(401, 'Token expired');
+    }
+    if (typeof claims.nbf === 'number' && now < claims.nbf) {
+      throw new HttpError(401, 'Token not yet valid');
+    }
+    if (!ROLES.includes(claims.role)) {
+      throw new HttpError(403, 'Token has no valid role');
+    }
+
+    return claims;
+  }
+}
+
+/**
+ * Build CORS headers for a request origin.
+ * An allowlist of "*" keeps the API open to every origin.
+ */
+function corsOriginHeaders(origin, allowlist) {
+  if (allowlist.includes('*')) {
+    return { 'Access-Control-Allow-Origin': '*' };
+  }
+
+  if (origin && allowlist.includes(origin)) {
+    return { 'Access-Control-Allow-Origin': origin, Vary: 'Origin' };
+  }
+
+  return { Vary: 'Origin' };
+}
+
+module.exports = {
+  Auth,
+  ROLES,
+  hasRole,
+  corsOriginHeaders
+};
@@ -0,0 +1,216 @@
+/**
+ * Bulk Writes
+ * POST /content/bulk applies a list of operations as one unit: each is
+ * checked against the state the earlier ones leave behind, and nothing
+ * is written unless every one passes. The writes then go to storage as
+ * one batch record, so a crash keeps all of them or none, and change
+ * events follow once it is written.
+ *
+ *   { "operations": [
+ *     { "op": "create", "content": { "id": "a", ... } },
+ *     { "op": "update", "id": "b", "content": { ... }, "if_match": "\"etag\"" },
+ *     { "op": "patch", "id": "c", "patch": [{ "op": "replace", ... }] },
+ *     { "op": "delete", "id": "d" }
+ *   ] }
+ *
+ * if_match and content.version are compared with the item as stored
+ * before the batch. Deletes never cascade: an item still referenced
+ * once the batch is done cannot be deleted by it. A failed batch is
+ * rejected with the status of the first failure and an errors list
+ * naming every failed operation.
+ */
+
+const { HttpError, etagFor, etagMatches } = require('./http');
+const { JSONPatchError, applyPatch } = require('./json-patch');
+
+const OPERATIONS = ['create', 'update', 'patch', 'delete'];
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+class BulkWriter {
+  constructor(config = {}) {
+    this.config = {
+      repository: null,
+      validate: () => {}, // (content, { resolve }), throws HttpError
+      references: null, // ReferenceIndex, for delete integrity
+      maxOperations: 1000,
+      ...config
+    };
+
+    this.repository = this.config.repository;
+  }
+
+  /**
+   * Check every operation, returning the writes to make or throwing
+   * one HttpError for the whole batch
+   */
+  plan(operations) {
+    if (!Array.isArray(operations) || !operations.length) {
+      throw new HttpError(400, 'operations must be a non-empty array');
+    }
+    if (operations.length > this.config.maxOperations) {
+      throw new HttpError(413, `At most ${this.config.maxOperations} operations per request`, { limit: this.config.maxOperations });
+    }
+
+    const state = new Map(); // id -> item as the batch leaves it, null once deleted
+    const current = id => (state.has(id) ? state.get(id) : this.repository.get(id) || null);
+    const resolve = id => current(id) || undefined;
+    const errors = [];
+
+    const steps = operations.map((operation, index) => {
+      try {
+        const step = this.check(isObject(operation) ? operation : {}, current, resolve);
+        state.set(step.id, step.content);
+        return { index, ...step };
+      } catch (error) {
+        if (!(error instanceof HttpError)) throw error;
+        errors.push({
+          index,
+          op: isObject(operation) ? operation.op || null : null,
+          id: isObject(operation) ? operation.id || (isObject(operation.content) && operation.content.id) || null : null,
+          status: error.status,
+          message: error.message,
+          ...error.details
+        });
+        return null;
+      }
+    });
+
+    if (this.config.references) {
+      steps.filter(step => step && step.op === 'delete').forEach(step => {
+        const referrers = this.referrers(step.id, state, current);
+        if (referrers.length) {
+          errors.push({ index: step.index, op: 'delete', id: step.id, status: 409, message: 'Content is referenced by other items', referrers });
+        }
+      });
+      errors.sort((a, b) => a.index - b.index);
+    }
+
+    if (errors.length) {
+      throw new HttpError(errors[0].status, 'Bulk operation failed, nothing was changed', { errors });
+    }
+    return steps;
+  }
+
+  /**
+   * References to an id left once the batch is done, from stored items
+   * and items the batch writes
+   */
+  referrers(id, state, current) {
+    const { references } = this.config;
+    const holders = new Set([
+      ...references.referrers(id).map(reference => reference.id),
+      ...Array.from(state.keys()).filter(holder => state.get(holder))
+    ]);
+
+    return Array.from(holders)
+      .filter(holder => current(holder))
+      .flatMap(holder => references.references(current(holder))
+        .filter(reference => reference.id === id)
+        .map(({ path }) => ({ id: holder, path })));
+  }
+
+  /**
+   * One operation against the batch's view of its item:
+   * { op, id, content } with content null for a delete
+   */
+  check(operation, current, resolve) {
+    const { op } = operation;
+
+    if (!OPERATIONS.includes(op)) {
+      throw new HttpError(400, `op must be one of: ${OPERATIONS.join(', ')}`);
+    }
+
+    if (op === 'create') {
+      const content = operation.content;
+      if (!isObject(content)) {
+        throw new HttpError(400, 'content must be an object');
+      }
+
+      const id = content.id !== undefined ? content.id : operation.id;
+      if (operation.id !== undefined && id !== operation.id) {
+        throw new HttpError(400, 'Content ID in content does not match id');
+      }
+      if (!id) {
+        throw new HttpError(400, 'Content ID required');
+      }
+      if (current(id)) {
+        throw new HttpError(409, 'Content already exists, use update or patch');
+      }
+
+      this.config.validate({ ...content, id }, { resolve });
+      return { op, id, content: { ...content, id } };
+    }
+
+    const { id } = operation;
+    if (typeof id !== 'string' || !id) {
+      throw new HttpError(400, 'id required');
+    }
+
+    const item = current(id);
+    if (!item) {
+      throw new HttpError(404, 'Content not found');
+    }
+
+    const stored = this.repository.get(id);
+    const etag = stored ? etagFor(stored) : null;
+    if (operation.if_match !== undefined && !etagMatches(String(operation.if_match), etag)) {
+      throw new HttpError(412, 'Precondition failed: content has changed', { etag });
+    }
+
+    if (op === 'delete') {
+      return { op, id, content: null };
+    }
+
+    let content;
+    if (op === 'update') {
+      content = operation.content;
+      if (!isObject(content)) {
+        throw new HttpError(400, 'content must be an object');
+      }
+      if (content.id !== undefined && content.id !== id) {
+        throw new HttpError(400, 'Content ID in content does not match id');
+      }
+      if (stored && content.version !== undefined && content.version !== stored.version) {
+        throw new HttpError(409, 'Version conflict', { version: stored.version });
+      }
+      content = { ...content, id };
+    } else {
+      try {
+        content = applyPatch(item, operation.patch);
+      } catch (error) {
+        if (!(error instanceof JSONPatchError)) throw error;
+        throw new HttpError(error.conflict ? 409 : 422, error.message);
+      }
+      if (!isObject(content)) {
+        throw new HttpError(422, 'Patched content must be an object');
+      }
+      if (content.id !== id) {
+        throw new HttpError(422, 'Content ID cannot be changed');
+      }
+    }
+
+    this.config.validate(content, { resolve });
+    return { op, id, content };
+  }
+
+  /**
+   * Plan, then write every operation in one batch: [{ index, op, id, version, etag }]
+   */
+  apply(operations, { actor = null } = {}) {
+    const steps = this.plan(operations);
+    const items = this.repository.batch(steps.map(({ id, content }) => ({ id, content })), { actor });
+
+    return steps.map(({ index, op, id }, position) => {
+      const item = items[position];
+      return item ? { index, op, id, version: item.version, etag: etagFor(item) } : { index, op, id };
+    });
+  }
+}
+
+module.exports = {
+  BulkWriter,
+  BULK_OPERATIONS: OPERATIONS
+};
@@ -0,0 +1,605 @@
+/**
+ * GraphQL Content API
+ * Serves /graphql with a schema generated from the registered content
+ * types (see server/graphql.js for the engine). Each type gets an
+ * object type implementing the Content interface (blog-post ->
+ * BlogPost), a single-item and a list field on Query and typed create
+ * and update mutations. Items of types without a definition are served
+ * as Item, their fields under data.
+ *
+ *   {
+ *     allBlogPost(filter: { tag: ["news"], category: "guide" }, first: 10) {
+ *       totalCount
+ *       nodes { id title author { ... on Author { name } } }
+ *       pageInfo { hasNextPage endCursor }
+ *     }
+ *   }
+ *
+ * Reads see what GET /content would (working copies for editors,
+ * published snapshots otherwise) and follow references to the items
+ * they name. Mutations go through the same handlers as the REST routes,
+ * so roles, validation, ifMatch preconditions and reference integrity
+ * apply unchanged.
+ *
+ * Subscriptions stream over Server-Sent Events, one "next" event per
+ * matching change, as in the graphql-sse distinct connections protocol.
+ * The schema is rebuilt whenever a content type changes.
+ */
+
+const { EventEmitter } = require('events');
+const { HttpError, sendJSON } = require('./http');
+const { QueryError, queryContent } = require('./query');
+const { GraphQLError, Schema, parse, validate, execute, subscribe, getOperation } = require('./graphql');
+
+const GRAPHQL_NAME = /^[_A-Za-z][_0-9A-Za-z]*$/;
+
+const SCALAR_KINDS = { string: 'String', integer: 'Int', number: 'Float', boolean: 'Boolean' };
+
+// GET /content filters, see server/query.js
+const LIST_FILTERS = {
+  ids: { type: '[ID!]' },
+  status: { type: '[String!]' },
+  author: { type: '[String!]' },
+  tag: { type: '[String!]', description: 'Items carrying every one of these tags' },
+  q: { type: 'String', description: 'Words every matching item contains' }
+};
+
+const LIST_ARGS = {
+  sort: { type: 'String', description: 'Sort keys as in GET /content, e.g. "title:asc"' },
+  first: { type: 'Int', description: 'Page size, at most 100' },
+  after: { type: 'String', description: 'endCursor of the previous page' }
+};
+
+// Names the generated schema uses for itself
+const RESERVED = [
+  'Query', 'Mutation', 'Subscription', 'Content', 'Item', 'ContentConnection', 'ContentFilter',
+  'PageInfo', 'DeleteResult', 'ContentChange', 'JSON', 'Int', 'Float', 'String', 'Boolean', 'ID'
+];
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * The one JSON Schema type a field holds, or null when it may hold several
+ */
+function kindOf(schema) {
+  const kinds = (Array.isArray(schema.type) ? schema.type : [schema.type]).filter(kind => kind !== undefined && kind !== 'null');
+  if (kinds.length === 1) return kinds[0];
+  if (!kinds.length && Array.isArray(schema.enum) && schema.enum.every(value => typeof value === 'string')) return 'string';
+  return null;
+}
+
+function pascalCase(name) {
+  return name.split(/[-_]+/).filter(Boolean).map(part => part[0].toUpperCase() + part.slice(1)).join('');
+}
+
+class ContentGraph extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      types: null, // TypeRegistry
+      repository: null,
+      references: null, // ReferenceIndex
+      handlers: {}, // { create, update, delete, publish, unpublish }, shared with the REST routes
+      represent: item => item, // (item, wanted) -> item as served, e.g. localized
+      maxDepth: 10, // Nesting a query may reach
+      heartbeatInterval: 25000,
+      log: null, // Logger for resolver failures
+      ...config
+    };
+
+    this.types = this.config.types;
+    this.repository = this.config.repository;
+    this.cached = null;
+    this.names = new Map(); // content type -> GraphQL type name
+    this.clients = new Set();
+    this.setMaxListeners(0);
+
+    this.types.on('change', () => {
+      this.cached = null;
+    });
+  }
+
+  attach(repository) {
+    repository.on('change', change => this.emit('change', change));
+    return this;
+  }
+
+  schema() {
+    if (!this.cached) this.cached = this.build();
+    return this.cached;
+  }
+
+  /**
+   * The schema in SDL, for GET /graphql/schema
+   */
+  sdl() {
+    return this.schema().print();
+  }
+
+  // --- Reads ---
+
+  visible(id, context) {
+    return context.drafts ? this.repository.get(id) : this.repository.getPublished(id);
+  }
+
+  load(id, context) {
+    const item = typeof id === 'string' ? this.visible(id, context) : null;
+    return item ? this.config.represent(item, context.wanted) : null;
+  }
+
+  /**
+   * A field value with the references its schema declares loaded
+   */
+  resolveValue(value, schema, context) {
+    const kind = kindOf(schema);
+    if (kind === 'reference') return this.load(value, context);
+    if (kind === 'array' && schema.items) {
+      return Array.isArray(value) ? value.map(item => this.resolveValue(item, schema.items, context)) : null;
+    }
+    return value;
+  }
+
+  /**
+   * Visible items holding a reference to an id. Public callers only see
+   * references published items hold.
+   */
+  referrers(id, context) {
+    const holders = new Set(this.config.references.referrers(id).map(reference => reference.id));
+
+    return Array.from(holders)
+      .map(holder => this.visible(holder, context))
+      .filter(item => item && this.config.references.references(item).some(reference => reference.id === id))
+      .map(item => this.config.represent(item, context.wanted));
+  }
+
+  /**
+   * A page of items as a connection. Filter fields named in `fields`
+   * match an item field exactly, the rest are GET /content filters.
+   */
+  list({ filter = {}, sort, first, after }, context, { type = null, fields = new Set() } = {}) {
+    const params = {};
+    const equals = [];
+    Object.entries(filter).forEach(([name, value]) => {
+      if (fields.has(name)) equals.push([name, value]);
+      else params[name] = value;
+    });
+
+    const items = (context.drafts ? this.repository.list() : this.repository.listPublished())
+      .filter(item => !type || item.type === type)
+      .filter(item => equals.every(([name, value]) => (item[name] === undefined ? null : item[name]) === value));
+
+    let page;
+    try {
+      page = queryContent(items, { ...params, sort, limit: first, cursor: after });
+    } catch (error) {
+      if (!(error instanceof QueryError)) throw error;
+      throw new HttpError(400, error.message);
+    }
+
+    return {
+      totalCount: page.total,
+      nodes: page.items.map(item => this.config.represent(item, context.wanted)),
+      pageInfo: { hasNextPage: Boolean(page.nextCursor), endCursor: page.nextCursor }
+    };
+  }
+
+  // --- Schema ---
+
+  outputType(schema) {
+    const kind = kindOf(schema);
+    if (SCALAR_KINDS[kind]) return SCALAR_KINDS[kind];
+    if (kind === 'reference') {
+      const targets = [].concat(schema.to || []);
+      return targets.length === 1 && this.names.has(targets[0]) ? this.names.get(targets[0]) : 'Content';
+    }
+    if (kind === 'array' && schema.items) return `[${this.outputType(schema.items)}]`;
+    return 'JSON';
+  }
+
+  inputType(schema) {
+    const kind = kindOf(schema);
+    if (SCALAR_KINDS[kind]) return SCALAR_KINDS[kind];
+    if (kind === 'reference') return 'ID';
+    if (kind === 'array' && schema.items) return `[${this.inputType(schema.items)}]`;
+    return 'JSON';
+  }
+
+  build() {
+    const contentFields = {
+      id: { type: 'ID!' },
+      type: { type: 'String' },
+      status: { type: 'String' },
+      version: { type: 'Int' },
+      locale: { type: 'String' },
+      created_at: { type: 'String' },
+      updated_at: { type: 'String' },
+      published_at: { type: 'String' },
+      publish_at: { type: 'String' },
+      data: { type: 'JSON', description: 'Every field of the item', resolve: item => item },
+      referrers: {
+        type: '[Content!]!',
+        description: 'Items referencing this one',
+        resolve: (item, args, context) => this.referrers(item.id, context)
+      }
+    };
+
+    const connection = (name, node) => ({
+      kind: 'OBJECT',
+      name,
+      fields: {
+        totalCount: { type: 'Int!', description: 'Matching items across every page' },
+        nodes: { type: `[${node}!]!` },
+        pageInfo: { type: 'PageInfo!' }
+      }
+    });
+
+    const write = (handler, ...args) => this.config.handlers[handler](...args);
+    const preconditions = ifMatch => (ifMatch === undefined ? {} : { 'if-match': ifMatch });
+
+    const query = {
+      content: {
+        type: 'Content',
+        args: { id: { type: 'ID!' } },
+        resolve: (source, { id }, context) => this.load(id, context)
+      },
+      contents: {
+        type: 'ContentConnection!',
+        args: { filter: { type: 'ContentFilter' }, ...LIST_ARGS },
+        resolve: (source, args, context) => this.list(args, context)
+      }
+    };
+
+    const mutation = {
+      createContent: {
+        type: 'Content',
+        args: { input: { type: 'JSON!', description: 'The item, as for POST /content' } },
+        resolve: (source, { input }, { caller }) => write('create', isObject(input) ? input : {}, caller)
+      },
+      updateContent: {
+        type: 'Content',
+        description: 'Replace the working copy, as PUT /content/:id does',
+        args: { id: { type: 'ID!' }, input: { type: 'JSON!' }, ifMatch: { type: 'String' } },
+        resolve: (source, { id, input, ifMatch }, { caller }) => write('update', id, isObject(input) ? input : {}, caller, preconditions(ifMatch))
+      },
+      deleteContent: {
+        type: 'DeleteResult!',
+        args: { id: { type: 'ID!' }, ifMatch: { type: 'String' } },
+        resolve: (source, { id, ifMatch }, { caller }) => write('delete', id, caller, preconditions(ifMatch))
+      },
+      publishContent: {
+        type: 'Content',
+        args: { id: { type: 'ID!' }, publishAt: { type: 'String' }, ifMatch: { type: 'String' } },
+        resolve: (source, { id, publishAt = null, ifMatch }, { caller }) => write('publish', id, caller, preconditions(ifMatch), publishAt)
+      },
+      unpublishContent: {
+        type: 'Content',
+        args: { id: { type: 'ID!' }, ifMatch: { type: 'String' } },
+        resolve: (source, { id, ifMatch }, { caller }) => write('unpublish', id, caller, preconditions(ifMatch))
+      }
+    };
+
+    const types = [];
+    const taken = new Set(RESERVED);
+    this.names = new Map();
+
+    // Types whose generated names would clash are served as Item
+    const definitions = this.types.list()
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .filter(definition => {
+        const name = pascalCase(definition.name);
+        const field = name[0].toLowerCase() + name.slice(1);
+        const generated = [name, `${name}Connection`, `${name}Filter`, `${name}Input`];
+
+        if (generated.some(generatedName => taken.has(generatedName)) || field in query || `all${name}` in query) {
+          return false;
+        }
+        generated.forEach(generatedName => taken.add(generatedName));
+        this.names.set(definition.name, name);
+        return true;
+      });
+
+    definitions.forEach(definition => {
+      const name = this.names.get(definition.name);
+      const field = name[0].toLowerCase() + name.slice(1);
+      const properties = Object.entries(definition.properties || {})
+        .filter(([property]) => GRAPHQL_NAME.test(property) && !property.startsWith('__') && !contentFields[property]);
+
+      const filters = properties.filter(([, schema]) => SCALAR_KINDS[kindOf(schema)] || kindOf(schema) === 'reference');
+      const listOptions = { type: definition.name, fields: new Set(filters.map(([property]) => property)) };
+
+      types.push({
+        kind: 'OBJECT',
+        name,
+        description: definition.description,
+        interfaces: ['Content'],
+        fields: {
+          ...contentFields,
+          ...properties.reduce((fields, [property, schema]) => {
+            fields[property] = {
+              type: this.outputType(schema),
+              description: schema.description,
+              resolve: (item, args, context) => this.resolveValue(item[property], schema, context)
+            };
+            return fields;
+          }, {})
+        }
+      });
+
+      types.push(connection(`${name}Connection`, name));
+
+      types.push({
+        kind: 'INPUT_OBJECT',
+        name: `${name}Filter`,
+        fields: {
+          ...LIST_FILTERS,
+          ...filters.reduce((fields, [property, schema]) => {
+            fields[property] = { type: this.inputType(schema), description: `Items whose ${property} equals this` };
+            return fields;
+          }, {})
+        }
+      });
+
+      types.push({
+        kind: 'INPUT_OBJECT',
+        name: `${name}Input`,
+        fields: {
+          id: { type: 'ID' },
+          ...properties.reduce((fields, [property, schema]) => {
+            fields[property] = { type: this.inputType(schema), description: schema.description };
+            return fields;
+          }, {})
+        }
+      });
+
+      const ofType = item => (item && item.type === definition.name ? item : null);
+
+      query[field] = {
+        type: name,
+        args: { id: { type: 'ID!' } },
+        resolve: (source, { id }, context) => ofType(this.load(id, context))
+      };
+      query[`all${name}`] = {
+        type: `${name}Connection!`,
+        args: { filter: { type: `${name}Filter` }, ...LIST_ARGS },
+        resolve: (source, args, context) => this.list(args, context, listOptions)
+      };
+
+      mutation[`create${name}`] = {
+        type: name,
+        args: { input: { type: `${name}Input!` } },
+        resolve: (source, { input }, { caller }) => write('create', { ...input, type: definition.name }, caller)
+      };
+      mutation[`update${name}`] = {
+        type: name,
+        description: 'Replace the working copy, as PUT /content/:id does',
+        args: { id: { type: 'ID!' }, input: { type: `${name}Input!` }, ifMatch: { type: 'String' } },
+        resolve: (source, { id, input, ifMatch }, { caller }) => write('update', id, { ...input, type: definition.name }, caller, preconditions(ifMatch))
+      };
+    });
+
+    return new Schema({
+      query: 'Query',
+      mutation: 'Mutation',
+      subscription: 'Subscription',
+      types: [
+        {
+          kind: 'SCALAR',
+          name: 'JSON',
+          description: 'Any JSON value',
+          serialize: value => value,
+          parse: value => value
+        },
+        {
+          kind: 'INTERFACE',
+          name: 'Content',
+          description: 'A content item of any type',
+          fields: contentFields,
+          resolveType: item => this.names.get(item.type) || 'Item'
+        },
+        {
+          kind: 'OBJECT',
+          name: 'Item',
+          description: 'An item whose type has no definition',
+          interfaces: ['Content'],
+          fields: contentFields
+        },
+        ...types,
+        {
+          kind: 'OBJECT',
+          name: 'PageInfo',
+          fields: {
+            hasNextPage: { type: 'Boolean!' },
+            endCursor: { type: 'String', description: 'Cursor for the next page, null on the last' }
+          }
+        },
+        connection('ContentConnection', 'Content'),
+        {
+          kind: 'INPUT_OBJECT',
+          name: 'ContentFilter',
+          fields: { ...LIST_FILTERS, type: { type: '[String!]' } }
+        },
+        {
+          kind: 'OBJECT',
+          name: 'DeleteResult',
+          fields: {
+            deleted: { type: '[ID!]!', description: 'The item and every item deleted with it' },
+            unlinked: { type: '[ID!]!', description: 'Items whose references to deleted items were removed' }
+          }
+        },
+        {
+          kind: 'OBJECT',
+          name: 'ContentChange',
+          fields: {
+            action: { type: 'String!', description: 'create, update, delete, publish or unpublish' },
+            id: { type: 'ID!' },
+            version: { type: 'Int' },
+            item: { type: 'Content', description: 'The item after the change, null once deleted' }
+          }
+        },
+        { kind: 'OBJECT', name: 'Query', fields: query },
+        { kind: 'OBJECT', name: 'Mutation', fields: mutation },
+        {
+          kind: 'OBJECT',
+          name: 'Subscription',
+          fields: {
+            contentChanged: {
+              type: 'ContentChange!',
+              args: { ids: { type: '[ID!]' }, type: { type: '[String!]' } },
+              resolve: change => change,
+              subscribe: (args, context, emit) => this.watch(args, context, emit)
+            }
+          }
+        }
+      ]
+    });
+  }
+
+  // --- Subscriptions ---
+
+  /**
+   * Emit the changes a subscriber can see, until the returned function
+   * is called. Public subscribers only hear about published snapshots.
+   */
+  watch({ ids = [], type: wantedTypes = [] }, context, emit) {
+    const listener = ({ type: action, id, before, after, publishedBefore, publishedAfter }) => {
+      if (!context.drafts && publishedBefore === publishedAfter) return;
+
+      const item = context.drafts ? after : publishedAfter;
+      const previous = context.drafts ? before : publishedBefore;
+      const { type } = item || previous || {};
+
+      if (ids.length && !ids.includes(id)) return;
+      if (wantedTypes.length && !wantedTypes.includes(type)) return;
+
+      emit({
+        action,
+        id,
+        version: item ? item.version : null,
+        item: item ? this.config.represent(item, context.wanted) : null
+      });
+    };
+
+    this.on('change', listener);
+    return () => this.off('change', listener);
+  }
+
+  stream(req, res, subscription) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(': subscribed\n\n');
+
+    const stop = subscription.start(result => {
+      this.report(res, result);
+      res.write(`event: next\ndata: ${JSON.stringify(result)}\n\n`);
+    });
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), this.config.heartbeatInterval);
+
+    this.clients.add(res);
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      stop();
+      this.clients.delete(res);
+    });
+  }
+
+  /**
+   * End every open subscription (used on shutdown)
+   */
+  close() {
+    this.clients.forEach(res => res.end('event: complete\ndata:\n\n'));
+    this.clients.clear();
+  }
+
+  // --- HTTP ---
+
+  /**
+   * Log resolver failures that were masked as internal errors
+   */
+  report(res, result) {
+    (result.errors || [])
+      .filter(error => error.originalError && !(error.originalError instanceof HttpError))
+      .forEach(({ originalError, path }) => {
+        const fields = {
+          msg: 'GraphQL resolver failed',
+          request_id: res.getHeader('X-Request-ID') || null,
+          path: path ? path.join('.') : null,
+          error: originalError.stack || String(originalError)
+        };
+        if (this.config.log) this.config.log.error(fields);
+        else console.error('CMS API: GraphQL resolver failed', fields);
+      });
+  }
+
+  /**
+   * Answer a GraphQL request: params are the query string (GET) or JSON
+   * body (POST), context { caller, drafts, wanted } the resolvers see
+   */
+  handle(req, res, params, context) {
+    const { query, operationName = null } = isObject(params) ? params : {};
+    let { variables = null } = isObject(params) ? params : {};
+
+    if (typeof query !== 'string' || !query.trim()) {
+      throw new HttpError(400, 'Parameter "query" is required');
+    }
+    if (typeof variables === 'string' && variables) {
+      try {
+        variables = JSON.parse(variables);
+      } catch (error) {
+        throw new HttpError(400, 'variables must be a JSON object');
+      }
+    }
+    if (variables !== null && variables !== '' && !isObject(variables)) {
+      throw new HttpError(400, 'variables must be a JSON object');
+    }
+    if (operationName !== null && typeof operationName !== 'string') {
+      throw new HttpError(400, 'operationName must be a string');
+    }
+
+    const schema = this.schema();
+    let document;
+    let operation;
+    try {
+      document = parse(query);
+      const errors = validate(schema, document, { maxDepth: this.config.maxDepth });
+      if (errors.length) {
+        sendJSON(res, 400, { errors });
+        return;
+      }
+      operation = getOperation(document, operationName || null);
+    } catch (error) {
+      if (!(error instanceof GraphQLError)) throw error;
+      sendJSON(res, 400, { errors: [error] });
+      return;
+    }
+
+    if (operation.operation === 'mutation' && req.method === 'GET') {
+      sendJSON(res, 405, { errors: [new GraphQLError('Mutations must be sent with POST')] }, { Allow: 'POST' });
+      return;
+    }
+
+    const options = { variables: isObject(variables) ? variables : {}, operationName: operationName || null, context };
+
+    if (operation.operation === 'subscription') {
+      const subscription = subscribe(schema, document, options);
+      if (subscription.errors) {
+        sendJSON(res, 400, { errors: subscription.errors });
+        return;
+      }
+      this.stream(req, res, subscription);
+      return;
+    }
+
+    const result = execute(schema, document, options);
+    this.report(res, result);
+    sendJSON(res, 'data' in result ? 200 : 400, result);
+  }
+}
+
+module.exports = { ContentGraph };
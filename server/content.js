@@ -0,0 +1,261 @@
+/**
+ * Content Repository
+ * Owns every write to the content stores so versioning, the
+ * draft/publish workflow and change notifications live in one place.
+ *
+ * Each item has a working copy (contentStore) that editors change, and
+ * once published a frozen snapshot (publishedStore) that anonymous and
+ * embeddable callers see until the next publish.
+ *
+ * Events:
+ * - change: { type, id, before, after, actor, publishedBefore,
+ *   publishedAfter } for create, update, delete, publish and unpublish.
+ *   The published pair is what anonymous readers saw before and after.
+ *   A batch emits its changes once both stores have written it.
+ */
+
+const { EventEmitter } = require('events');
+
+// Only publish/unpublish may change these
+const WORKFLOW_FIELDS = ['status', 'published_at', 'publish_at'];
+
+class ContentRepository extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      contentStore: null,
+      publishedStore: null,
+      schedulerInterval: 30000, // Check for due scheduled items every 30s
+      ...config
+    };
+
+    this.store = this.config.contentStore;
+    this.published = this.config.publishedStore;
+    this.scheduler = null;
+
+    // The working copy is deleted first, so a crash in between leaves a snapshot without one
+    Array.from(this.published.keys())
+      .filter(id => !this.store.has(id))
+      .forEach(id => this.published.delete(id));
+  }
+
+  get(id) {
+    return this.store.get(id);
+  }
+
+  has(id) {
+    return this.store.has(id);
+  }
+
+  getPublished(id) {
+    return this.published.get(id);
+  }
+
+  list() {
+    return Array.from(this.store.entries()).map(([id, content]) => ({ id, ...content }));
+  }
+
+  listPublished() {
+    return Array.from(this.published.values());
+  }
+
+  /**
+   * Store an editor's version of an item. Workflow fields are carried
+   * over from the current version rather than taken from the body.
+   */
+  save(id, content, current = this.get(id), { actor = null } = {}) {
+    return this.write(id, this.withWorkflow(content, current), current, current ? 'update' : 'create', actor);
+  }
+
+  withWorkflow(content, current) {
+    const fields = { ...content };
+    WORKFLOW_FIELDS.forEach(field => delete fields[field]);
+
+    const workflow = current
+      ? WORKFLOW_FIELDS.reduce((acc, field) => {
+        if (current[field] !== undefined) acc[field] = current[field];
+        return acc;
+      }, {})
+      : { status: 'draft', published_at: null };
+
+    return { ...fields, ...workflow };
+  }
+
+  /**
+   * Content with the version and timestamps that follow current
+   */
+  stamp(id, content, current) {
+    const now = new Date().toISOString();
+    return {
+      ...content,
+      id,
+      version: current ? (current.version || 1) + 1 : 1,
+      created_at: (current && current.created_at) || now,
+      updated_at: now
+    };
+  }
+
+  /**
+   * Stamp version and timestamps, persist, and notify listeners
+   */
+  write(id, content, current, type, actor = null) {
+    const item = this.stamp(id, content, current);
+    const publishedBefore = this.published.get(id) || null;
+
+    this.store.set(id, item);
+    if (type === 'publish') this.published.set(id, item);
+    if (type === 'unpublish') this.published.delete(id);
+
+    this.emit('change', {
+      type,
+      id,
+      before: current || null,
+      after: item,
+      actor,
+      publishedBefore,
+      publishedAfter: this.published.get(id) || null
+    });
+    return item;
+  }
+
+  /**
+   * Write an item exported from another instance as it was, workflow
+   * fields and published snapshot (null for none) included. The version
+   * keeps counting up from the local copy so cached ETags stay stale.
+   */
+  restore(id, item, published = null, { actor = null } = {}) {
+    const current = this.get(id);
+    const publishedBefore = this.published.get(id) || null;
+    const restored = {
+      ...item,
+      id,
+      version: current ? Math.max((current.version || 1) + 1, item.version || 1) : item.version || 1,
+      created_at: item.created_at || new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    this.store.set(id, restored);
+    if (published) {
+      this.published.set(id, published);
+    } else {
+      this.published.delete(id);
+    }
+
+    this.emit('change', {
+      type: current ? 'update' : 'create',
+      id,
+      before: current || null,
+      after: restored,
+      actor,
+      publishedBefore,
+      publishedAfter: published
+    });
+    return restored;
+  }
+
+  /**
+   * Save and delete several items as one write to each store, in order:
+   * [{ id, content }] with content null for a delete. Returns the stored
+   * items (null for deletes).
+   */
+  batch(operations, { actor = null } = {}) {
+    const items = new Map(); // id -> item as the batch leaves it, null once deleted
+    const snapshots = new Map();
+    const current = id => (items.has(id) ? items.get(id) : this.get(id) || null);
+    const published = id => (snapshots.has(id) ? snapshots.get(id) : this.published.get(id) || null);
+
+    const changes = operations.map(({ id, content }) => {
+      const before = current(id);
+      const after = content ? this.stamp(id, this.withWorkflow(content, before), before) : null;
+      const publishedBefore = published(id);
+
+      items.set(id, after);
+      if (!after) snapshots.set(id, null);
+      return { type: after ? (before ? 'update' : 'create') : 'delete', id, before, after, publishedBefore };
+    });
+
+    this.store.batch(Array.from(items, ([id, item]) => (item ? { op: 'set', id, value: item } : { op: 'delete', id })));
+    this.published.batch(Array.from(snapshots.keys())
+      .filter(id => this.published.has(id))
+      .map(id => ({ op: 'delete', id })));
+
+    changes.forEach(change => this.emit('change', { ...change, actor, publishedAfter: published(change.id) }));
+    return changes.map(change => change.after);
+  }
+
+  delete(id, { actor = null } = {}) {
+    const current = this.get(id);
+    if (!current) return false;
+
+    const publishedBefore = this.published.get(id) || null;
+
+    this.store.delete(id);
+    this.published.delete(id);
+    this.emit('change', {
+      type: 'delete',
+      id,
+      before: current,
+      after: null,
+      actor,
+      publishedBefore,
+      publishedAfter: null
+    });
+    return true;
+  }
+
+  /**
+   * Publish the working copy now, or schedule it for a future publishAt
+   */
+  publish(id, { publishAt = null, actor = null } = {}) {
+    const current = this.get(id);
+    if (!current) return null;
+
+    if (publishAt && new Date(publishAt).getTime() > Date.now()) {
+      return this.write(id, {
+        ...current,
+        status: current.status === 'published' ? 'published' : 'scheduled',
+        publish_at: new Date(publishAt).toISOString()
+      }, current, 'update', actor);
+    }
+
+    const { publish_at, ...rest } = current;
+    return this.write(id, {
+      ...rest,
+      status: 'published',
+      published_at: new Date().toISOString()
+    }, current, 'publish', actor);
+  }
+
+  unpublish(id, { actor = null } = {}) {
+    const current = this.get(id);
+    if (!current) return null;
+
+    const { publish_at, ...rest } = current;
+    return this.write(id, { ...rest, status: 'draft' }, current, 'unpublish', actor);
+  }
+
+  /**
+   * Publish every item whose publish_at has passed
+   */
+  publishDue(now = Date.now()) {
+    const due = this.list().filter(item => item.publish_at && new Date(item.publish_at).getTime() <= now);
+    return due.map(item => this.publish(item.id, { actor: 'scheduler' }));
+  }
+
+  startScheduler() {
+    this.publishDue();
+    this.scheduler = setInterval(() => this.publishDue(), this.config.schedulerInterval);
+    this.scheduler.unref();
+  }
+
+  stopScheduler() {
+    clearInterval(this.scheduler);
+    this.scheduler = null;
+  }
+}
+
+module.exports = {
+  ContentRepository,
+  WORKFLOW_FIELDS
+};
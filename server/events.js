@@ -0,0 +1,171 @@
+/**
+ * Content Change Feed
+ * Turns ContentRepository changes into AevIP-style patches and streams
+ * them to subscribers over Server-Sent Events (GET /content/stream).
+ *
+ * Two channels are kept:
+ * - draft: every working-copy change, for editors
+ * - public: changes to published snapshots only, for anonymous and
+ *   embeddable readers
+ *
+ * Event ids are "<epoch>-<seq>"; a recent window is buffered so clients
+ * reconnecting with Last-Event-ID get what they missed. When the id is
+ * from an earlier server run or has fallen out of the buffer, a "reset"
+ * event tells the client to refetch instead.
+ */
+
+const { EventEmitter } = require('events');
+const { computeDiff } = require('./json-patch');
+
+function detectChangeType(before, after) {
+  if (!before && after) return 'create';
+  if (before && !after) return 'delete';
+  return 'update';
+}
+
+class ChangeFeed extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      bufferSize: 1000,
+      heartbeatInterval: 25000, // Keeps proxies from closing idle streams
+      retry: 3000, // Client reconnect delay (ms)
+      ...config
+    };
+
+    this.epoch = Date.now().toString(36);
+    this.seq = 0;
+    this.buffer = [];
+    this.clients = new Set();
+    this.setMaxListeners(0);
+  }
+
+  attach(repository) {
+    repository.on('change', change => this.handleChange(change));
+    return this;
+  }
+
+  /**
+   * Build patches for both channels from a repository change
+   */
+  handleChange(change) {
+    const { type, id, before, after, actor, publishedBefore, publishedAfter } = change;
+
+    this.publish('draft', this.createPatch(id, before, after, { action: type, actor }));
+
+    if (publishedBefore !== publishedAfter) {
+      this.publish('public', this.createPatch(id, publishedBefore, publishedAfter, { action: type }));
+    }
+  }
+
+  /**
+   * Patch in the shape AevIPProtocol.createPatch produces
+   */
+  createPatch(contentId, before, after, metadata = {}) {
+    return {
+      id: null,
+      sessionId: `cms-server-${this.epoch}`,
+      timestamp: Date.now(),
+      type: detectChangeType(before, after),
+      diff: computeDiff(before || {}, after || {}),
+      metadata: {
+        contentId,
+        baseVersion: before ? before.version : null,
+        version: after ? after.version : null,
+        priority: 'normal',
+        scope: 'full',
+        ...metadata
+      }
+    };
+  }
+
+  publish(channel, patch) {
+    const event = { seq: ++this.seq, channel, patch: { ...patch, id: `${this.epoch}-${this.seq}` } };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.config.bufferSize) {
+      this.buffer.shift();
+    }
+
+    this.emit('event', event);
+  }
+
+  /**
+   * Events after a Last-Event-ID, or null if the gap cannot be replayed
+   */
+  eventsSince(lastEventId) {
+    const [epoch, seq] = String(lastEventId).split('-');
+    const since = Number(seq);
+
+    if (epoch !== this.epoch || !Number.isInteger(since) || since > this.seq) {
+      return null;
+    }
+
+    const oldest = this.buffer.length ? this.buffer[0].seq : this.seq + 1;
+    if (since < oldest - 1) {
+      return null;
+    }
+
+    return this.buffer.filter(event => event.seq > since);
+  }
+
+  /**
+   * Serve an SSE stream. Options:
+   * - channel: 'draft' or 'public'
+   * - ids: only forward changes to these content ids
+   * - lastEventId: resume point sent by a reconnecting client
+   */
+  subscribe(req, res, { channel = 'public', ids = [], lastEventId = null } = {}) {
+    const wants = event => event.channel === channel &&
+      (!ids.length || ids.includes(event.patch.metadata.contentId));
+
+    const write = event => {
+      res.write(`id: ${event.patch.id}\ndata: ${JSON.stringify(event.patch)}\n\n`);
+    };
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${this.config.retry}\n\n`);
+
+    if (lastEventId) {
+      const missed = this.eventsSince(lastEventId);
+      if (missed) {
+        missed.filter(wants).forEach(write);
+      } else {
+        res.write(`id: ${this.epoch}-${this.seq}\nevent: reset\ndata: {}\n\n`);
+      }
+    }
+
+    const listener = event => {
+      if (wants(event)) write(event);
+    };
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), this.config.heartbeatInterval);
+    const client = { res, channel };
+
+    this.on('event', listener);
+    this.clients.add(client);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      this.off('event', listener);
+      this.clients.delete(client);
+    });
+  }
+
+  /**
+   * End every open stream (used on shutdown)
+   */
+  close() {
+    this.clients.forEach(({ res }) => res.end());
+    this.clients.clear();
+  }
+}
+
+module.exports = {
+  ChangeFeed
+};
@@ -0,0 +1,1288 @@
+/**
+ * GraphQL
+ * Just enough of the GraphQL spec (October 2021) to serve /graphql
+ * without a dependency: a parser for executable documents, schemas
+ * built from plain type definitions, validation, execution,
+ * subscriptions and introspection.
+ *
+ * Types are plain objects naming other types with SDL references:
+ *
+ *   new Schema({
+ *     types: [{
+ *       kind: 'OBJECT',
+ *       name: 'Query',
+ *       fields: {
+ *         post: { type: 'Post', args: { id: { type: 'ID!' } }, resolve: (source, args, context, info) => ... }
+ *       }
+ *     }, ...]
+ *   })
+ *
+ * Resolvers run synchronously; a field without one reads the property
+ * of the same name. A resolver error is reported in `errors` with the
+ * field's path and nulls the nearest nullable field above it.
+ * Subscription root fields also take subscribe(args, context, emit),
+ * returning a function that stops the subscription.
+ *
+ * Not supported: unions, custom directives, field merging checks.
+ */
+
+const { STATUS_CODES } = require('http');
+const { HttpError } = require('./http');
+
+const NAME = /[_A-Za-z][_0-9A-Za-z]*/y;
+const NUMBER = /-?(0|[1-9][0-9]*)(\.[0-9]+)?([eE][+-]?[0-9]+)?/y;
+const PUNCTUATORS = '!$&()[]{}:=@|';
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+class GraphQLError extends Error {
+  constructor(message, { locations = null, path = null, extensions = null, originalError = null } = {}) {
+    super(message);
+    this.name = 'GraphQLError';
+    this.locations = locations;
+    this.path = path;
+    this.extensions = extensions;
+    this.originalError = originalError;
+  }
+
+  toJSON() {
+    return {
+      message: this.message,
+      ...(this.locations ? { locations: this.locations } : {}),
+      ...(this.path ? { path: this.path } : {}),
+      ...(this.extensions ? { extensions: this.extensions } : {})
+    };
+  }
+}
+
+/**
+ * A thrown error as reported in a response. HttpErrors keep their
+ * message with the status in extensions, anything else is masked.
+ */
+function locatedError(error, nodes, path) {
+  if (error instanceof GraphQLError && error.path) return error;
+
+  const locations = nodes.map(node => node.loc);
+  if (error instanceof GraphQLError) {
+    return new GraphQLError(error.message, { ...error, locations: error.locations || locations, path });
+  }
+  if (error instanceof HttpError) {
+    const code = (STATUS_CODES[error.status] || 'Error').toUpperCase().replace(/[^A-Z]+/g, '_');
+    return new GraphQLError(error.message, {
+      locations,
+      path,
+      extensions: { code, status: error.status, ...error.details },
+      originalError: error
+    });
+  }
+  return new GraphQLError('Internal server error', {
+    locations,
+    path,
+    extensions: { code: 'INTERNAL_SERVER_ERROR' },
+    originalError: error
+  });
+}
+
+// --- Language ---
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const fail = message => {
+    throw new GraphQLError(`Syntax Error: ${message}`, { locations: [{ line, column: i - lineStart + 1 }] });
+  };
+  const match = pattern => {
+    pattern.lastIndex = i;
+    const found = pattern.exec(source);
+    return found && found[0];
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (ch === '\n') {
+      line++;
+      lineStart = ++i;
+      continue;
+    }
+    if (ch === ' ' || ch === '\t' || ch === ',' || ch === '\r' || ch === '\ufeff') {
+      i++;
+      continue;
+    }
+    if (ch === '#') {
+      while (i < source.length && source[i] !== '\n') i++;
+      continue;
+    }
+
+    const loc = { line, column: i - lineStart + 1 };
+
+    if (source.startsWith('...', i)) {
+      tokens.push({ kind: 'punct', value: '...', loc });
+      i += 3;
+    } else if (PUNCTUATORS.includes(ch)) {
+      tokens.push({ kind: 'punct', value: ch, loc });
+      i++;
+    } else if (/[_A-Za-z]/.test(ch)) {
+      const name = match(NAME);
+      tokens.push({ kind: 'name', value: name, loc });
+      i += name.length;
+    } else if (/[-0-9]/.test(ch)) {
+      const number = match(NUMBER);
+      if (!number || /[_A-Za-z.]/.test(source[i + number.length] || '')) fail(`Invalid number at "${source.slice(i, i + 10)}"`);
+      tokens.push({ kind: /[.eE]/.test(number) ? 'float' : 'int', value: number, loc });
+      i += number.length;
+    } else if (source.startsWith('"""', i)) {
+      let end = i + 3;
+      while (end < source.length && !(source.startsWith('"""', end) && source[end - 1] !== '\\')) end++;
+      if (end >= source.length) fail('Unterminated string');
+      const raw = source.slice(i + 3, end);
+      tokens.push({ kind: 'string', value: blockString(raw.replace(/\\"""/g, '"""')), loc });
+      for (let p = i; p < end; p++) {
+        if (source[p] === '\n') {
+          line++;
+          lineStart = p + 1;
+        }
+      }
+      i = end + 3;
+    } else if (ch === '"') {
+      let value = '';
+      i++;
+      while (source[i] !== '"') {
+        if (i >= source.length || source[i] === '\n') fail('Unterminated string');
+        if (source[i] === '\\') {
+          const escape = source[i + 1];
+          if (escape === 'u' && /^[0-9A-Fa-f]{4}$/.test(source.slice(i + 2, i + 6))) {
+            value += String.fromCharCode(parseInt(source.slice(i + 2, i + 6), 16));
+            i += 6;
+          } else if (ESCAPES[escape]) {
+            value += ESCAPES[escape];
+            i += 2;
+          } else {
+            fail(`Invalid escape sequence "\\${escape}"`);
+          }
+        } else {
+          value += source[i++];
+        }
+      }
+      i++;
+      tokens.push({ kind: 'string', value, loc });
+    } else {
+      fail(`Unexpected character "${ch}"`);
+    }
+  }
+
+  tokens.push({ kind: 'eof', value: '<EOF>', loc: { line, column: i - lineStart + 1 } });
+  return tokens;
+}
+
+/**
+ * Block string value: common indentation and blank first/last lines removed
+ */
+function blockString(raw) {
+  const lines = raw.split(/\r\n|\r|\n/);
+  const indents = lines.slice(1)
+    .filter(text => text.trim())
+    .map(text => text.match(/^[ \t]*/)[0].length);
+  const indent = indents.length ? Math.min(...indents) : 0;
+  const trimmed = lines.map((text, index) => (index ? text.slice(indent) : text));
+
+  while (trimmed.length && !trimmed[0].trim()) trimmed.shift();
+  while (trimmed.length && !trimmed[trimmed.length - 1].trim()) trimmed.pop();
+  return trimmed.join('\n');
+}
+
+class Parser {
+  constructor(source) {
+    this.tokens = tokenize(String(source));
+    this.pos = 0;
+  }
+
+  peek(kind, value) {
+    const token = this.tokens[this.pos];
+    return token.kind === kind && (value === undefined || token.value === value);
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  skip(kind, value) {
+    if (!this.peek(kind, value)) return false;
+    this.pos++;
+    return true;
+  }
+
+  expect(kind, value) {
+    if (this.peek(kind, value)) return this.next();
+
+    const token = this.tokens[this.pos];
+    const wanted = value !== undefined ? `"${value}"` : kind === 'name' ? 'Name' : kind;
+    throw new GraphQLError(`Syntax Error: Expected ${wanted}, found ${token.kind === 'eof' ? '<EOF>' : `"${token.value}"`}.`, {
+      locations: [token.loc]
+    });
+  }
+
+  name() {
+    return this.expect('name').value;
+  }
+
+  document() {
+    const definitions = [];
+    do {
+      definitions.push(this.definition());
+    } while (!this.peek('eof'));
+    return { definitions };
+  }
+
+  definition() {
+    if (this.peek('punct', '{')) {
+      return this.operation();
+    }
+    if (this.peek('name', 'fragment')) {
+      const loc = this.next().loc;
+      const name = this.name();
+      if (name === 'on') {
+        throw new GraphQLError('Syntax Error: Unexpected Name "on".', { locations: [loc] });
+      }
+      this.expect('name', 'on');
+      return {
+        kind: 'fragment',
+        name,
+        typeCondition: this.name(),
+        directives: this.directives(),
+        selectionSet: this.selectionSet(),
+        loc
+      };
+    }
+    if (['query', 'mutation', 'subscription'].some(operation => this.peek('name', operation))) {
+      return this.operation();
+    }
+
+    const token = this.tokens[this.pos];
+    throw new GraphQLError(`Syntax Error: Unexpected ${token.kind === 'eof' ? '<EOF>' : `"${token.value}"`}.`, {
+      locations: [token.loc]
+    });
+  }
+
+  operation() {
+    const loc = this.tokens[this.pos].loc;
+    if (this.peek('punct', '{')) {
+      return { kind: 'operation', operation: 'query', name: null, variables: [], directives: [], selectionSet: this.selectionSet(), loc };
+    }
+
+    const operation = this.next().value;
+    const name = this.peek('name') ? this.name() : null;
+    const variables = [];
+
+    if (this.skip('punct', '(')) {
+      do {
+        const variableLoc = this.expect('punct', '$').loc;
+        const variable = { name: this.name(), loc: variableLoc };
+        this.expect('punct', ':');
+        variable.type = this.typeRef();
+        if (this.skip('punct', '=')) variable.defaultValue = this.value(true);
+        variable.directives = this.directives();
+        variables.push(variable);
+      } while (!this.skip('punct', ')'));
+    }
+
+    return { kind: 'operation', operation, name, variables, directives: this.directives(), selectionSet: this.selectionSet(), loc };
+  }
+
+  selectionSet() {
+    const loc = this.expect('punct', '{').loc;
+    const selections = [];
+    do {
+      selections.push(this.selection());
+    } while (!this.skip('punct', '}'));
+    return { selections, loc };
+  }
+
+  selection() {
+    const loc = this.tokens[this.pos].loc;
+
+    if (this.skip('punct', '...')) {
+      if (this.peek('name') && !this.peek('name', 'on')) {
+        return { kind: 'spread', name: this.name(), directives: this.directives(), loc };
+      }
+      const typeCondition = this.skip('name', 'on') ? this.name() : null;
+      return { kind: 'inline', typeCondition, directives: this.directives(), selectionSet: this.selectionSet(), loc };
+    }
+
+    let alias = null;
+    let name = this.name();
+    if (this.skip('punct', ':')) {
+      alias = name;
+      name = this.name();
+    }
+
+    return {
+      kind: 'field',
+      alias,
+      name,
+      arguments: this.arguments(false),
+      directives: this.directives(),
+      selectionSet: this.peek('punct', '{') ? this.selectionSet() : null,
+      loc
+    };
+  }
+
+  arguments(isConst) {
+    const args = {};
+    if (!this.skip('punct', '(')) return args;
+
+    do {
+      const token = this.tokens[this.pos];
+      const name = this.name();
+      if (name in args) {
+        throw new GraphQLError(`There can be only one argument named "${name}".`, { locations: [token.loc] });
+      }
+      this.expect('punct', ':');
+      args[name] = this.value(isConst);
+    } while (!this.skip('punct', ')'));
+    return args;
+  }
+
+  directives() {
+    const directives = [];
+    while (this.peek('punct', '@')) {
+      const loc = this.next().loc;
+      directives.push({ name: this.name(), arguments: this.arguments(false), loc });
+    }
+    return directives;
+  }
+
+  value(isConst) {
+    const token = this.tokens[this.pos];
+
+    if (token.kind === 'punct' && token.value === '$' && !isConst) {
+      this.next();
+      return { kind: 'variable', name: this.name(), loc: token.loc };
+    }
+    if (token.kind === 'int' || token.kind === 'float') {
+      this.next();
+      return { kind: token.kind, value: Number(token.value), loc: token.loc };
+    }
+    if (token.kind === 'string') {
+      this.next();
+      return { kind: 'string', value: token.value, loc: token.loc };
+    }
+    if (token.kind === 'name') {
+      this.next();
+      if (token.value === 'true' || token.value === 'false') return { kind: 'boolean', value: token.value === 'true', loc: token.loc };
+      if (token.value === 'null') return { kind: 'null', value: null, loc: token.loc };
+      return { kind: 'enum', value: token.value, loc: token.loc };
+    }
+    if (this.skip('punct', '[')) {
+      const values = [];
+      while (!this.skip('punct', ']')) values.push(this.value(isConst));
+      return { kind: 'list', values, loc: token.loc };
+    }
+    if (this.skip('punct', '{')) {
+      const fields = {};
+      while (!this.skip('punct', '}')) {
+        const name = this.name();
+        this.expect('punct', ':');
+        fields[name] = this.value(isConst);
+      }
+      return { kind: 'object', fields, loc: token.loc };
+    }
+
+    throw new GraphQLError(`Syntax Error: Unexpected ${token.kind === 'eof' ? '<EOF>' : `"${token.value}"`}.`, {
+      locations: [token.loc]
+    });
+  }
+
+  typeRef() {
+    let type;
+    if (this.skip('punct', '[')) {
+      type = { kind: 'LIST', ofType: this.typeRef() };
+      this.expect('punct', ']');
+    } else {
+      type = { kind: 'NAMED', name: this.name() };
+    }
+    return this.skip('punct', '!') ? { kind: 'NON_NULL', ofType: type } : type;
+  }
+}
+
+/**
+ * Parse an executable document, throwing a GraphQLError on bad syntax
+ */
+function parse(source) {
+  return new Parser(source).document();
+}
+
+const typeRefs = new Map();
+
+/**
+ * "[Post!]!" as { kind: 'NON_NULL', ofType: { kind: 'LIST', ... } }
+ */
+function typeRef(source) {
+  if (!typeRefs.has(source)) {
+    const parser = new Parser(source);
+    const ref = parser.typeRef();
+    parser.expect('eof');
+    typeRefs.set(source, ref);
+  }
+  return typeRefs.get(source);
+}
+
+function printRef(ref) {
+  if (ref.kind === 'NON_NULL') return `${printRef(ref.ofType)}!`;
+  if (ref.kind === 'LIST') return `[${printRef(ref.ofType)}]`;
+  return ref.name;
+}
+
+function namedOf(ref) {
+  return ref.kind === 'NAMED' ? ref.name : namedOf(ref.ofType);
+}
+
+/**
+ * A JavaScript value as a GraphQL literal, for defaults in SDL and introspection
+ */
+function printValue(value) {
+  if (Array.isArray(value)) return `[${value.map(printValue).join(', ')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.entries(value).map(([name, field]) => `${name}: ${printValue(field)}`).join(', ')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// --- Types ---
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function scalar(name, description, check) {
+  const coerce = value => {
+    const result = check(value);
+    if (result === undefined) {
+      throw new GraphQLError(`${name} cannot represent value: ${printValue(value)}`);
+    }
+    return result;
+  };
+  return { kind: 'SCALAR', name, description, serialize: coerce, parse: coerce };
+}
+
+const SCALARS = [
+  scalar('Int', 'Signed 32-bit integer', value => (Number.isInteger(value) && Math.abs(value) <= 2147483647 ? value : undefined)),
+  scalar('Float', 'Double-precision floating-point number', value => (typeof value === 'number' && isFinite(value) ? value : undefined)),
+  scalar('String', 'UTF-8 character sequence', value => (typeof value === 'string' ? value : undefined)),
+  scalar('Boolean', 'true or false', value => (typeof value === 'boolean' ? value : undefined)),
+  scalar('ID', 'Unique identifier, serialized as a string', value => (
+    typeof value === 'string' || Number.isInteger(value) ? String(value) : undefined
+  ))
+];
+
+// Output serialization is more lenient than input, as in the reference implementation
+SCALARS[2].serialize = value => {
+  if (typeof value === 'string') return value;
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  throw new GraphQLError(`String cannot represent value: ${printValue(value)}`);
+};
+
+const DIRECTIVES = [
+  {
+    name: 'include',
+    description: 'Include this selection only when "if" is true',
+    locations: ['FIELD', 'FRAGMENT_SPREAD', 'INLINE_FRAGMENT'],
+    args: { if: { type: 'Boolean!' } }
+  },
+  {
+    name: 'skip',
+    description: 'Leave this selection out when "if" is true',
+    locations: ['FIELD', 'FRAGMENT_SPREAD', 'INLINE_FRAGMENT'],
+    args: { if: { type: 'Boolean!' } }
+  }
+];
+
+/**
+ * Introspection sees named types as their definitions and wrappers as
+ * { kind: 'LIST' | 'NON_NULL', ofType }
+ */
+function introspectRef(schema, ref) {
+  return ref.kind === 'NAMED' ? schema.type(ref.name) : { kind: ref.kind, ofType: ref.ofType };
+}
+
+function inputValues(schema, values) {
+  return Object.entries(values || {}).map(([name, value]) => ({ ...value, name, schema }));
+}
+
+const INTROSPECTION = [
+  {
+    kind: 'OBJECT',
+    name: '__Schema',
+    fields: {
+      description: { type: 'String', resolve: schema => schema.description || null },
+      types: { type: '[__Type!]!', resolve: schema => Array.from(schema.types.values()) },
+      queryType: { type: '__Type!', resolve: schema => schema.type(schema.query) },
+      mutationType: { type: '__Type', resolve: schema => schema.type(schema.mutation) || null },
+      subscriptionType: { type: '__Type', resolve: schema => schema.type(schema.subscription) || null },
+      directives: { type: '[__Directive!]!', resolve: () => DIRECTIVES }
+    }
+  },
+  {
+    kind: 'OBJECT',
+    name: '__Type',
+    fields: {
+      kind: { type: '__TypeKind!' },
+      name: { type: 'String', resolve: type => type.name || null },
+      description: { type: 'String', resolve: type => type.description || null },
+      specifiedByURL: { type: 'String', resolve: () => null },
+      fields: {
+        type: '[__Field!]',
+        args: { includeDeprecated: { type: 'Boolean', defaultValue: false } },
+        resolve: (type, args, context, { schema }) => (type.kind === 'OBJECT' || type.kind === 'INTERFACE'
+          ? Object.entries(type.fields).map(([name, field]) => ({ ...field, name, schema }))
+          : null)
+      },
+      interfaces: {
+        type: '[__Type!]',
+        resolve: (type, args, context, { schema }) => {
+          if (type.kind === 'OBJECT') return type.interfaces.map(name => schema.type(name));
+          return type.kind === 'INTERFACE' ? [] : null;
+        }
+      },
+      possibleTypes: {
+        type: '[__Type!]',
+        resolve: (type, args, context, { schema }) => (type.kind === 'INTERFACE' ? schema.possibleTypes(type.name) : null)
+      },
+      enumValues: {
+        type: '[__EnumValue!]',
+        args: { includeDeprecated: { type: 'Boolean', defaultValue: false } },
+        resolve: type => (type.kind === 'ENUM' ? type.values.map(name => ({ name })) : null)
+      },
+      inputFields: {
+        type: '[__InputValue!]',
+        args: { includeDeprecated: { type: 'Boolean', defaultValue: false } },
+        resolve: (type, args, context, { schema }) => (type.kind === 'INPUT_OBJECT' ? inputValues(schema, type.fields) : null)
+      },
+      ofType: { type: '__Type', resolve: (type, args, context, { schema }) => (type.ofType ? introspectRef(schema, type.ofType) : null) },
+      isOneOf: { type: 'Boolean', resolve: type => (type.kind === 'INPUT_OBJECT' ? false : null) }
+    }
+  },
+  {
+    kind: 'OBJECT',
+    name: '__Field',
+    fields: {
+      name: { type: 'String!' },
+      description: { type: 'String', resolve: field => field.description || null },
+      args: {
+        type: '[__InputValue!]!',
+        args: { includeDeprecated: { type: 'Boolean', defaultValue: false } },
+        resolve: field => inputValues(field.schema, field.args)
+      },
+      type: { type: '__Type!', resolve: field => introspectRef(field.schema, field.typeRef) },
+      isDeprecated: { type: 'Boolean!', resolve: () => false },
+      deprecationReason: { type: 'String', resolve: () => null }
+    }
+  },
+  {
+    kind: 'OBJECT',
+    name: '__InputValue',
+    fields: {
+      name: { type: 'String!' },
+      description: { type: 'String', resolve: value => value.description || null },
+      type: { type: '__Type!', resolve: value => introspectRef(value.schema, value.typeRef || typeRef(value.type)) },
+      defaultValue: { type: 'String', resolve: value => (value.defaultValue === undefined ? null : printValue(value.defaultValue)) },
+      isDeprecated: { type: 'Boolean!', resolve: () => false },
+      deprecationReason: { type: 'String', resolve: () => null }
+    }
+  },
+  {
+    kind: 'OBJECT',
+    name: '__EnumValue',
+    fields: {
+      name: { type: 'String!' },
+      description: { type: 'String', resolve: () => null },
+      isDeprecated: { type: 'Boolean!', resolve: () => false },
+      deprecationReason: { type: 'String', resolve: () => null }
+    }
+  },
+  {
+    kind: 'OBJECT',
+    name: '__Directive',
+    fields: {
+      name: { type: 'String!' },
+      description: { type: 'String' },
+      locations: { type: '[__DirectiveLocation!]!' },
+      args: {
+        type: '[__InputValue!]!',
+        args: { includeDeprecated: { type: 'Boolean', defaultValue: false } },
+        resolve: (directive, args, context, { schema }) => inputValues(schema, directive.args)
+      },
+      isRepeatable: { type: 'Boolean!', resolve: () => false }
+    }
+  },
+  {
+    kind: 'ENUM',
+    name: '__TypeKind',
+    values: ['SCALAR', 'OBJECT', 'INTERFACE', 'UNION', 'ENUM', 'INPUT_OBJECT', 'LIST', 'NON_NULL']
+  },
+  {
+    kind: 'ENUM',
+    name: '__DirectiveLocation',
+    values: [
+      'QUERY', 'MUTATION', 'SUBSCRIPTION', 'FIELD', 'FRAGMENT_DEFINITION', 'FRAGMENT_SPREAD', 'INLINE_FRAGMENT',
+      'VARIABLE_DEFINITION', 'SCHEMA', 'SCALAR', 'OBJECT', 'FIELD_DEFINITION', 'ARGUMENT_DEFINITION', 'INTERFACE',
+      'UNION', 'ENUM', 'ENUM_VALUE', 'INPUT_OBJECT', 'INPUT_FIELD_DEFINITION'
+    ]
+  }
+];
+
+const BUILT_IN = new Set([...SCALARS, ...INTROSPECTION].map(type => type.name));
+
+// Fields every query root answers without declaring them
+const META_FIELDS = prepareFields({
+  __schema: { type: '__Schema!', args: {}, resolve: (source, args, context, { schema }) => schema },
+  __type: {
+    type: '__Type',
+    args: { name: { type: 'String!' } },
+    resolve: (source, { name }, context, { schema }) => schema.type(name) || null
+  }
+});
+
+const { __typename: TYPENAME } = prepareFields({
+  __typename: { type: 'String!', resolve: (source, args, context, { parentType }) => parentType.name }
+});
+
+/**
+ * Fields and arguments with their type references parsed
+ */
+function prepareFields(fields = {}) {
+  return Object.entries(fields).reduce((prepared, [name, field]) => {
+    prepared[name] = {
+      ...field,
+      typeRef: typeRef(field.type),
+      args: Object.entries(field.args || {}).reduce((args, [argName, arg]) => {
+        args[argName] = { ...arg, typeRef: typeRef(arg.type) };
+        return args;
+      }, {})
+    };
+    return prepared;
+  }, {});
+}
+
+class Schema {
+  constructor(config = {}) {
+    this.config = {
+      types: [],
+      query: 'Query',
+      mutation: null,
+      subscription: null,
+      description: null,
+      ...config
+    };
+
+    this.query = this.config.query;
+    this.mutation = this.config.mutation;
+    this.subscription = this.config.subscription;
+    this.description = this.config.description;
+    this.types = new Map();
+
+    [...SCALARS, ...INTROSPECTION, ...this.config.types].forEach(type => {
+      if (this.types.has(type.name)) {
+        throw new Error(`GraphQL type "${type.name}" is defined twice`);
+      }
+      this.types.set(type.name, {
+        interfaces: [],
+        ...type,
+        ...(type.fields ? { fields: prepareFields(type.fields) } : {})
+      });
+    });
+
+    this.types.forEach(type => {
+      Object.entries(type.fields || {}).forEach(([name, field]) => {
+        [field.typeRef, ...Object.values(field.args || {}).map(arg => arg.typeRef)].forEach(ref => {
+          if (!this.types.has(namedOf(ref))) {
+            throw new Error(`GraphQL type "${namedOf(ref)}" used by ${type.name}.${name} is not defined`);
+          }
+        });
+      });
+    });
+  }
+
+  type(name) {
+    return this.types.get(name);
+  }
+
+  /**
+   * The definition of a field on a type, including __typename and the
+   * introspection fields of the query root
+   */
+  field(type, name) {
+    if (name === '__typename') return TYPENAME;
+    if (type.name === this.query && META_FIELDS[name]) return META_FIELDS[name];
+    return type.fields ? type.fields[name] : undefined;
+  }
+
+  possibleTypes(name) {
+    return Array.from(this.types.values()).filter(type => type.kind === 'OBJECT' && type.interfaces.includes(name));
+  }
+
+  /**
+   * Whether selections with this type condition apply to an object type
+   */
+  applies(objectType, condition) {
+    return condition === objectType.name || objectType.interfaces.includes(condition);
+  }
+
+  /**
+   * The schema in the GraphQL schema definition language
+   */
+  print() {
+    const description = (text, indent = '') => (text ? `${indent}${JSON.stringify(text)}\n` : '');
+    const args = field => {
+      const entries = Object.entries(field.args || {});
+      if (!entries.length) return '';
+      return `(${entries.map(([name, arg]) => `${name}: ${printRef(arg.typeRef)}${
+        arg.defaultValue !== undefined ? ` = ${printValue(arg.defaultValue)}` : ''
+      }`).join(', ')})`;
+    };
+    const fields = type => Object.entries(type.fields).map(([name, field]) => (
+      `${description(field.description, '  ')}  ${name}${args(field)}: ${printRef(field.typeRef)}${
+        field.defaultValue !== undefined ? ` = ${printValue(field.defaultValue)}` : ''
+      }`
+    )).join('\n');
+
+    const types = Array.from(this.types.values())
+      .filter(type => !BUILT_IN.has(type.name))
+      .map(type => {
+        const head = description(type.description);
+        switch (type.kind) {
+          case 'SCALAR':
+            return `${head}scalar ${type.name}`;
+          case 'ENUM':
+            return `${head}enum ${type.name} {\n${type.values.map(value => `  ${value}`).join('\n')}\n}`;
+          case 'INPUT_OBJECT':
+            return `${head}input ${type.name} {\n${fields(type)}\n}`;
+          case 'INTERFACE':
+            return `${head}interface ${type.name} {\n${fields(type)}\n}`;
+          default:
+            return `${head}type ${type.name}${
+              type.interfaces.length ? ` implements ${type.interfaces.join(' & ')}` : ''
+            } {\n${fields(type)}\n}`;
+        }
+      });
+
+    const roots = [['query', this.query], ['mutation', this.mutation], ['subscription', this.subscription]]
+      .filter(([, name]) => name && this.types.has(name));
+    const schema = `schema {\n${roots.map(([operation, name]) => `  ${operation}: ${name}`).join('\n')}\n}`;
+
+    return [schema, ...types].join('\n\n') + '\n';
+  }
+}
+
+// --- Values ---
+
+/**
+ * A literal as a JavaScript value, variables substituted. An unset
+ * variable is undefined.
+ */
+function valueFromAST(node, variables) {
+  switch (node.kind) {
+    case 'variable':
+      return variables[node.name];
+    case 'list':
+      return node.values.map(value => valueFromAST(value, variables));
+    case 'object':
+      return Object.entries(node.fields).reduce((object, [name, value]) => {
+        const field = valueFromAST(value, variables);
+        if (field !== undefined) object[name] = field;
+        return object;
+      }, {});
+    default:
+      return node.value;
+  }
+}
+
+/**
+ * Coerce an input value to a type reference, throwing a GraphQLError
+ * naming where it came from
+ */
+function coerceInput(schema, ref, value, where) {
+  if (ref.kind === 'NON_NULL') {
+    if (value === null || value === undefined) {
+      throw new GraphQLError(`${where}: expected non-null value of type "${printRef(ref)}".`);
+    }
+    return coerceInput(schema, ref.ofType, value, where);
+  }
+  if (value === null || value === undefined) return value;
+
+  if (ref.kind === 'LIST') {
+    return (Array.isArray(value) ? value : [value]).map((item, index) => coerceInput(schema, ref.ofType, item, `${where}[${index}]`));
+  }
+
+  const type = schema.type(ref.name);
+  if (type.kind === 'SCALAR') {
+    try {
+      return type.parse(value);
+    } catch (error) {
+      throw new GraphQLError(`${where}: ${error.message}`);
+    }
+  }
+  if (type.kind === 'ENUM') {
+    if (!type.values.includes(value)) {
+      throw new GraphQLError(`${where}: value ${printValue(value)} does not exist in "${type.name}" enum.`);
+    }
+    return value;
+  }
+  if (type.kind === 'INPUT_OBJECT') {
+    if (!isPlainObject(value)) {
+      throw new GraphQLError(`${where}: expected an object of type "${type.name}".`);
+    }
+    Object.keys(value).forEach(name => {
+      if (!type.fields[name]) {
+        throw new GraphQLError(`${where}: field "${name}" is not defined by type "${type.name}".`);
+      }
+    });
+    return Object.entries(type.fields).reduce((object, [name, field]) => {
+      const fieldValue = value[name] === undefined ? field.defaultValue : value[name];
+      const coerced = coerceInput(schema, field.typeRef, fieldValue, `${where}.${name}`);
+      if (coerced !== undefined) object[name] = coerced;
+      return object;
+    }, {});
+  }
+
+  throw new GraphQLError(`${where}: "${type.name}" is not an input type.`);
+}
+
+function isInputType(schema, ref) {
+  const type = schema.type(namedOf(ref));
+  return Boolean(type) && ['SCALAR', 'ENUM', 'INPUT_OBJECT'].includes(type.kind);
+}
+
+function coerceArguments(schema, definitions, nodes, variables) {
+  return Object.entries(definitions).reduce((args, [name, definition]) => {
+    let value = nodes[name] ? valueFromAST(nodes[name], variables) : undefined;
+    if (value === undefined) value = definition.defaultValue;
+
+    if (value === undefined && definition.typeRef.kind === 'NON_NULL') {
+      throw new GraphQLError(`Argument "${name}" of required type "${printRef(definition.typeRef)}" was not provided.`);
+    }
+    if (value !== undefined) {
+      args[name] = coerceInput(schema, definition.typeRef, value, `Argument "${name}"`);
+    }
+    return args;
+  }, {});
+}
+
+// --- Validation ---
+
+/**
+ * Problems that stop a document from running: unknown fields, types,
+ * arguments, fragments and variables, misplaced selections and
+ * anything nested deeper than maxDepth
+ */
+function validate(schema, document, { maxDepth = Infinity } = {}) {
+  const errors = [];
+  const report = (message, ...nodes) => errors.push(new GraphQLError(message, { locations: nodes.map(node => node.loc) }));
+
+  const fragments = {};
+  const operations = document.definitions.filter(definition => definition.kind === 'operation');
+
+  document.definitions.filter(definition => definition.kind === 'fragment').forEach(fragment => {
+    if (fragments[fragment.name]) report(`There can be only one fragment named "${fragment.name}".`, fragment);
+    fragments[fragment.name] = fragment;
+
+    const type = schema.type(fragment.typeCondition);
+    if (!type) report(`Unknown type "${fragment.typeCondition}".`, fragment);
+    else if (type.kind !== 'OBJECT' && type.kind !== 'INTERFACE') {
+      report(`Fragment "${fragment.name}" cannot condition on non composite type "${type.name}".`, fragment);
+    }
+  });
+
+  if (operations.length > 1 && operations.some(operation => !operation.name)) {
+    report('This anonymous operation must be the only defined operation.', operations.find(operation => !operation.name));
+  }
+  operations.forEach((operation, index) => {
+    if (operation.name && operations.findIndex(other => other.name === operation.name) !== index) {
+      report(`There can be only one operation named "${operation.name}".`, operation);
+    }
+  });
+
+  const checkDirectives = (directives, used) => directives.forEach(directive => {
+    const definition = DIRECTIVES.find(known => known.name === directive.name);
+    if (!definition) {
+      report(`Unknown directive "@${directive.name}".`, directive);
+      return;
+    }
+    checkArguments(definition.args, directive.arguments, directive, used, `directive "@${directive.name}"`);
+  });
+
+  const checkArguments = (definitions, nodes, owner, used, label) => {
+    const prepared = Object.entries(definitions || {}).reduce((args, [name, arg]) => {
+      args[name] = { ...arg, typeRef: arg.typeRef || typeRef(arg.type) };
+      return args;
+    }, {});
+
+    Object.entries(nodes).forEach(([name, node]) => {
+      if (!prepared[name]) {
+        report(`Unknown argument "${name}" on ${label}.`, node);
+        return;
+      }
+      collectVariables(node, used);
+      if (!containsVariable(node)) {
+        try {
+          coerceInput(schema, prepared[name].typeRef, valueFromAST(node, {}), `Argument "${name}"`);
+        } catch (error) {
+          if (!(error instanceof GraphQLError)) throw error;
+          report(error.message, node);
+        }
+      }
+    });
+
+    Object.entries(prepared).forEach(([name, arg]) => {
+      if (arg.typeRef.kind === 'NON_NULL' && arg.defaultValue === undefined && !nodes[name]) {
+        report(`Argument "${name}" of type "${printRef(arg.typeRef)}" is required on ${label}, but it was not provided.`, owner);
+      }
+    });
+  };
+
+  // Introspection fields do not count towards maxDepth, as clients cannot shorten them
+  let tooDeep = false;
+  const walk = (selectionSet, type, depth, trail, used) => {
+    if (depth > maxDepth) {
+      if (!tooDeep) report(`Query is nested deeper than the maximum depth of ${maxDepth}.`, selectionSet);
+      tooDeep = true;
+      return;
+    }
+
+    selectionSet.selections.forEach(selection => {
+      checkDirectives(selection.directives, used);
+
+      if (selection.kind === 'field') {
+        const field = schema.field(type, selection.name);
+        if (!field) {
+          report(`Cannot query field "${selection.name}" on type "${type.name}".`, selection);
+          return;
+        }
+        checkArguments(field.args, selection.arguments, selection, used, `field "${type.name}.${selection.name}"`);
+
+        const fieldType = schema.type(namedOf(field.typeRef));
+        const composite = fieldType.kind === 'OBJECT' || fieldType.kind === 'INTERFACE';
+        if (composite && !selection.selectionSet) {
+          report(`Field "${selection.name}" of type "${printRef(field.typeRef)}" must have a selection of subfields.`, selection);
+        } else if (!composite && selection.selectionSet) {
+          report(`Field "${selection.name}" must not have a selection since type "${printRef(field.typeRef)}" has no subfields.`, selection);
+        } else if (composite) {
+          walk(selection.selectionSet, fieldType, selection.name.startsWith('__') ? -Infinity : depth + 1, trail, used);
+        }
+        return;
+      }
+
+      if (selection.kind === 'inline') {
+        const condition = selection.typeCondition ? schema.type(selection.typeCondition) : type;
+        if (!condition) {
+          report(`Unknown type "${selection.typeCondition}".`, selection);
+        } else if (condition.kind !== 'OBJECT' && condition.kind !== 'INTERFACE') {
+          report(`Fragment cannot condition on non composite type "${condition.name}".`, selection);
+        } else {
+          walk(selection.selectionSet, condition, depth, trail, used);
+        }
+        return;
+      }
+
+      const fragment = fragments[selection.name];
+      if (!fragment) {
+        report(`Unknown fragment "${selection.name}".`, selection);
+      } else if (trail.includes(fragment.name)) {
+        report(`Cannot spread fragment "${fragment.name}" within itself.`, selection);
+      } else if (schema.type(fragment.typeCondition)) {
+        walk(fragment.selectionSet, schema.type(fragment.typeCondition), depth, [...trail, fragment.name], used);
+      }
+    });
+  };
+
+  operations.forEach(operation => {
+    const rootName = schema[operation.operation];
+    const root = rootName && schema.type(rootName);
+    if (!root) {
+      report(`Schema is not configured for ${operation.operation} operations.`, operation);
+      return;
+    }
+
+    const defined = new Set();
+    operation.variables.forEach(variable => {
+      if (defined.has(variable.name)) report(`There can be only one variable named "$${variable.name}".`, variable);
+      defined.add(variable.name);
+
+      if (!schema.type(namedOf(variable.type))) report(`Unknown type "${namedOf(variable.type)}".`, variable);
+      else if (!isInputType(schema, variable.type)) {
+        report(`Variable "$${variable.name}" cannot be non-input type "${printRef(variable.type)}".`, variable);
+      }
+    });
+
+    if (operation.operation === 'subscription' && operation.selectionSet.selections.length !== 1) {
+      report(`${operation.name ? `Subscription "${operation.name}"` : 'Anonymous Subscription'} must select only one top level field.`, operation);
+    }
+
+    const used = new Map();
+    checkDirectives(operation.directives, used);
+    walk(operation.selectionSet, root, 1, [], used);
+
+    used.forEach((node, name) => {
+      if (!defined.has(name)) {
+        report(`Variable "$${name}" is not defined${operation.name ? ` by operation "${operation.name}"` : ''}.`, node, operation);
+      }
+    });
+  });
+
+  return errors;
+}
+
+function containsVariable(node) {
+  if (node.kind === 'variable') return true;
+  if (node.kind === 'list') return node.values.some(containsVariable);
+  if (node.kind === 'object') return Object.values(node.fields).some(containsVariable);
+  return false;
+}
+
+function collectVariables(node, used) {
+  if (node.kind === 'variable') used.set(node.name, node);
+  if (node.kind === 'list') node.values.forEach(value => collectVariables(value, used));
+  if (node.kind === 'object') Object.values(node.fields).forEach(value => collectVariables(value, used));
+}
+
+// --- Execution ---
+
+/**
+ * The operation a request runs: the one named, or the only one
+ */
+function getOperation(document, operationName = null) {
+  const operations = document.definitions.filter(definition => definition.kind === 'operation');
+
+  if (operationName) {
+    const operation = operations.find(candidate => candidate.name === operationName);
+    if (!operation) throw new GraphQLError(`Unknown operation named "${operationName}".`);
+    return operation;
+  }
+  if (operations.length !== 1) {
+    throw new GraphQLError(operations.length ? 'Must provide operation name if query contains multiple operations.' : 'Must provide an operation.');
+  }
+  return operations[0];
+}
+
+function coerceVariables(schema, operation, values) {
+  return operation.variables.reduce((variables, definition) => {
+    let value = values[definition.name];
+    if (value === undefined && definition.defaultValue) {
+      value = valueFromAST(definition.defaultValue, {});
+    }
+    value = coerceInput(schema, definition.type, value, `Variable "$${definition.name}"`);
+    if (value !== undefined) variables[definition.name] = value;
+    return variables;
+  }, {});
+}
+
+/**
+ * Prepare an operation to run: { operation, variables } or { errors }
+ */
+function prepare(schema, document, { variables = {}, operationName = null } = {}) {
+  try {
+    const operation = getOperation(document, operationName);
+    return { operation, variables: coerceVariables(schema, operation, isPlainObject(variables) ? variables : {}) };
+  } catch (error) {
+    if (!(error instanceof GraphQLError)) throw error;
+    return { errors: [error] };
+  }
+}
+
+function shouldInclude(directives, variables) {
+  return directives.every(directive => {
+    const condition = directive.arguments.if ? valueFromAST(directive.arguments.if, variables) : undefined;
+    if (directive.name === 'skip') return condition !== true;
+    if (directive.name === 'include') return condition === true;
+    return true;
+  });
+}
+
+class Execution {
+  constructor(schema, document, { variables, context, operation }) {
+    this.schema = schema;
+    this.variables = variables;
+    this.context = context;
+    this.operation = operation;
+    this.errors = [];
+    this.fragments = document.definitions
+      .filter(definition => definition.kind === 'fragment')
+      .reduce((fragments, fragment) => ({ ...fragments, [fragment.name]: fragment }), {});
+  }
+
+  /**
+   * Field nodes of the selection sets by response key, in query order
+   */
+  collectFields(type, selectionSets, fields = new Map(), visited = new Set()) {
+    selectionSets.forEach(selectionSet => selectionSet.selections.forEach(selection => {
+      if (!shouldInclude(selection.directives, this.variables)) return;
+
+      if (selection.kind === 'field') {
+        const key = selection.alias || selection.name;
+        fields.set(key, [...(fields.get(key) || []), selection]);
+      } else if (selection.kind === 'inline') {
+        if (!selection.typeCondition || this.schema.applies(type, selection.typeCondition)) {
+          this.collectFields(type, [selection.selectionSet], fields, visited);
+        }
+      } else if (!visited.has(selection.name)) {
+        visited.add(selection.name);
+        const fragment = this.fragments[selection.name];
+        if (fragment && this.schema.applies(type, fragment.typeCondition)) {
+          this.collectFields(type, [fragment.selectionSet], fields, visited);
+        }
+      }
+    }));
+    return fields;
+  }
+
+  executeFields(type, source, selectionSets, path) {
+    const result = {};
+    this.collectFields(type, selectionSets).forEach((nodes, key) => {
+      result[key] = this.executeField(type, source, nodes, [...path, key]);
+    });
+    return result;
+  }
+
+  executeField(parentType, source, nodes, path) {
+    const field = this.schema.field(parentType, nodes[0].name);
+    const info = {
+      fieldName: nodes[0].name,
+      fieldNodes: nodes,
+      parentType,
+      path,
+      schema: this.schema,
+      operation: this.operation,
+      variables: this.variables
+    };
+
+    try {
+      const args = coerceArguments(this.schema, field.args, nodes[0].arguments, this.variables);
+      const value = field.resolve
+        ? field.resolve(source, args, this.context, info)
+        : (source === null || source === undefined ? null : source[info.fieldName]);
+
+      return this.complete(field.typeRef, nodes, value, path, `${parentType.name}.${info.fieldName}`);
+    } catch (error) {
+      const located = locatedError(error, nodes, path);
+      if (field.typeRef.kind === 'NON_NULL') throw located;
+      this.errors.push(located);
+      return null;
+    }
+  }
+
+  complete(ref, nodes, value, path, label) {
+    if (ref.kind === 'NON_NULL') {
+      const completed = this.complete(ref.ofType, nodes, value, path, label);
+      if (completed === null) {
+        throw new GraphQLError(`Cannot return null for non-nullable field ${label}.`);
+      }
+      return completed;
+    }
+    if (value === null || value === undefined) return null;
+
+    if (ref.kind === 'LIST') {
+      if (!Array.isArray(value)) {
+        throw new GraphQLError(`Expected a list for field ${label}.`);
+      }
+      return value.map((item, index) => {
+        try {
+          return this.complete(ref.ofType, nodes, item, [...path, index], label);
+        } catch (error) {
+          const located = locatedError(error, nodes, [...path, index]);
+          if (ref.ofType.kind === 'NON_NULL') throw located;
+          this.errors.push(located);
+          return null;
+        }
+      });
+    }
+
+    let type = this.schema.type(ref.name);
+    if (type.kind === 'SCALAR') return type.serialize(value);
+    if (type.kind === 'ENUM') {
+      if (!type.values.includes(value)) throw new GraphQLError(`Enum "${type.name}" cannot represent value: ${printValue(value)}`);
+      return value;
+    }
+
+    if (type.kind === 'INTERFACE') {
+      const name = type.resolveType(value, this.context);
+      const resolved = this.schema.type(name);
+      if (!resolved || !resolved.interfaces.includes(type.name)) {
+        throw new GraphQLError(`Abstract type "${type.name}" must resolve to an object type implementing it, got "${name}".`);
+      }
+      type = resolved;
+    }
+
+    return this.executeFields(type, value, nodes.map(node => node.selectionSet), path);
+  }
+
+  run(rootValue) {
+    const root = this.schema.type(this.schema[this.operation.operation]);
+    let data;
+    try {
+      data = this.executeFields(root, rootValue, [this.operation.selectionSet], []);
+    } catch (error) {
+      if (!(error instanceof GraphQLError)) throw error;
+      this.errors.push(error);
+      data = null;
+    }
+    return this.errors.length ? { errors: this.errors, data } : { data };
+  }
+}
+
+/**
+ * Run a query or mutation: { data, errors? }, or { errors } when the
+ * operation or its variables are unusable
+ */
+function execute(schema, document, { variables, operationName, context = {}, rootValue = null } = {}) {
+  const prepared = prepare(schema, document, { variables, operationName });
+  if (prepared.errors) return prepared;
+
+  return new Execution(schema, document, { ...prepared, context }).run(rootValue);
+}
+
+/**
+ * Start a subscription: { errors } or { start(next) } where start
+ * returns the function that stops it and next receives one execution
+ * result per event, run with the event as root value
+ */
+function subscribe(schema, document, { variables, operationName, context = {} } = {}) {
+  const prepared = prepare(schema, document, { variables, operationName });
+  if (prepared.errors) return prepared;
+
+  const { operation } = prepared;
+  const execution = new Execution(schema, document, { ...prepared, context });
+  const root = schema.type(schema.subscription);
+  const fields = Array.from(execution.collectFields(root, [operation.selectionSet]));
+  if (!fields.length) {
+    return { errors: [new GraphQLError('Subscription must select a field.')] };
+  }
+
+  const [[key, nodes]] = fields;
+  const field = schema.field(root, nodes[0].name);
+
+  let args;
+  try {
+    args = coerceArguments(schema, field.args, nodes[0].arguments, prepared.variables);
+  } catch (error) {
+    return { errors: [locatedError(error, nodes, [key])] };
+  }
+
+  return {
+    start: next => field.subscribe(args, context, event => {
+      next(new Execution(schema, document, { ...prepared, context }).run(event));
+    })
+  };
+}
+
+module.exports = {
+  GraphQLError,
+  Schema,
+  parse,
+  validate,
+  execute,
+  subscribe,
+  getOperation,
+  printValue
+};
@@ -0,0 +1,124 @@
+/**
+ * HTTP helpers shared by the cms_server.cjs routes
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Error carrying an HTTP status, thrown from handlers and
+ * turned into a JSON error response by the server
+ */
+class HttpError extends Error {
+  constructor(status, message, details = null) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Write a JSON response (headers already set on res are kept)
+ */
+function sendJSON(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Buffer the raw request body as bytes. With a limit, a body that
+ * declares or streams more than that many bytes is rejected with 413.
+ */
+function readBuffer(req, { limit = Infinity } = {}) {
+  const declared = Number(req.headers['content-length']);
+  if (declared > limit) {
+    return Promise.reject(new HttpError(413, 'Request body too large', { limit }));
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    // Past the limit the rest is drained unbuffered so the 413 reaches the client
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        chunks.length = 0;
+        reject(new HttpError(413, 'Request body too large', { limit }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Buffer and return the raw request body
+ */
+async function readBody(req, options = {}) {
+  return (await readBuffer(req, options)).toString();
+}
+
+/**
+ * Buffer and parse a JSON request body, an empty body yields the fallback
+ * when one is given. options.limit caps the body size (413).
+ */
+async function readJSON(req, fallback, options = {}) {
+  const body = await readBody(req, options);
+
+  if (!body.trim() && fallback !== undefined) {
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    throw new HttpError(400, 'Invalid JSON');
+  }
+}
+
+/**
+ * Decoded segments of a request path, 400 for malformed percent-encoding
+ */
+function pathSegments(pathname) {
+  try {
+    return pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (error) {
+    if (!(error instanceof URIError)) throw error;
+    throw new HttpError(400, 'Malformed URL');
+  }
+}
+
+/**
+ * Strong ETag derived from the serialized item
+ */
+function etagFor(item) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(item)).digest('base64url');
+  return `"${hash}"`;
+}
+
+/**
+ * Check an If-Match / If-None-Match header value against an ETag.
+ * Weak comparison is used, so W/ prefixes are ignored.
+ */
+function etagMatches(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return etag !== null;
+  if (etag === null) return false;
+
+  const strip = tag => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => strip(tag) === strip(etag));
+}
+
+module.exports = {
+  HttpError,
+  sendJSON,
+  readBuffer,
+  readBody,
+  readJSON,
+  pathSegments,
+  etagFor,
+  etagMatches
+};
@@ -0,0 +1,399 @@
+/**
+ * Image Derivatives
+ * Resized, cropped and re-encoded variants of uploaded images, made on
+ * demand from GET /assets/:id query parameters and cached on disk next
+ * to the original:
+ *
+ *   /assets/:id?w=640&fm=webp         640px wide WebP
+ *   /assets/:id?w=320&h=320&fit=cover square crop
+ *   /assets/:id?rect=0,0,800,600&w=640 region of the original, then resized
+ *
+ * Widths and heights come from a fixed list of sizes (CMS_IMAGE_SIZES) and
+ * qualities from a short list, so a client cannot make the server render
+ * and store an unbounded number of variants. Each asset keeps at most
+ * maxPerAsset derivatives on disk, least recently made evicted first, and
+ * at most `concurrency` renders run at once.
+ *
+ * Pixels are handled by a pluggable transformer, selected with
+ * CMS_IMAGE_TRANSFORMER: "sharp", "none", or a path to a module exporting
+ * async (input, ops, source) => { data, mimeType }. Unset, sharp is used
+ * when the optional dependency is installed. Without a transformer,
+ * originals are still served and transform requests get 501;
+ * GET /assets/transforms tells clients which case they are in.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./http');
+
+const FORMATS = {
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  gif: 'image/gif'
+};
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/gif': 'gif'
+};
+
+const FITS = ['cover', 'contain', 'inside', 'outside', 'fill'];
+
+/**
+ * Pixel size from the image header, null for formats it cannot read
+ */
+function imageSize(data) {
+  if (data.length >= 24 && data.readUInt32BE(0) === 0x89504e47) {
+    return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+  }
+
+  if (data.length >= 10 && /^GIF8[79]a/.test(data.slice(0, 6).toString('latin1'))) {
+    return { width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+  }
+
+  if (data.length >= 30 && data.slice(0, 4).toString('latin1') === 'RIFF' && data.slice(8, 12).toString('latin1') === 'WEBP') {
+    const chunk = data.slice(12, 16).toString('latin1');
+    if (chunk === 'VP8 ') {
+      return { width: data.readUInt16LE(26) & 0x3fff, height: data.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+      const bits = data.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+      return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+    }
+  }
+
+  if (data.length >= 4 && data[0] === 0xff && data[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < data.length) {
+      if (data[offset] !== 0xff) {
+        offset++;
+        continue;
+      }
+
+      const marker = data[offset + 1];
+      // Start-of-frame markers, except DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+        return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+      }
+      if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0xff) {
+        offset += marker === 0xff ? 1 : 2;
+        continue;
+      }
+      offset += 2 + data.readUInt16BE(offset + 2);
+    }
+  }
+
+  return null;
+}
+
+const DEFAULT_SIZES = [160, 320, 640, 960, 1280, 1920];
+const DEFAULT_QUALITIES = [50, 75, 90];
+
+function oneOf(name, value, allowed) {
+  const number = Number(value);
+  if (!allowed.includes(number)) {
+    throw new HttpError(400, `${name} must be one of: ${allowed.join(', ')}`, { allowed });
+  }
+  return number;
+}
+
+/**
+ * Transform options from a query, null when it asks for the original.
+ * Unknown parameters are ignored, bad values are a 400.
+ */
+function parseTransform(query, { sizes = DEFAULT_SIZES, qualities = DEFAULT_QUALITIES } = {}) {
+  const { w, h, fit, fm, q, rect } = query;
+  if (w === undefined && h === undefined && fm === undefined && rect === undefined) {
+    return null;
+  }
+
+  const ops = {};
+
+  if (w !== undefined) ops.width = oneOf('w', w, sizes);
+  if (h !== undefined) ops.height = oneOf('h', h, sizes);
+
+  if (fit !== undefined) {
+    if (!FITS.includes(fit)) {
+      throw new HttpError(400, `fit must be one of: ${FITS.join(', ')}`);
+    }
+    ops.fit = fit;
+  } else if (ops.width || ops.height) {
+    ops.fit = ops.width && ops.height ? 'cover' : 'inside';
+  }
+
+  if (fm !== undefined) {
+    if (!FORMATS[fm]) {
+      throw new HttpError(400, `fm must be one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+    ops.format = fm === 'jpg' ? 'jpeg' : fm;
+  }
+
+  if (q !== undefined) ops.quality = oneOf('q', q, qualities);
+
+  if (rect !== undefined) {
+    const parts = String(rect).split(',').map(Number);
+    if (parts.length !== 4 || !parts.every(Number.isInteger) || parts[0] < 0 || parts[1] < 0 || parts[2] < 1 || parts[3] < 1) {
+      throw new HttpError(400, 'rect must be left,top,width,height in pixels');
+    }
+    const [left, top, width, height] = parts;
+    ops.rect = { left, top, width, height };
+  }
+
+  return ops;
+}
+
+/**
+ * Stable name for a set of options, used for cache files and ETags
+ */
+function transformKey(ops) {
+  return [
+    ops.rect ? `r${ops.rect.left}.${ops.rect.top}.${ops.rect.width}.${ops.rect.height}` : '',
+    ops.width ? `w${ops.width}` : '',
+    ops.height ? `h${ops.height}` : '',
+    ops.fit ? `f${ops.fit}` : '',
+    ops.format ? `fm${ops.format}` : '',
+    ops.quality ? `q${ops.quality}` : ''
+  ].filter(Boolean).join('-');
+}
+
+/**
+ * Query string for a set of options, the inverse of parseTransform
+ */
+function transformQuery(ops) {
+  const params = new URLSearchParams();
+  if (ops.width) params.set('w', ops.width);
+  if (ops.height) params.set('h', ops.height);
+  if (ops.fit && !(ops.fit === 'inside' && !(ops.width && ops.height))) params.set('fit', ops.fit);
+  if (ops.format) params.set('fm', ops.format);
+  if (ops.quality) params.set('q', ops.quality);
+  if (ops.rect) params.set('rect', [ops.rect.left, ops.rect.top, ops.rect.width, ops.rect.height].join(','));
+  return params.toString();
+}
+
+/**
+ * Transformer backed by sharp (https://sharp.pixelplumbing.com)
+ */
+function sharpTransformer(sharp) {
+  return async (input, ops, source) => {
+    let image = sharp(input).rotate();
+
+    if (ops.rect) {
+      image = image.extract(ops.rect);
+    }
+    if (ops.width || ops.height) {
+      image = image.resize({ width: ops.width, height: ops.height, fit: ops.fit, withoutEnlargement: true });
+    }
+
+    const format = ops.format || source.mimeType.split('/')[1];
+    image = image.toFormat(format, ops.quality ? { quality: ops.quality } : {});
+
+    return { data: await image.toBuffer(), mimeType: FORMATS[format] };
+  };
+}
+
+/**
+ * The sharp package when it is installed (an optional dependency, whose
+ * native binary may be missing on some platforms), else null
+ */
+function detectSharp() {
+  try {
+    return require('sharp');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resolve CMS_IMAGE_TRANSFORMER to a transform function, null for none
+ */
+function loadTransformer(spec, { sharp = detectSharp } = {}) {
+  if (spec === 'none') return null;
+
+  if (!spec || spec === 'sharp') {
+    const found = sharp();
+    if (!found && spec) {
+      throw new Error('CMS_IMAGE_TRANSFORMER=sharp but the sharp package is not installed');
+    }
+    return found ? sharpTransformer(found) : null;
+  }
+
+  const loaded = require(path.resolve(spec));
+  const transform = typeof loaded === 'function' ? loaded : loaded && loaded.transform;
+  if (typeof transform !== 'function') {
+    throw new Error(`CMS_IMAGE_TRANSFORMER module ${spec} does not export a transform function`);
+  }
+  return transform;
+}
+
+class ImageDerivatives {
+  constructor(config = {}) {
+    this.config = {
+      library: null, // AssetLibrary holding the originals
+      dir: './data/assets/derivatives',
+      transformer: null,
+      sizes: DEFAULT_SIZES,
+      qualities: DEFAULT_QUALITIES,
+      maxPerAsset: 24, // Derivatives kept on disk per asset
+      concurrency: 2, // Renders at once, more get 503
+      thumbnail: { width: 320, format: 'webp' },
+      ...config
+    };
+
+    this.library = this.config.library;
+    this.sizes = [...new Set([...this.config.sizes, this.config.thumbnail.width])].sort((a, b) => a - b);
+    this.inflight = new Map(); // cache file -> pending transform
+  }
+
+  get enabled() {
+    return typeof this.config.transformer === 'function';
+  }
+
+  /**
+   * What GET /assets/transforms reports, so clients only ask for
+   * derivatives the server will make
+   */
+  capabilities() {
+    return {
+      enabled: this.enabled,
+      sizes: this.enabled ? this.sizes : [],
+      formats: this.enabled ? Object.keys(FORMATS).filter(format => format !== 'jpg') : [],
+      qualities: this.enabled ? this.config.qualities : []
+    };
+  }
+
+  /**
+   * Raster images a transformer can read (SVG is served as uploaded)
+   */
+  isImage(asset) {
+    return Boolean(EXTENSIONS[asset.mime_type]);
+  }
+
+  parse(query) {
+    return parseTransform(query, { sizes: this.sizes, qualities: this.config.qualities });
+  }
+
+  directory(asset) {
+    return path.join(this.config.dir, asset.hash.slice(0, 2), asset.hash);
+  }
+
+  /**
+   * The derivative for some options as a file to send:
+   * { file, mimeType, size, etag, filename }. Made once, then read from disk.
+   */
+  async derive(asset, ops) {
+    if (!this.isImage(asset)) {
+      throw new HttpError(415, `Cannot transform ${asset.mime_type}`);
+    }
+
+    const mimeType = ops.format ? FORMATS[ops.format] : asset.mime_type;
+    const key = transformKey(ops);
+    const file = path.join(this.directory(asset), `${key}.${EXTENSIONS[mimeType]}`);
+    const result = size => ({
+      file,
+      mimeType,
+      size,
+      etag: `"${asset.hash}-${key}"`,
+      filename: `${path.parse(asset.filename).name}-${key}.${EXTENSIONS[mimeType]}`
+    });
+
+    // Nothing to do, e.g. ?fm=png on a PNG
+    if (!ops.width && !ops.height && !ops.rect && !ops.quality && mimeType === asset.mime_type) {
+      return this.library.original(asset);
+    }
+
+    if (fs.existsSync(file)) {
+      return result(fs.statSync(file).size);
+    }
+
+    if (!this.enabled) {
+      throw new HttpError(501, 'Image transforms are not configured (set CMS_IMAGE_TRANSFORMER)');
+    }
+
+    if (!this.inflight.has(file)) {
+      if (this.inflight.size >= this.config.concurrency) {
+        throw new HttpError(503, 'Busy making other images, try again shortly');
+      }
+      const pending = this.render(asset, ops, file, mimeType)
+        .finally(() => this.inflight.delete(file));
+      this.inflight.set(file, pending);
+    }
+
+    return result(await this.inflight.get(file));
+  }
+
+  async render(asset, ops, file, mimeType) {
+    const input = await fs.promises.readFile(this.library.filePath(asset));
+
+    let output;
+    try {
+      output = await this.config.transformer(input, { ...ops, format: ops.format || null }, { mimeType: asset.mime_type });
+    } catch (error) {
+      console.error(`CMS API: Transform failed for asset ${asset.id}`, error);
+      throw new HttpError(422, 'Image could not be transformed');
+    }
+
+    if (!output || !Buffer.isBuffer(output.data) || (output.mimeType && output.mimeType !== mimeType)) {
+      throw new Error(`Image transformer returned ${output && output.mimeType}, expected ${mimeType}`);
+    }
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await this.evict(path.dirname(file), this.config.maxPerAsset - 1);
+    await fs.promises.writeFile(`${file}.tmp`, output.data);
+    await fs.promises.rename(`${file}.tmp`, file);
+    return output.data.length;
+  }
+
+  /**
+   * Delete the oldest derivatives in a directory until at most keep remain
+   */
+  async evict(dir, keep) {
+    const names = (await fs.promises.readdir(dir)).filter(name => !name.endsWith('.tmp'));
+    if (names.length <= keep) return;
+
+    const files = await Promise.all(names.map(async name => {
+      const file = path.join(dir, name);
+      return { file, mtime: (await fs.promises.stat(file)).mtimeMs };
+    }));
+
+    files.sort((a, b) => a.mtime - b.mtime);
+    await Promise.all(files.slice(0, files.length - keep).map(({ file }) => fs.promises.rm(file, { force: true })));
+  }
+
+  /**
+   * Make an image's thumbnail and return its URL, null when the asset
+   * is not an image or no transformer is configured
+   */
+  async thumbnail(asset) {
+    if (!this.enabled || !this.isImage(asset)) return null;
+
+    const ops = this.parse({ w: this.config.thumbnail.width, fm: this.config.thumbnail.format });
+    await this.derive(asset, ops);
+    return `${asset.url}?${transformQuery(ops)}`;
+  }
+
+  /**
+   * Drop every cached derivative of an asset
+   */
+  remove(asset) {
+    fs.rmSync(this.directory(asset), { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  ImageDerivatives,
+  imageSize,
+  parseTransform,
+  transformQuery,
+  loadTransformer,
+  detectSharp,
+  sharpTransformer
+};
@@ -0,0 +1,240 @@
+/**
+ * RFC 6902 JSON Patch
+ * Server-side counterpart of AevIPProtocol.computeDiff / applyPatch,
+ * covering the full operation set (add, remove, replace, move, copy, test)
+ * and RFC 6901 JSON Pointers.
+ */
+
+class JSONPatchError extends Error {
+  constructor(message, { index = null, conflict = false } = {}) {
+    super(index === null ? message : `Operation ${index}: ${message}`);
+    this.name = 'JSONPatchError';
+    this.index = index;
+    this.conflict = conflict; // true when a "test" operation failed
+  }
+}
+
+/**
+ * Split a JSON Pointer into unescaped reference tokens
+ */
+function parsePointer(pointer) {
+  if (pointer === '') return [];
+  if (typeof pointer !== 'string' || pointer[0] !== '/') {
+    throw new JSONPatchError(`Invalid JSON Pointer "${pointer}"`);
+  }
+
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Escape a key for use in a JSON Pointer
+ */
+function escapeToken(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+
+  return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+function arrayIndex(array, token, allowEnd) {
+  if (allowEnd && token === '-') return array.length;
+  if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+    throw new JSONPatchError(`Invalid array index "${token}"`);
+  }
+
+  const index = Number(token);
+  const max = allowEnd ? array.length : array.length - 1;
+  if (index > max) {
+    throw new JSONPatchError(`Array index ${index} out of bounds`);
+  }
+  return index;
+}
+
+/**
+ * Resolve the parent container and final token of a pointer
+ */
+function resolveParent(doc, tokens) {
+  let current = doc;
+
+  for (let i = 0; i < tokens.length - 1; i++) {
+    const token = tokens[i];
+
+    if (Array.isArray(current)) {
+      current = current[arrayIndex(current, token, false)];
+    } else if (current !== null && typeof current === 'object' && Object.prototype.hasOwnProperty.call(current, token)) {
+      current = current[token];
+    } else {
+      throw new JSONPatchError(`Path "/${tokens.slice(0, i + 1).map(escapeToken).join('/')}" does not exist`);
+    }
+  }
+
+  if (current === null || typeof current !== 'object') {
+    throw new JSONPatchError('Target parent is not a container');
+  }
+
+  return { parent: current, key: tokens[tokens.length - 1] };
+}
+
+function getValue(doc, pointer) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) return doc;
+
+  const { parent, key } = resolveParent(doc, tokens);
+  if (Array.isArray(parent)) {
+    return parent[arrayIndex(parent, key, false)];
+  }
+  if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+    throw new JSONPatchError(`Path "${pointer}" does not exist`);
+  }
+  return parent[key];
+}
+
+function addValue(doc, pointer, value) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) return value;
+
+  const { parent, key } = resolveParent(doc, tokens);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, true), 0, value);
+  } else {
+    parent[key] = value;
+  }
+  return doc;
+}
+
+function removeValue(doc, pointer) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) return undefined;
+
+  const { parent, key } = resolveParent(doc, tokens);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, false), 1);
+  } else {
+    if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+      throw new JSONPatchError(`Path "${pointer}" does not exist`);
+    }
+    delete parent[key];
+  }
+  return doc;
+}
+
+/**
+ * Apply a single operation, returning the (possibly new) document
+ */
+function applyOperation(doc, operation) {
+  const { op, path } = operation;
+
+  if (typeof path !== 'string') {
+    throw new JSONPatchError('Missing "path"');
+  }
+
+  switch (op) {
+    case 'add':
+      if (!('value' in operation)) throw new JSONPatchError('Missing "value"');
+      return addValue(doc, path, clone(operation.value));
+
+    case 'remove':
+      return removeValue(doc, path);
+
+    case 'replace':
+      if (!('value' in operation)) throw new JSONPatchError('Missing "value"');
+      getValue(doc, path);
+      return addValue(removeValue(doc, path), path, clone(operation.value));
+
+    case 'move': {
+      if (typeof operation.from !== 'string') throw new JSONPatchError('Missing "from"');
+      if (path.startsWith(`${operation.from}/`)) {
+        throw new JSONPatchError('Cannot move a value into one of its children');
+      }
+      const value = getValue(doc, operation.from);
+      return addValue(removeValue(doc, operation.from), path, value);
+    }
+
+    case 'copy':
+      if (typeof operation.from !== 'string') throw new JSONPatchError('Missing "from"');
+      return addValue(doc, path, clone(getValue(doc, operation.from)));
+
+    case 'test':
+      if (!deepEqual(getValue(doc, path), operation.value)) {
+        throw new JSONPatchError(`Test failed at "${path}"`, { conflict: true });
+      }
+      return doc;
+
+    default:
+      throw new JSONPatchError(`Unknown operation "${op}"`);
+  }
+}
+
+/**
+ * Apply a patch atomically: the input document is never mutated and
+ * nothing is returned unless every operation succeeds.
+ */
+function applyPatch(doc, patch) {
+  if (!Array.isArray(patch)) {
+    throw new JSONPatchError('Patch must be an array of operations');
+  }
+
+  let result = clone(doc);
+
+  patch.forEach((operation, index) => {
+    try {
+      result = applyOperation(result, operation || {});
+    } catch (error) {
+      if (error instanceof JSONPatchError && error.index === null) {
+        throw new JSONPatchError(error.message, { index, conflict: error.conflict });
+      }
+      throw error;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Compute a top-level diff, same shape as AevIPProtocol.computeDiff
+ */
+function computeDiff(before, after) {
+  const patches = [];
+
+  if (before && after && typeof before === 'object' && typeof after === 'object') {
+    const allKeys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    for (const key of allKeys) {
+      const path = `/${escapeToken(key)}`;
+
+      if (before[key] === undefined && after[key] !== undefined) {
+        patches.push({ op: 'add', path, value: after[key] });
+      } else if (before[key] !== undefined && after[key] === undefined) {
+        patches.push({ op: 'remove', path });
+      } else if (!deepEqual(before[key], after[key])) {
+        patches.push({ op: 'replace', path, value: after[key] });
+      }
+    }
+  } else if (!deepEqual(before, after)) {
+    patches.push({ op: 'replace', path: '', value: after });
+  }
+
+  return patches;
+}
+
+module.exports = {
+  JSONPatchError,
+  applyPatch,
+  computeDiff,
+  parsePointer,
+  escapeToken,
+  deepEqual
+};
@@ -0,0 +1,180 @@
+/**
+ * Localized Content
+ * An item is written in its base `locale` and may carry per-locale
+ * variants that override some of its fields:
+ *
+ *   { id, locale: 'en', title, body, locales: { fr: { title, body }, 'fr-CA': { title } } }
+ *
+ * Reads resolve a requested locale through a fallback chain, most
+ * specific first (fr-CA -> fr -> default locale), so a variant only has
+ * to hold the fields that differ from the locale it falls back to.
+ */
+
+const { HttpError } = require('./http');
+
+const LOCALE_TAG = /^[a-z]{2,3}(?:-[A-Za-z0-9]{2,8})*$/;
+
+function isLocaleTag(tag) {
+  return typeof tag === 'string' && LOCALE_TAG.test(tag);
+}
+
+// Stored tags must already be canonical so chain lookups find them
+function isCanonicalTag(tag) {
+  return isLocaleTag(tag) && normalizeLocale(tag) === tag;
+}
+
+/**
+ * Canonical casing: language lower, region upper ("fr-ca" -> "fr-CA")
+ */
+function normalizeLocale(tag) {
+  return String(tag).trim().replace(/_/g, '-').split('-').map((part, index) => {
+    if (index === 0) return part.toLowerCase();
+    return part.length === 2 ? part.toUpperCase() : part;
+  }).join('-');
+}
+
+/**
+ * Accept-Language tags ordered by q-value, "*" dropped
+ */
+function parseAcceptLanguage(header) {
+  if (!header) return [];
+
+  return String(header).split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(param => /^\s*q=([0-9.]+)\s*$/.exec(param)).find(Boolean);
+      return { tag: normalizeLocale(tag), q: q ? Number(q[1]) : 1, index };
+    })
+    .filter(({ tag, q }) => q > 0 && isLocaleTag(tag))
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ tag }) => tag);
+}
+
+/**
+ * fr-CA -> [fr-CA, fr, <defaultLocale>]
+ */
+function fallbackChain(tag, defaultLocale) {
+  const chain = [];
+  const parts = normalizeLocale(tag).split('-');
+
+  while (parts.length) {
+    chain.push(parts.join('-'));
+    parts.pop();
+  }
+  if (defaultLocale && !chain.includes(defaultLocale)) {
+    chain.push(defaultLocale);
+  }
+  return chain;
+}
+
+function baseLocale(item, defaultLocale) {
+  return item.locale || defaultLocale;
+}
+
+function availableLocales(item, defaultLocale) {
+  return [baseLocale(item, defaultLocale), ...Object.keys(item.locales || {})]
+    .filter((tag, index, tags) => tags.indexOf(tag) === index);
+}
+
+function hasVariants(item) {
+  return Boolean(item && item.locales && Object.keys(item.locales).length);
+}
+
+/**
+ * Best available locale for an ordered list of wanted tags. Each tag's
+ * own chain is tried before moving on to the next tag.
+ */
+function negotiateLocale(item, wanted, defaultLocale) {
+  const available = availableLocales(item, defaultLocale);
+
+  for (const tag of wanted) {
+    const match = fallbackChain(tag, null).find(candidate => available.includes(candidate));
+    if (match) return match;
+  }
+  return baseLocale(item, defaultLocale);
+}
+
+/**
+ * The item as seen in one locale: base fields overlaid with each variant
+ * along the chain, least specific first
+ */
+function localize(item, locale, defaultLocale) {
+  const { locales = {}, ...base } = item;
+  const chain = fallbackChain(locale, baseLocale(item, defaultLocale));
+
+  const fields = chain.slice().reverse().reduce((acc, tag) => ({ ...acc, ...(locales[tag] || {}) }), {});
+
+  return {
+    ...base,
+    ...fields,
+    id: item.id,
+    version: item.version,
+    locale,
+    available_locales: availableLocales(item, defaultLocale)
+  };
+}
+
+/**
+ * Resolve the locale a request asks for: ?locale= wins over
+ * Accept-Language, and "?locale=*" opts out to get every variant.
+ * Returns null when the raw item should be served.
+ *
+ * Accept-Language is ignored for editors reading working copies, so what
+ * they load is the full document they will write back.
+ */
+function requestedLocales(req, query, { negotiate = true } = {}) {
+  if (query.locale === '*') return null;
+
+  if (query.locale) {
+    const tag = normalizeLocale(query.locale);
+    if (!isLocaleTag(tag)) {
+      throw new HttpError(400, `Invalid locale: ${query.locale}`);
+    }
+    return [tag];
+  }
+
+  if (!negotiate) return null;
+
+  const accepted = parseAcceptLanguage(req.headers['accept-language']);
+  return accepted.length ? accepted : null;
+}
+
+/**
+ * Reject malformed locale data on write
+ */
+function validateLocales(content) {
+  if (content.locale !== undefined && !isCanonicalTag(content.locale)) {
+    throw new HttpError(422, `Invalid locale: ${content.locale}`);
+  }
+
+  if (content.locales === undefined) return;
+
+  if (!content.locales || typeof content.locales !== 'object' || Array.isArray(content.locales)) {
+    throw new HttpError(422, 'locales must be an object keyed by locale');
+  }
+
+  Object.entries(content.locales).forEach(([tag, variant]) => {
+    if (!isCanonicalTag(tag)) {
+      throw new HttpError(422, `Invalid locale: ${tag}`);
+    }
+    if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+      throw new HttpError(422, `locales.${tag} must be an object`);
+    }
+    if ('id' in variant || 'locales' in variant || 'version' in variant) {
+      throw new HttpError(422, `locales.${tag} may not override id, version or locales`);
+    }
+  });
+}
+
+module.exports = {
+  isLocaleTag,
+  normalizeLocale,
+  parseAcceptLanguage,
+  fallbackChain,
+  availableLocales,
+  hasVariants,
+  negotiateLocale,
+  localize,
+  requestedLocales,
+  validateLocales
+};
@@ -0,0 +1,48 @@
+/**
+ * Structured Logging
+ * One JSON object per line, for access logs and request failures, so
+ * log shippers can index them without parsing.
+ */
+
+const crypto = require('crypto');
+
+const REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * A caller-supplied X-Request-ID when it looks sane, otherwise a new one,
+ * so ids can be followed across proxies
+ */
+function requestId(req) {
+  const incoming = req.headers['x-request-id'];
+  return incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+class Logger {
+  constructor(config = {}) {
+    this.config = {
+      stream: process.stdout,
+      ...config
+    };
+  }
+
+  write(level, fields) {
+    this.config.stream.write(JSON.stringify({ time: new Date().toISOString(), level, ...fields }) + '\n');
+  }
+
+  info(fields) {
+    this.write('info', fields);
+  }
+
+  warn(fields) {
+    this.write('warn', fields);
+  }
+
+  error(fields) {
+    this.write('error', fields);
+  }
+}
+
+module.exports = {
+  Logger,
+  requestId
+};
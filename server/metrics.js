@@ -0,0 +1,140 @@
+/**
+ * Metrics
+ * Counters, histograms and gauges rendered in the Prometheus text
+ * exposition format (version 0.0.4) for GET /metrics.
+ */
+
+// Path segments that name an action rather than an id
+const ROUTE_WORDS = [
+  'stream', 'publish', 'unpublish', 'revisions', 'diff', 'revert', 'ping',
+  'deliveries', 'redeliver', 'keys', 'tokens', 'bulk', 'referrers', 'schema'
+];
+
+/**
+ * Low-cardinality route for a request path: ids become ":id", unknown
+ * resources collapse into "other"
+ */
+function routeLabel(segments, resources) {
+  if (!segments.length) return '/';
+  if (!resources.includes(segments[0])) return 'other';
+
+  return '/' + segments
+    .map((segment, index) => (index === 0 || ROUTE_WORDS.includes(segment) ? segment : ':id'))
+    .join('/');
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+class Metrics {
+  constructor(config = {}) {
+    this.config = {
+      buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10], // seconds
+      ...config
+    };
+
+    this.families = new Map(); // name -> { type, help, series: Map, collect }
+  }
+
+  define(name, type, help, collect = null) {
+    if (!this.families.has(name)) {
+      this.families.set(name, { type, help, series: new Map(), collect });
+    }
+    return this;
+  }
+
+  counter(name, help) {
+    return this.define(name, 'counter', help);
+  }
+
+  histogram(name, help) {
+    return this.define(name, 'histogram', help);
+  }
+
+  /**
+   * Gauge (or externally counted counter) read when metrics are rendered:
+   * collect() returns a number or a list of { labels, value }
+   */
+  collected(name, type, help, collect) {
+    return this.define(name, type, help, collect);
+  }
+
+  series(name, labels, create) {
+    const family = this.families.get(name);
+    if (!family) {
+      throw new Error(`Metrics: Unknown metric ${name}`);
+    }
+
+    const key = labelKey(labels);
+    if (!family.series.has(key)) {
+      family.series.set(key, { labels, ...create() });
+    }
+    return family.series.get(key);
+  }
+
+  inc(name, labels = {}, value = 1) {
+    this.series(name, labels, () => ({ value: 0 })).value += value;
+  }
+
+  observe(name, labels = {}, value) {
+    const entry = this.series(name, labels, () => ({
+      counts: this.config.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    this.config.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  render() {
+    const lines = [];
+
+    for (const [name, family] of this.families) {
+      lines.push(`# HELP ${name} ${family.help}`);
+      lines.push(`# TYPE ${name} ${family.type}`);
+
+      if (family.collect) {
+        const collected = family.collect();
+        const samples = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+        samples.forEach(({ labels, value }) => lines.push(`${name}${formatLabels(labels)} ${value}`));
+        continue;
+      }
+
+      for (const entry of family.series.values()) {
+        if (family.type !== 'histogram') {
+          lines.push(`${name}${formatLabels(entry.labels)} ${entry.value}`);
+          continue;
+        }
+
+        this.config.buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  Metrics,
+  routeLabel
+};
@@ -0,0 +1,126 @@
+/**
+ * multipart/form-data parsing (RFC 7578) for buffered request bodies
+ */
+
+const { HttpError } = require('./http');
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+/**
+ * Boundary from a Content-Type header, null when the body is not
+ * multipart/form-data
+ */
+function boundaryOf(contentType) {
+  if (!/^multipart\/form-data\b/i.test(contentType || '')) return null;
+
+  const match = /;\s*boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  return match ? (match[1] || match[2]).trim() : null;
+}
+
+function parseHeaders(block) {
+  return block.toString('utf8').split('\r\n').reduce((headers, line) => {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+    return headers;
+  }, {});
+}
+
+/**
+ * Parameters of a Content-Disposition header, filename* (RFC 5987)
+ * taking precedence over filename
+ */
+function parseDisposition(header = '') {
+  const params = {};
+  const pattern = /;\s*([^=;\s]+)\s*=\s*(?:"((?:\\.|[^"\\])*)"|([^;]*))/g;
+  let match;
+
+  while ((match = pattern.exec(header))) {
+    const name = match[1].toLowerCase();
+    const value = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3].trim();
+    params[name] = value;
+  }
+
+  if (params['filename*']) {
+    const extended = /^([^']*)'[^']*'(.*)$/.exec(params['filename*']);
+    if (extended) {
+      try {
+        params.filename = decodeURIComponent(extended[2]);
+      } catch (error) {
+        // Keep the plain filename
+      }
+    }
+  }
+
+  return params;
+}
+
+/**
+ * Split a multipart body into text fields and files:
+ * { fields: { name: value }, files: [{ field, filename, mimeType, data }] }
+ */
+function parseMultipart(body, contentType) {
+  const boundary = boundaryOf(contentType);
+  if (!boundary) {
+    throw new HttpError(415, 'Expected multipart/form-data with a boundary');
+  }
+
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = {};
+  const files = [];
+
+  let start = body.indexOf(delimiter);
+  if (start === -1) {
+    throw new HttpError(400, 'Malformed multipart body');
+  }
+
+  for (;;) {
+    start += delimiter.length;
+
+    // "--" after a delimiter closes the body
+    if (body.slice(start, start + 2).toString() === '--') break;
+    if (!body.slice(start, start + 2).equals(CRLF)) {
+      throw new HttpError(400, 'Malformed multipart body');
+    }
+    start += CRLF.length;
+
+    const next = body.indexOf(Buffer.concat([CRLF, delimiter]), start);
+    if (next === -1) {
+      throw new HttpError(400, 'Unterminated multipart body');
+    }
+
+    const part = body.slice(start, next);
+    const headerEnd = part.indexOf(HEADER_END);
+    if (headerEnd === -1) {
+      throw new HttpError(400, 'Malformed multipart part headers');
+    }
+
+    const headers = parseHeaders(part.slice(0, headerEnd));
+    const data = part.slice(headerEnd + HEADER_END.length);
+    const disposition = parseDisposition(headers['content-disposition']);
+
+    if (disposition.name !== undefined) {
+      if (disposition.filename !== undefined) {
+        files.push({
+          field: disposition.name,
+          filename: disposition.filename,
+          mimeType: (headers['content-type'] || 'application/octet-stream').split(';')[0].trim().toLowerCase(),
+          data
+        });
+      } else {
+        fields[disposition.name] = data.toString('utf8');
+      }
+    }
+
+    start = next + CRLF.length;
+  }
+
+  return { fields, files };
+}
+
+module.exports = {
+  boundaryOf,
+  parseMultipart
+};
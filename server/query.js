@@ -0,0 +1,173 @@
+/**
+ * Content listing queries for GET /content
+ * Filters mirror PGliteManager.listContent (type, status, author, limit)
+ * plus ids (batch fetch), tag, full-text and keyset pagination for the
+ * server store.
+ */
+
+const MAX_LIMIT = 100;
+const DEFAULT_SORT = 'updated_at:desc';
+const TEXT_FIELDS = ['title', 'body', 'text', 'markdown', 'html'];
+
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+/**
+ * Normalize a query parameter that may be repeated or comma-separated
+ */
+function listParam(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse "field:dir,field2:dir" into sort keys, always tie-breaking on id
+ */
+function parseSort(value = DEFAULT_SORT) {
+  const keys = listParam(value).map(part => {
+    const [field, dir = 'asc'] = part.split(':');
+    if (!/^[A-Za-z0-9_]+$/.test(field) || !['asc', 'desc'].includes(dir.toLowerCase())) {
+      throw new QueryError(`Invalid sort "${part}"`);
+    }
+    return { field, desc: dir.toLowerCase() === 'desc' };
+  });
+
+  if (!keys.some(key => key.field === 'id')) {
+    keys.push({ field: 'id', desc: false });
+  }
+  return keys;
+}
+
+function isMissing(value) {
+  return value === undefined || value === null;
+}
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Compare items by the sort keys; missing values sort last either way
+ */
+function compareBySort(sortKeys) {
+  return (a, b) => {
+    for (const { field, desc } of sortKeys) {
+      const aMissing = isMissing(a[field]);
+      const bMissing = isMissing(b[field]);
+      if (aMissing || bMissing) {
+        if (aMissing !== bMissing) return aMissing ? 1 : -1;
+        continue;
+      }
+
+      const result = compareValues(a[field], b[field]);
+      if (result !== 0) return desc ? -result : result;
+    }
+    return 0;
+  };
+}
+
+function encodeCursor(item, sortKeys) {
+  const values = sortKeys.map(({ field }) => item[field] === undefined ? null : item[field]);
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor, sortKeys) {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(values) && values.length === sortKeys.length) {
+      return sortKeys.reduce((item, { field }, i) => ({ ...item, [field]: values[i] }), {});
+    }
+  } catch (error) {
+    // Fall through
+  }
+  throw new QueryError('Invalid cursor');
+}
+
+/**
+ * Check whether every search term appears in the item's text fields
+ */
+function matchesText(item, q) {
+  const terms = q.toLowerCase().split(/\s+/).filter(Boolean);
+  const haystack = [
+    ...TEXT_FIELDS.map(field => item[field]),
+    ...(Array.isArray(item.tags) ? item.tags : [])
+  ]
+    .filter(value => typeof value === 'string')
+    .join(' ')
+    .toLowerCase();
+
+  return terms.every(term => haystack.includes(term));
+}
+
+/**
+ * Build a predicate from query parameters
+ */
+function buildFilter(params) {
+  const ids = listParam(params.ids);
+  const types = listParam(params.type);
+  const statuses = listParam(params.status);
+  const authors = listParam(params.author);
+  const tags = listParam(params.tag);
+  const q = typeof params.q === 'string' ? params.q.trim() : '';
+
+  return item => {
+    if (ids.length && !ids.includes(item.id)) return false;
+    if (types.length && !types.includes(item.type)) return false;
+    if (statuses.length && !statuses.includes(item.status)) return false;
+    if (authors.length && !authors.includes(item.author)) return false;
+    if (tags.length && !(Array.isArray(item.tags) && tags.every(tag => item.tags.includes(tag)))) return false;
+    if (q && !matchesText(item, q)) return false;
+    return true;
+  };
+}
+
+/**
+ * Filter, sort and paginate a list of content items.
+ * Returns the page plus an opaque cursor for the next page (or null).
+ */
+function queryContent(items, params = {}) {
+  const sortKeys = parseSort(params.sort || DEFAULT_SORT);
+  const compare = compareBySort(sortKeys);
+
+  let results = items.filter(buildFilter(params)).sort(compare);
+  const total = results.length;
+
+  if (params.cursor) {
+    const after = decodeCursor(params.cursor, sortKeys);
+    results = results.filter(item => compare(item, after) > 0);
+  }
+
+  let limit = null;
+  if (params.limit !== undefined && params.limit !== '') {
+    limit = parseInt(params.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new QueryError('Invalid limit');
+    }
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  let nextCursor = null;
+  if (limit !== null && results.length > limit) {
+    results = results.slice(0, limit);
+    nextCursor = encodeCursor(results[results.length - 1], sortKeys);
+  }
+
+  return { items: results, total, nextCursor };
+}
+
+module.exports = {
+  QueryError,
+  queryContent,
+  listParam,
+  parseSort,
+  compareValues,
+  MAX_LIMIT
+};
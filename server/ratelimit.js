@@ -0,0 +1,106 @@
+/**
+ * Token-Bucket Rate Limiting
+ * Each client gets a bucket of `burst` tokens that refills at `rate`
+ * tokens per second; a request spends one token and is refused with 429
+ * once the bucket is empty.
+ *
+ * Clients are API keys and token subjects when the caller authenticated,
+ * otherwise the remote IP (X-Forwarded-For only with trustProxy).
+ */
+
+const { HttpError } = require('./http');
+
+class RateLimiter {
+  constructor(config = {}) {
+    this.config = {
+      enabled: true,
+      rate: 10, // Tokens added per second
+      burst: 60, // Bucket size
+      trustProxy: false,
+      sweepInterval: 60000, // Forget full buckets this often
+      ...config
+    };
+
+    this.buckets = new Map(); // client -> { tokens, updatedAt }
+    this.limited = 0;
+    this.sweeper = setInterval(() => this.sweep(), this.config.sweepInterval);
+    this.sweeper.unref();
+  }
+
+  clientIP(req) {
+    if (this.config.trustProxy && req.headers['x-forwarded-for']) {
+      return req.headers['x-forwarded-for'].split(',')[0].trim();
+    }
+    return req.socket.remoteAddress || 'unknown';
+  }
+
+  /**
+   * Bucket name for a request and its caller (null when authentication failed)
+   */
+  clientKey(req, caller) {
+    if (caller && caller.via === 'key') return `key:${caller.keyId}`;
+    if (caller && caller.via === 'env') return 'key:admin';
+    if (caller && caller.via === 'token' && caller.sub) return `token:${caller.sub}`;
+    return `ip:${this.clientIP(req)}`;
+  }
+
+  /**
+   * Spend a token: { allowed, remaining, retryAfter } with retryAfter in
+   * whole seconds until a token is available
+   */
+  take(client, now = Date.now()) {
+    const { rate, burst } = this.config;
+    const bucket = this.buckets.get(client) || { tokens: burst, updatedAt: now };
+
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * rate);
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+      bucket.tokens -= 1;
+    }
+    this.buckets.set(client, bucket);
+
+    return {
+      allowed,
+      remaining: Math.floor(bucket.tokens),
+      retryAfter: allowed ? 0 : Math.ceil((1 - bucket.tokens) / rate)
+    };
+  }
+
+  /**
+   * Spend a token for a request, setting X-RateLimit-* headers, and
+   * throw a 429 with Retry-After when the client is out of tokens
+   */
+  check(req, res, caller) {
+    if (!this.config.enabled) return;
+
+    const result = this.take(this.clientKey(req, caller));
+    res.setHeader('X-RateLimit-Limit', String(this.config.burst));
+    res.setHeader('X-RateLimit-Remaining', String(result.remaining));
+
+    if (!result.allowed) {
+      this.limited++;
+      res.setHeader('Retry-After', String(result.retryAfter));
+      throw new HttpError(429, 'Too many requests', { retry_after: result.retryAfter });
+    }
+  }
+
+  /**
+   * Drop buckets that have refilled, they are the same as new ones
+   */
+  sweep(now = Date.now()) {
+    const { rate, burst } = this.config;
+    for (const [client, bucket] of this.buckets) {
+      if (bucket.tokens + ((now - bucket.updatedAt) / 1000) * rate >= burst) {
+        this.buckets.delete(client);
+      }
+    }
+  }
+
+  close() {
+    clearInterval(this.sweeper);
+  }
+}
+
+module.exports = { RateLimiter };
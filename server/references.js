@@ -0,0 +1,210 @@
+/**
+ * Content References
+ * Follows the typed references items hold (reference fields in their
+ * content type, see cms_schema.js) for three jobs:
+ *
+ * - a reverse index, kept current from repository and type changes, so
+ *   "what points at this item" is a lookup rather than a scan
+ * - ?include= expansion, replacing reference ids with the items they
+ *   name, up to maxDepth hops. A reference back to an item already on
+ *   the path is a cycle and stays an id, as do missing targets.
+ * - delete plans that honour each reference's onDelete
+ */
+
+const { CMSSchema } = require('./shared');
+const { HttpError } = require('./http');
+const { applyPatch, parsePointer } = require('./json-patch');
+const { listParam } = require('./query');
+
+class ReferenceIndex {
+  constructor(config = {}) {
+    this.config = {
+      types: null, // TypeRegistry
+      maxDepth: 3, // Hops an include path may take
+      validate: () => {}, // (content, { resolve }), throws HttpError
+      ...config
+    };
+
+    this.types = this.config.types;
+    this.repository = null;
+    this.forward = new Map(); // id -> references it holds
+    this.reverse = new Map(); // id -> ids of items referencing it
+  }
+
+  attach(repository) {
+    this.repository = repository;
+    repository.list().forEach(item => this.index(item));
+
+    repository.on('change', ({ id, after }) => {
+      if (after) {
+        this.index(after);
+      } else {
+        this.unindex(id);
+      }
+    });
+
+    // A changed definition can add, drop or re-route reference fields
+    this.types.on('change', ({ name }) => {
+      repository.list().filter(item => item.type === name).forEach(item => this.index(item));
+    });
+    return this;
+  }
+
+  /**
+   * References an item holds: [{ path, id, to, onDelete }]
+   */
+  references(item) {
+    const definition = item && this.types.get(item.type);
+    return definition ? CMSSchema.references(item, definition) : [];
+  }
+
+  index(item) {
+    this.unindex(item.id);
+
+    const held = this.references(item);
+    if (!held.length) return;
+
+    this.forward.set(item.id, held);
+    held.forEach(reference => {
+      if (!this.reverse.has(reference.id)) this.reverse.set(reference.id, new Set());
+      this.reverse.get(reference.id).add(item.id);
+    });
+  }
+
+  unindex(id) {
+    (this.forward.get(id) || []).forEach(reference => {
+      const holders = this.reverse.get(reference.id);
+      if (!holders) return;
+      holders.delete(id);
+      if (!holders.size) this.reverse.delete(reference.id);
+    });
+    this.forward.delete(id);
+  }
+
+  /**
+   * Items referencing an id: [{ id, type, path, onDelete }], one entry
+   * per reference
+   */
+  referrers(id) {
+    return Array.from(this.reverse.get(id) || []).flatMap(holder => this.forward.get(holder)
+      .filter(reference => reference.id === id)
+      .map(({ path, onDelete }) => ({
+        id: holder,
+        type: (this.repository.get(holder) || {}).type || null,
+        path,
+        onDelete
+      })));
+  }
+
+  /**
+   * ?include=author,blocks.image as a tree of field names
+   * ({ author: {}, blocks: { image: {} } }), "*" meaning every reference
+   * field. null when nothing is included.
+   */
+  parseInclude(value) {
+    const paths = listParam(value);
+    if (!paths.length) return null;
+
+    return paths.reduce((tree, path) => {
+      const fields = path.split('.');
+      if (fields.some(field => !field)) {
+        throw new HttpError(400, `Invalid include path "${path}"`);
+      }
+      if (fields.length > this.config.maxDepth) {
+        throw new HttpError(400, `include paths may be at most ${this.config.maxDepth} deep`, { max_depth: this.config.maxDepth });
+      }
+
+      let node = tree;
+      fields.forEach(field => {
+        node[field] = node[field] || {};
+        node = node[field];
+      });
+      return tree;
+    }, {});
+  }
+
+  /**
+   * An item with the included references replaced by their targets.
+   * resolve(id) returns the item a caller may see, represent(item) the
+   * form to embed it in (e.g. localized).
+   */
+  expand(item, include, { resolve, represent = target => target }, path = new Set()) {
+    const trail = new Set(path).add(item.id);
+    const field = reference => parsePointer(reference.path)[0];
+
+    const patch = this.references(item)
+      .filter(reference => include['*'] || include[field(reference)])
+      .filter(reference => !trail.has(reference.id))
+      .map(reference => ({ reference, target: resolve(reference.id) }))
+      .filter(({ target }) => target)
+      .map(({ reference, target }) => ({
+        op: 'replace',
+        path: reference.path,
+        value: this.expand(
+          represent(target),
+          { ...include['*'], ...include[field(reference)] },
+          { resolve, represent },
+          trail
+        )
+      }));
+
+    return patch.length ? applyPatch(item, patch) : item;
+  }
+
+  /**
+   * What deleting an item involves: { deleted, updates, blocked }.
+   * deleted lists it and every item cascading from it, updates are the
+   * holders of "unset" references with those references removed, and
+   * blocked names the "restrict" references (or unsets that would leave
+   * an invalid item) that stop the delete.
+   */
+  planDelete(id) {
+    const deleted = new Set([id]);
+
+    // Sets iterate over entries added during the loop, so this follows chains
+    for (const target of deleted) {
+      this.referrers(target)
+        .filter(reference => reference.onDelete === 'cascade')
+        .forEach(reference => deleted.add(reference.id));
+    }
+
+    const blocked = [];
+    const unset = new Map(); // holder id -> [{ path, target }] to remove
+
+    for (const target of deleted) {
+      this.referrers(target)
+        .filter(reference => !deleted.has(reference.id))
+        .forEach(reference => {
+          if (reference.onDelete === 'unset') {
+            unset.set(reference.id, [...(unset.get(reference.id) || []), { path: reference.path, target }]);
+          } else {
+            blocked.push({ id: reference.id, path: reference.path, target });
+          }
+        });
+    }
+
+    const resolve = target => (deleted.has(target) ? undefined : this.repository.get(target));
+    const updates = [];
+
+    unset.forEach((removals, holder) => {
+      // Later array entries first, so earlier indexes stay put
+      const patch = removals
+        .map(({ path }) => path)
+        .sort((a, b) => b.localeCompare(a, undefined, { numeric: true }))
+        .map(path => ({ op: 'remove', path }));
+      const content = applyPatch(this.repository.get(holder), patch);
+
+      try {
+        this.config.validate(content, { resolve });
+        updates.push({ id: holder, content });
+      } catch (error) {
+        if (!(error instanceof HttpError)) throw error;
+        removals.forEach(({ path, target }) => blocked.push({ id: holder, path, target, message: error.message }));
+      }
+    });
+
+    return { deleted: Array.from(deleted), updates, blocked };
+  }
+}
+
+module.exports = { ReferenceIndex };
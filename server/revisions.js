@@ -0,0 +1,120 @@
+/**
+ * Content Revision History
+ * Records every version a ContentRepository writes, keyed "<id>@<n>",
+ * so items can be inspected, diffed and rolled back after a restart.
+ *
+ * Revision numbers count up per id and are independent of the item's
+ * version: history outlives deletes, so an item that is deleted and
+ * created again keeps numbering where it left off.
+ */
+
+const { computeDiff } = require('./json-patch');
+
+class RevisionHistory {
+  constructor(config = {}) {
+    this.config = {
+      store: null,
+      maxRevisions: 0, // Per item, 0 keeps every version
+      ...config
+    };
+
+    this.store = this.config.store;
+    this.index = new Map(); // id -> sorted revision numbers
+
+    for (const revision of this.store.values()) {
+      this.track(revision.id, revision.revision);
+    }
+  }
+
+  /**
+   * Record versions as they are written
+   */
+  attach(repository) {
+    repository.on('change', change => {
+      if (change.after) {
+        this.record(change);
+      }
+    });
+    return this;
+  }
+
+  key(id, revision) {
+    return `${id}@${revision}`;
+  }
+
+  track(id, revision) {
+    const revisions = this.index.get(id) || [];
+    if (!revisions.includes(revision)) {
+      revisions.push(revision);
+      revisions.sort((a, b) => a - b);
+    }
+    this.index.set(id, revisions);
+  }
+
+  latest(id) {
+    const revisions = this.index.get(id) || [];
+    return revisions.length ? revisions[revisions.length - 1] : 0;
+  }
+
+  record({ type, id, after, actor }) {
+    const revision = this.latest(id) + 1;
+
+    this.store.set(this.key(id, revision), {
+      id,
+      revision,
+      version: after.version,
+      type,
+      actor: actor || null,
+      created_at: after.updated_at,
+      content: after
+    });
+    this.track(id, revision);
+    this.prune(id);
+  }
+
+  /**
+   * Drop the oldest revisions beyond maxRevisions
+   */
+  prune(id) {
+    const revisions = this.index.get(id);
+    const max = this.config.maxRevisions;
+
+    while (max > 0 && revisions.length > max) {
+      this.store.delete(this.key(id, revisions.shift()));
+    }
+  }
+
+  /**
+   * Revision summaries for an item, oldest first
+   */
+  list(id) {
+    return (this.index.get(id) || []).map(revision => {
+      const { content, ...summary } = this.store.get(this.key(id, revision));
+      return summary;
+    });
+  }
+
+  get(id, revision) {
+    return this.store.get(this.key(id, revision)) || null;
+  }
+
+  /**
+   * JSON Patch turning revision "from" into revision "to"
+   */
+  diff(id, from, to) {
+    const before = this.get(id, from);
+    const after = this.get(id, to);
+    if (!before || !after) return null;
+
+    return {
+      id,
+      from,
+      to,
+      patch: computeDiff(before.content, after.content)
+    };
+  }
+}
+
+module.exports = {
+  RevisionHistory
+};
@@ -0,0 +1,415 @@
+/**
+ * Full-Text Search
+ * An in-memory inverted index over content items, kept current from
+ * ContentRepository change events, for GET /search.
+ *
+ * Queries are whitespace-separated clauses, all of which must match:
+ *   word       the term in any indexed field
+ *   pre*       any term starting with "pre"
+ *   "a b c"    the terms next to each other in one field
+ *
+ * Ranking is BM25F: term frequencies are weighted per field (title over
+ * body by default) and normalised by field length before saturation.
+ * Each hit comes with facet counts and <mark>-highlighted snippets.
+ */
+
+const DEFAULT_BOOSTS = {
+  title: 3,
+  summary: 2,
+  description: 2,
+  tags: 2,
+  body: 1,
+  text: 1,
+  markdown: 1,
+  html: 1
+};
+
+const FACETS = ['type', 'tag', 'status'];
+const MAX_LIMIT = 100;
+
+/**
+ * Terms of a text with their character offsets. Case and diacritics are
+ * folded so "Café" matches "cafe".
+ */
+function tokenize(text) {
+  const tokens = [];
+  const word = /[\p{L}\p{N}]+/gu;
+  let match;
+
+  while ((match = word.exec(text))) {
+    tokens.push({
+      term: fold(match[0]).slice(0, 64),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  return tokens;
+}
+
+function fold(value) {
+  return value.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Readable text of a field: tags joined, markup and Markdown syntax dropped
+ */
+function plainText(value, field) {
+  if (Array.isArray(value)) {
+    return value.filter(entry => typeof entry === 'string').join(', ');
+  }
+  if (typeof value !== 'string') return '';
+
+  // Body text is often HTML too
+  if (field === 'html' || (field === 'body' && /<[a-z/!][^>]*>/i.test(value))) {
+    return value
+      .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<\/?(?:a|abbr|b|code|em|i|kbd|mark|s|small|span|strong|sub|sup|u)\b[^>]*>/gi, '')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&(amp|lt|gt|quot|#39);/g, (entity, name) => ({ amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'" })[name])
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  if (field === 'markdown' || field === 'body') {
+    return value
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+      .replace(/[*_`~]+/g, '');
+  }
+
+  return value;
+}
+
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Clauses of a query string: [{ kind: 'term' | 'prefix' | 'phrase', terms }]
+ */
+function parseQuery(query) {
+  const clauses = [];
+  const part = /"([^"]*)"?|(\S+)/g;
+  let match;
+
+  while ((match = part.exec(query))) {
+    if (match[1] !== undefined) {
+      const terms = tokenize(match[1]).map(token => token.term);
+      if (terms.length > 1) clauses.push({ kind: 'phrase', terms });
+      else if (terms.length) clauses.push({ kind: 'term', terms });
+      continue;
+    }
+
+    const prefix = match[2].endsWith('*');
+    tokenize(match[2]).forEach((token, index, tokens) => {
+      const last = index === tokens.length - 1;
+      clauses.push({ kind: prefix && last ? 'prefix' : 'term', terms: [token.term] });
+    });
+  }
+
+  return clauses;
+}
+
+class SearchIndex {
+  constructor(config = {}) {
+    this.config = {
+      boosts: DEFAULT_BOOSTS, // field -> weight, only these fields are indexed
+      k1: 1.2,
+      b: 0.75,
+      maxExpansions: 50, // Terms a prefix clause may match
+      snippetLength: 160, // Characters per highlighted snippet
+      ...config
+    };
+
+    this.fields = Object.keys(this.config.boosts);
+    this.postings = new Map(); // term -> Map(id -> { field: [positions] })
+    this.docs = new Map(); // id -> { text, lengths, terms, type, status, title, tags, updated_at }
+    this.totalLengths = Object.fromEntries(this.fields.map(field => [field, 0]));
+  }
+
+  /**
+   * Follow a repository: working copies, or with published the
+   * snapshots anonymous readers see
+   */
+  attach(repository, { published = false } = {}) {
+    (published ? repository.listPublished() : repository.list()).forEach(item => this.add(item));
+
+    repository.on('change', change => {
+      const item = published ? change.publishedAfter : change.after;
+      if (published && change.publishedBefore === change.publishedAfter) return;
+
+      if (item) {
+        this.add(item);
+      } else {
+        this.remove(change.id);
+      }
+    });
+    return this;
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  /**
+   * Text of each indexed field, locale variants appended to the base text
+   */
+  extract(item) {
+    const variants = item.locales && typeof item.locales === 'object' ? Object.values(item.locales) : [];
+
+    return Object.fromEntries(this.fields.map(field => [
+      field,
+      [item, ...variants]
+        .map(source => plainText(source && source[field], field))
+        .filter(Boolean)
+        .join('\n')
+    ]));
+  }
+
+  add(item) {
+    this.remove(item.id);
+
+    const text = this.extract(item);
+    const lengths = {};
+    const terms = new Set();
+
+    this.fields.forEach(field => {
+      const tokens = tokenize(text[field]);
+      lengths[field] = tokens.length;
+      this.totalLengths[field] += tokens.length;
+
+      tokens.forEach(({ term }, position) => {
+        if (!this.postings.has(term)) this.postings.set(term, new Map());
+        const docs = this.postings.get(term);
+        if (!docs.has(item.id)) docs.set(item.id, {});
+        const entry = docs.get(item.id);
+        (entry[field] = entry[field] || []).push(position);
+        terms.add(term);
+      });
+    });
+
+    this.docs.set(item.id, {
+      text,
+      lengths,
+      terms,
+      type: item.type || null,
+      status: item.status || null,
+      title: typeof item.title === 'string' ? item.title : null,
+      tags: Array.isArray(item.tags) ? item.tags.filter(tag => typeof tag === 'string') : [],
+      updated_at: item.updated_at || null
+    });
+  }
+
+  remove(id) {
+    const doc = this.docs.get(id);
+    if (!doc) return;
+
+    doc.terms.forEach(term => {
+      const docs = this.postings.get(term);
+      docs.delete(id);
+      if (!docs.size) this.postings.delete(term);
+    });
+    this.fields.forEach(field => {
+      this.totalLengths[field] -= doc.lengths[field];
+    });
+    this.docs.delete(id);
+  }
+
+  idf(term) {
+    const df = this.postings.has(term) ? this.postings.get(term).size : 0;
+    return Math.log(1 + (this.docs.size - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * BM25F score of one term in one document, from its positions per field
+   */
+  termScore(term, id, positions) {
+    const { k1, b, boosts } = this.config;
+    const doc = this.docs.get(id);
+
+    const weighted = this.fields.reduce((sum, field) => {
+      const tf = positions[field] ? positions[field].length : 0;
+      if (!tf) return sum;
+      const average = this.totalLengths[field] / this.docs.size || 1;
+      return sum + (boosts[field] * tf) / (1 - b + b * (doc.lengths[field] / average));
+    }, 0);
+
+    return this.idf(term) * ((weighted * (k1 + 1)) / (weighted + k1));
+  }
+
+  /**
+   * Matching documents of one clause: Map(id -> score), plus the terms
+   * it matched for highlighting
+   */
+  matchClause(clause) {
+    const scores = new Map();
+    const add = (id, score) => scores.set(id, (scores.get(id) || 0) + score);
+
+    if (clause.kind === 'term' || clause.kind === 'prefix') {
+      const terms = clause.kind === 'term'
+        ? clause.terms.filter(term => this.postings.has(term))
+        : Array.from(this.postings.keys())
+          .filter(term => term.startsWith(clause.terms[0]))
+          .sort((a, b) => this.postings.get(b).size - this.postings.get(a).size)
+          .slice(0, this.config.maxExpansions);
+
+      terms.forEach(term => {
+        this.postings.get(term).forEach((positions, id) => add(id, this.termScore(term, id, positions)));
+      });
+      return { scores, terms };
+    }
+
+    // Phrase: every term present, consecutive in at least one field
+    const [first, ...rest] = clause.terms;
+    if (!clause.terms.every(term => this.postings.has(term))) {
+      return { scores, terms: [] };
+    }
+
+    this.postings.get(first).forEach((positions, id) => {
+      const following = rest.map(term => this.postings.get(term).get(id));
+      if (following.some(entry => !entry)) return;
+
+      const adjacent = this.fields.some(field => (positions[field] || []).some(start =>
+        following.every((entry, offset) => (entry[field] || []).includes(start + offset + 1))));
+
+      if (adjacent) {
+        clause.terms.forEach(term => add(id, this.termScore(term, id, this.postings.get(term).get(id))));
+      }
+    });
+    return { scores, terms: clause.terms };
+  }
+
+  /**
+   * Ranked page of hits: { total, results, facets }. filters narrows by
+   * type, tag and status; facets count the narrowed hits.
+   */
+  search(query, { type = [], tag = [], status = [], limit = 10, offset = 0 } = {}) {
+    const clauses = parseQuery(String(query || ''));
+    const matched = new Set();
+    let scores = null;
+
+    clauses.forEach(clause => {
+      const result = this.matchClause(clause);
+      result.terms.forEach(term => matched.add(term));
+
+      if (scores === null) {
+        scores = result.scores;
+        return;
+      }
+      const narrowed = new Map();
+      scores.forEach((score, id) => {
+        if (result.scores.has(id)) narrowed.set(id, score + result.scores.get(id));
+      });
+      scores = narrowed;
+    });
+
+    const hits = Array.from((scores || new Map()).entries())
+      .map(([id, score]) => ({ id, score, doc: this.docs.get(id) }))
+      .filter(({ doc }) => !type.length || type.includes(doc.type))
+      .filter(({ doc }) => !status.length || status.includes(doc.status))
+      .filter(({ doc }) => !tag.length || tag.some(value => doc.tags.includes(value)))
+      .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+
+    const size = Math.min(Math.max(Number(limit) || 10, 1), MAX_LIMIT);
+    const start = Math.max(Number(offset) || 0, 0);
+
+    return {
+      total: hits.length,
+      facets: this.facets(hits),
+      results: hits.slice(start, start + size).map(({ id, score, doc }) => ({
+        id,
+        type: doc.type,
+        title: doc.title,
+        status: doc.status,
+        tags: doc.tags,
+        updated_at: doc.updated_at,
+        score: Math.round(score * 1000) / 1000,
+        highlights: this.highlights(doc, matched)
+      }))
+    };
+  }
+
+  facets(hits) {
+    const counts = Object.fromEntries(FACETS.map(facet => [facet, {}]));
+    const count = (facet, value) => {
+      if (value) counts[facet][value] = (counts[facet][value] || 0) + 1;
+    };
+
+    hits.forEach(({ doc }) => {
+      count('type', doc.type);
+      count('status', doc.status);
+      doc.tags.forEach(value => count('tag', value));
+    });
+    return counts;
+  }
+
+  /**
+   * A snippet per field with a match, escaped, matches wrapped in <mark>
+   */
+  highlights(doc, matched) {
+    const highlights = {};
+
+    this.fields.forEach(field => {
+      const text = doc.text[field];
+      const tokens = tokenize(text).filter(token => matched.has(token.term));
+      if (!tokens.length) return;
+
+      const length = this.config.snippetLength;
+      let start = 0;
+      let end = text.length;
+
+      if (text.length > length) {
+        const first = tokens[0].start;
+        start = Math.max(0, Math.min(first - Math.floor(length / 4), text.length - length));
+        end = start + length;
+
+        // Whole words at the edges
+        const before = text.indexOf(' ', start);
+        if (start > 0 && before !== -1 && before < first) start = before + 1;
+        const after = text.lastIndexOf(' ', end);
+        if (end < text.length && after > first) end = after;
+      }
+
+      let snippet = start > 0 ? '…' : '';
+      let cursor = start;
+      tokens.filter(token => token.start >= start && token.end <= end).forEach(token => {
+        snippet += escapeHTML(text.slice(cursor, token.start)) + `<mark>${escapeHTML(text.slice(token.start, token.end))}</mark>`;
+        cursor = token.end;
+      });
+      snippet += escapeHTML(text.slice(cursor, end)) + (end < text.length ? '…' : '');
+
+      highlights[field] = snippet.replace(/\s+/g, ' ').trim();
+    });
+
+    return highlights;
+  }
+}
+
+/**
+ * "title:3,body:1" into a boosts map
+ */
+function parseBoosts(value) {
+  if (!value) return DEFAULT_BOOSTS;
+
+  return Object.fromEntries(value.split(',').map(pair => {
+    const [field, weight] = pair.split(':').map(part => part.trim());
+    if (!field || !(Number(weight) > 0)) {
+      throw new Error(`Invalid search boost "${pair}", expected field:weight`);
+    }
+    return [field, Number(weight)];
+  }));
+}
+
+module.exports = {
+  SearchIndex,
+  SEARCH_FACETS: FACETS,
+  parseQuery,
+  parseBoosts,
+  tokenize
+};
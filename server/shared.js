@@ -0,0 +1,34 @@
+/**
+ * Shared Scripts
+ * cms_schema.js, cms_markdown.js and cms_template.js are UMD scripts
+ * the browser loads as they are. The package is "type": "module", so
+ * Node would load them as ES modules that export nothing; here they are
+ * evaluated with a CommonJS `module` instead, which their UMD wrapper
+ * fills in.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const loaded = new Map(); // file -> exports
+
+function loadShared(name) {
+  const file = path.join(__dirname, '..', name);
+
+  if (!loaded.has(file)) {
+    const source = fs.readFileSync(file, 'utf8');
+    const wrapper = vm.runInThisContext(`(function (module, exports) {${source}\n})`, { filename: file });
+    const module = { exports: {} };
+    wrapper(module, module.exports);
+    loaded.set(file, module.exports);
+  }
+  return loaded.get(file);
+}
+
+module.exports = {
+  loadShared,
+  CMSSchema: loadShared('cms_schema.js'),
+  CMSMarkdown: loadShared('cms_markdown.js'),
+  CMSTemplate: loadShared('cms_template.js')
+};
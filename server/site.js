@@ -0,0 +1,494 @@
+/**
+ * Static Site Builder
+ * `node cms_server.js build --out site/` renders every published item to
+ * <out>/<id>/index.html, with sitemap.xml, an Atom feed (feed.xml) and
+ * an RSS feed (rss.xml) beside them.
+ *
+ * An item picks its look with two fields:
+ * - template: a CR8ENGINE template id (cr8story-2), or the id of a
+ *   published item whose template_data.view, template, html or body
+ *   holds the markup
+ * - variation: a DesignVariation id (var-neon-7), its CSS inlined
+ * Items without them get the configured defaults. Views see the item's
+ * fields, with {{content}} set to its body rendered as HTML. Template
+ * items (markup in their own template field) get no page.
+ *
+ * CR8ENGINE views loop over a list: items (cr8base), sections
+ * (cr8multi), chapters of { title, content } (cr8story) or form fields
+ * of { label, type, name } (cr8form). An item's own list is used when it
+ * has one, entries that are objects rendered like a body; otherwise its
+ * body fills a single entry. A form has no such stand-in, so an item
+ * without fields gets the default view instead.
+ *
+ * Output depends only on the published content and the options, never
+ * on when the build ran or the order items are stored in, so building
+ * the same content twice gives identical files.
+ *
+ * Rebuilds are incremental: <out>/.cms-build.json records what each page
+ * was built from (the item's updated_at, template and variation) and
+ * only pages whose inputs changed are rendered again. Pages of items no
+ * longer published are removed.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { CMSMarkdown, CMSTemplate } = require('./shared');
+
+const MANIFEST = '.cms-build.json';
+const RESERVED = ['sitemap.xml', 'feed.xml', 'rss.xml'];
+const PAGE_FILE = /^[^./\\][^/\\]*\/index\.html$/;
+
+// Template items keep their own markup in `template`, which is not a reference
+const TEMPLATE_ID = /^[^\s<>{}]+$/;
+
+// Bump when page or feed markup changes, so existing output is rebuilt
+const FORMAT = 2;
+
+// CR8ENGINE template ids are the engine name lowercased plus an index
+const GENERATORS = {
+  cr8base: 'generateBase',
+  cr83d: 'generate3D',
+  cr8animation: 'generateAnimation',
+  cr8story: 'generateStory',
+  cr8multi: 'generateMulti',
+  cr8form: 'generateForm',
+  cr8urweb: 'generateUrweb'
+};
+
+const DEFAULT_VIEW = `<article class="cms-page">
+  <h1>{{title}}</h1>
+  {{content}}
+</article>`;
+
+const EPOCH = new Date(0).toISOString();
+
+const { SafeHTML } = CMSTemplate;
+const escapeXML = CMSMarkdown.escapeHTML;
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function listOf(value) {
+  return Array.isArray(value) && value.length ? value : null;
+}
+
+// Code point order, so the result does not depend on the ICU locale
+function byId(a, b) {
+  return a.id < b.id ? -1 : (a.id > b.id ? 1 : 0);
+}
+
+function isoDate(value) {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Write a file unless it already holds the data, returning whether it
+ * was written
+ */
+function writeFile(file, data) {
+  if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === data) {
+    return false;
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, data);
+  fs.renameSync(`${file}.tmp`, file);
+  return true;
+}
+
+class SiteBuilder {
+  constructor(config = {}) {
+    this.config = {
+      repository: null,
+      out: 'site',
+      baseUrl: 'http://localhost:8080/', // Absolute, for sitemap and feed links
+      title: 'CMS',
+      template: null, // Template id for items without one, else a plain article
+      variation: null, // DesignVariation id for items without one
+      defaultLocale: 'en',
+      feedSize: 20, // Newest items in feed.xml and rss.xml
+      enginesDir: path.join(__dirname, '..', 'src', 'engines'),
+      ...config
+    };
+
+    this.repository = this.config.repository;
+    this.baseUrl = this.config.baseUrl.replace(/\/*$/, '/');
+    this.engines = null;
+  }
+
+  /**
+   * CR8ENGINE and DesignVariationEngine are ES modules shared with the
+   * browser app, so they are imported on first use
+   */
+  async loadEngines() {
+    if (!this.engines) {
+      const load = name => import(pathToFileURL(path.join(this.config.enginesDir, name, 'index.js')).href);
+      const [{ CR8Engine }, { DesignVariationEngine }] = await Promise.all([load('cr8engine'), load('design-variation')]);
+      this.engines = { templates: new CR8Engine(null), variations: new DesignVariationEngine() };
+    }
+    return this.engines;
+  }
+
+  /**
+   * Page file for an id, relative to out. Ids are URL-encoded, and a
+   * leading dot is too so no page is hidden or escapes its directory.
+   */
+  pagePath(id) {
+    const directory = encodeURIComponent(id).replace(/^\./, '%2E');
+    if (RESERVED.includes(directory)) {
+      throw new Error(`Content ID "${id}" is reserved for ${directory}`);
+    }
+    return `${directory}/index.html`;
+  }
+
+  pageUrl(file) {
+    return this.baseUrl + path.posix.dirname(file) + '/';
+  }
+
+  /**
+   * { key, view, css, engine } for a template id, engine naming the
+   * CR8ENGINE generator. key changes whenever the markup may have, so a
+   * page using it is rebuilt.
+   */
+  template(id, published) {
+    if (!id) {
+      return { key: null, view: DEFAULT_VIEW, css: '' };
+    }
+
+    const generated = /^(cr8[a-z0-9]+)-(\d+)$/.exec(id);
+    if (generated && GENERATORS[generated[1]]) {
+      const template = this.engines.templates[GENERATORS[generated[1]]](Number(generated[2]));
+      return { key: id, view: template.template_data.view, css: template.template_data.css || '', engine: generated[1] };
+    }
+
+    const stored = published.get(id);
+    if (!stored) {
+      throw new Error(`Template ${id} not found`);
+    }
+
+    const data = stored.template_data || {};
+    return {
+      key: `${id}@${stored.updated_at || stored.version}`,
+      view: data.view || stored.template || stored.html || stored.body || '',
+      css: data.css || stored.css || ''
+    };
+  }
+
+  /**
+   * { key, css } for a DesignVariation id, null for none
+   */
+  variation(id) {
+    if (!id) return null;
+
+    const match = /^var-([a-z]+)-(\d+)$/.exec(id);
+    if (!match || !this.engines.variations.styles[match[1]]) {
+      throw new Error(`Variation ${id} not found`);
+    }
+    return { key: id, css: this.engines.variations.generateVariation(match[1], Number(match[2])).css };
+  }
+
+  /**
+   * An item's body as HTML: html as is, markdown rendered, and body as
+   * HTML when it starts with a tag and as Markdown when it does not
+   */
+  body(item) {
+    if (typeof item.html === 'string') return item.html;
+    if (typeof item.markdown === 'string') return CMSMarkdown.render(item.markdown);
+    if (typeof item.body === 'string') {
+      return /^\s*<[a-z!]/i.test(item.body) ? item.body : CMSMarkdown.render(item.body);
+    }
+    if (typeof item.text === 'string') return `<p>${escapeXML(item.text)}</p>\n`;
+    return '';
+  }
+
+  title(item) {
+    return String(item.title || item.name || item.id);
+  }
+
+  /**
+   * A list entry for a view: objects rendered like a body, other
+   * values left for the view to escape
+   */
+  fragment(entry) {
+    return isObject(entry) ? new SafeHTML(this.body(entry)) : entry;
+  }
+
+  /**
+   * The list a CR8ENGINE view loops over, from the item (see the top of
+   * this file). null when the item cannot fill the view.
+   */
+  viewFields(engine, item, content) {
+    if (engine === 'cr8base') {
+      return { items: listOf(item.items) ? item.items.map(entry => this.fragment(entry)) : [content] };
+    }
+    if (engine === 'cr8multi') {
+      return { sections: listOf(item.sections) ? item.sections.map(entry => this.fragment(entry)) : [content] };
+    }
+    if (engine === 'cr8story') {
+      const chapters = (listOf(item.chapters) || []).filter(isObject);
+      return {
+        chapters: chapters.length
+          ? chapters.map(chapter => ({
+            title: String(chapter.title || ''),
+            content: new SafeHTML(this.body(typeof chapter.content === 'string' ? { body: chapter.content } : chapter))
+          }))
+          : [{ title: this.title(item), content }]
+      };
+    }
+    if (engine === 'cr8form') {
+      const fields = (listOf(item.fields) || []).filter(field => isObject(field) && typeof field.name === 'string' && field.name);
+      return fields.length
+        ? { fields: fields.map(field => ({ label: String(field.label || field.name), type: String(field.type || 'text'), name: field.name })) }
+        : null;
+    }
+    return {};
+  }
+
+  page(item, file, template, variation) {
+    const url = this.pageUrl(file);
+    const description = item.summary || item.description;
+    const content = new SafeHTML(this.body(item));
+    const fields = template.engine ? this.viewFields(template.engine, item, content) : {};
+    const view = fields ? template.view : DEFAULT_VIEW;
+    const css = [variation && variation.css, fields && template.css, item.css]
+      .filter(value => typeof value === 'string' && value.trim())
+      .map(value => value.trim())
+      .join('\n\n');
+    const html = CMSTemplate.render(view, {
+      ...item,
+      ...fields,
+      title: this.title(item),
+      url,
+      site: { title: this.config.title, url: this.baseUrl },
+      content
+    });
+
+    return [
+      '<!DOCTYPE html>',
+      `<html lang="${escapeXML(item.locale || this.config.defaultLocale)}">`,
+      '<head>',
+      '<meta charset="utf-8">',
+      '<meta name="viewport" content="width=device-width, initial-scale=1">',
+      `<title>${escapeXML(this.title(item))} | ${escapeXML(this.config.title)}</title>`,
+      description ? `<meta name="description" content="${escapeXML(description)}">` : null,
+      `<link rel="canonical" href="${escapeXML(url)}">`,
+      `<link rel="alternate" type="application/atom+xml" title="${escapeXML(this.config.title)}" href="${escapeXML(this.baseUrl)}feed.xml">`,
+      css ? `<style>\n${css}\n</style>` : null,
+      '</head>',
+      '<body>',
+      html.trim(),
+      '</body>',
+      '</html>',
+      ''
+    ].filter(line => line !== null).join('\n');
+  }
+
+  sitemap(pages) {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      ...pages.map(({ item, file }) => {
+        const modified = isoDate(item.updated_at);
+        return [
+          '  <url>',
+          `    <loc>${escapeXML(this.pageUrl(file))}</loc>`,
+          modified ? `    <lastmod>${modified}</lastmod>` : null,
+          '  </url>'
+        ].filter(line => line !== null).join('\n');
+      }),
+      '</urlset>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Newest items first, by publish date then id
+   */
+  feedEntries(pages) {
+    const date = ({ item }) => isoDate(item.published_at) || isoDate(item.updated_at) || EPOCH;
+    return pages
+      .slice()
+      .sort((a, b) => (date(a) === date(b) ? byId(a.item, b.item) : (date(a) < date(b) ? 1 : -1)))
+      .slice(0, this.config.feedSize)
+      .map(page => ({
+        ...page,
+        url: this.pageUrl(page.file),
+        published: date(page),
+        updated: isoDate(page.item.updated_at) || date(page)
+      }));
+  }
+
+  // The newest change among the entries, never the build time
+  feedUpdated(entries) {
+    return entries.reduce((latest, entry) => (entry.updated > latest ? entry.updated : latest), EPOCH);
+  }
+
+  atom(pages) {
+    const entries = this.feedEntries(pages);
+    const title = escapeXML(this.config.title);
+    const base = escapeXML(this.baseUrl);
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `  <title>${title}</title>`,
+      `  <id>${base}</id>`,
+      `  <link href="${base}"/>`,
+      `  <link rel="self" type="application/atom+xml" href="${base}feed.xml"/>`,
+      `  <updated>${this.feedUpdated(entries)}</updated>`,
+      `  <author><name>${title}</name></author>`,
+      ...entries.map(({ item, url, published, updated }) => {
+        const summary = item.summary || item.description;
+        return [
+          '  <entry>',
+          `    <title>${escapeXML(this.title(item))}</title>`,
+          `    <id>${escapeXML(url)}</id>`,
+          `    <link href="${escapeXML(url)}"/>`,
+          `    <published>${published}</published>`,
+          `    <updated>${updated}</updated>`,
+          typeof item.author === 'string' && item.author ? `    <author><name>${escapeXML(item.author)}</name></author>` : null,
+          summary ? `    <summary>${escapeXML(summary)}</summary>` : null,
+          `    <content type="html">${escapeXML(this.body(item))}</content>`,
+          '  </entry>'
+        ].filter(line => line !== null).join('\n');
+      }),
+      '</feed>',
+      ''
+    ].join('\n');
+  }
+
+  rss(pages) {
+    const entries = this.feedEntries(pages);
+    const title = escapeXML(this.config.title);
+    const base = escapeXML(this.baseUrl);
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+      '  <channel>',
+      `    <title>${title}</title>`,
+      `    <link>${base}</link>`,
+      `    <description>${title}</description>`,
+      `    <atom:link rel="self" type="application/rss+xml" href="${base}rss.xml"/>`,
+      `    <lastBuildDate>${new Date(this.feedUpdated(entries)).toUTCString()}</lastBuildDate>`,
+      ...entries.map(({ item, url, published }) => [
+        '    <item>',
+        `      <title>${escapeXML(this.title(item))}</title>`,
+        `      <link>${escapeXML(url)}</link>`,
+        `      <guid isPermaLink="true">${escapeXML(url)}</guid>`,
+        `      <pubDate>${new Date(published).toUTCString()}</pubDate>`,
+        `      <description>${escapeXML(this.body(item))}</description>`,
+        '    </item>'
+      ].join('\n')),
+      '  </channel>',
+      '</rss>',
+      ''
+    ].join('\n');
+  }
+
+  // Options every page depends on; when they change nothing is reused
+  siteKey() {
+    const { title, defaultLocale } = this.config;
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({ format: FORMAT, baseUrl: this.baseUrl, title, defaultLocale }))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  readManifest(out) {
+    try {
+      const manifest = JSON.parse(fs.readFileSync(path.join(out, MANIFEST), 'utf8'));
+      return manifest && typeof manifest.pages === 'object' ? manifest : { pages: {} };
+    } catch {
+      return { pages: {} };
+    }
+  }
+
+  /**
+   * Render the site into config.out. full ignores what the last build
+   * recorded and renders every page. Resolves to { pages, written,
+   * unchanged, skipped, removed, errors }: file lists relative to out,
+   * and { id, message } for items that could not be rendered (they get
+   * no page).
+   */
+  async build({ full = false } = {}) {
+    await this.loadEngines();
+
+    const out = path.resolve(this.config.out);
+    const manifest = this.readManifest(out);
+    const site = this.siteKey();
+    const previous = !full && manifest.site === site ? manifest.pages : {};
+
+    const items = this.repository.listPublished().sort(byId);
+    const published = new Map(items.map(item => [item.id, item]));
+    const result = { pages: 0, written: [], unchanged: [], skipped: [], removed: [], errors: [] };
+    const records = {};
+    const pages = [];
+
+    items.forEach(item => {
+      if (typeof item.template === 'string' && !TEMPLATE_ID.test(item.template)) {
+        return; // A template item, rendered into the pages using it
+      }
+
+      try {
+        const file = this.pagePath(item.id);
+        const template = this.template(item.template || this.config.template, published);
+        const variation = this.variation(typeof item.variation === 'string' && item.variation ? item.variation : this.config.variation);
+        const record = {
+          file,
+          updated_at: item.updated_at || null,
+          template: template.key,
+          variation: variation ? variation.key : null
+        };
+
+        if (JSON.stringify(previous[item.id]) === JSON.stringify(record) && fs.existsSync(path.join(out, file))) {
+          result.skipped.push(file);
+        } else {
+          const written = writeFile(path.join(out, file), this.page(item, file, template, variation));
+          result[written ? 'written' : 'unchanged'].push(file);
+        }
+
+        records[item.id] = record;
+        pages.push({ item, file });
+      } catch (error) {
+        result.errors.push({ id: item.id, message: error.message });
+      }
+    });
+
+    // Pages left from items since unpublished, deleted or failing
+    Object.values(manifest.pages)
+      .map(record => record && record.file)
+      .filter(file => typeof file === 'string' && !pages.some(page => page.file === file))
+      .forEach(file => {
+        const target = path.join(out, file);
+        if (!PAGE_FILE.test(file) || !fs.existsSync(target)) return;
+
+        fs.rmSync(target);
+        try {
+          fs.rmdirSync(path.dirname(target));
+        } catch {
+          // Holds other files, leave it
+        }
+        result.removed.push(file);
+      });
+
+    [
+      ['sitemap.xml', this.sitemap(pages)],
+      ['feed.xml', this.atom(pages)],
+      ['rss.xml', this.rss(pages)]
+    ].forEach(([file, data]) => {
+      result[writeFile(path.join(out, file), data) ? 'written' : 'unchanged'].push(file);
+    });
+
+    writeFile(path.join(out, MANIFEST), JSON.stringify({ format: FORMAT, site, pages: records }, null, 2) + '\n');
+
+    result.pages = pages.length;
+    return result;
+  }
+}
+
+module.exports = { SiteBuilder };
@@ -0,0 +1,287 @@
+/**
+ * CMS Server Storage
+ * Pluggable persistence layer behind the cms_server.cjs routes
+ *
+ * Adapters:
+ * - memory: plain Map, nothing survives a restart (tests, demos)
+ * - file: append-only JSON log, replayed into memory at startup
+ *
+ * Both adapters expose the same synchronous Map-like interface
+ * (get/has/set/delete/keys/values/entries/size), so route handlers
+ * never need to know which one is active. batch() applies several
+ * sets and deletes as one write that a crash keeps whole or drops.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class MemoryStore {
+  constructor(config = {}) {
+    this.config = {
+      name: 'content',
+      ...config
+    };
+
+    this.data = new Map();
+  }
+
+  /**
+   * Load existing records (nothing to do in memory)
+   */
+  load() {
+    return this;
+  }
+
+  get(id) {
+    return this.data.get(id);
+  }
+
+  has(id) {
+    return this.data.has(id);
+  }
+
+  set(id, value) {
+    this.data.set(id, value);
+    return this;
+  }
+
+  delete(id) {
+    return this.data.delete(id);
+  }
+
+  clear() {
+    this.data.clear();
+  }
+
+  /**
+   * Apply [{ op: 'set', id, value } | { op: 'delete', id }] in order
+   */
+  batch(records) {
+    records.forEach(record => {
+      if (record.op === 'set') {
+        this.data.set(record.id, record.value);
+      } else if (record.op === 'delete') {
+        this.data.delete(record.id);
+      }
+    });
+    return this;
+  }
+
+  keys() {
+    return this.data.keys();
+  }
+
+  values() {
+    return this.data.values();
+  }
+
+  entries() {
+    return this.data.entries();
+  }
+
+  get size() {
+    return this.data.size;
+  }
+
+  /**
+   * Release resources
+   */
+  close() {}
+}
+
+class FileStore extends MemoryStore {
+  constructor(config = {}) {
+    super({
+      dataDir: './data',
+      compactThreshold: 1000, // Stale log lines tolerated before compaction
+      fsync: true,
+      ...config
+    });
+
+    this.file = path.join(this.config.dataDir, `${this.config.name}.jsonl`);
+    this.fd = null;
+    this.lineCount = 0;
+  }
+
+  /**
+   * Replay the log into memory and open it for appending
+   */
+  load() {
+    fs.mkdirSync(this.config.dataDir, { recursive: true });
+
+    // A snapshot left next to the log never finished its swap; the log wins
+    const pending = `${this.file}.compact`;
+    if (fs.existsSync(pending)) {
+      fs.unlinkSync(pending);
+    }
+
+    if (fs.existsSync(this.file)) {
+      const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+
+      lines.forEach((line, index) => {
+        if (!line.trim()) return;
+
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          // Only the last line can be torn by a crash mid-append
+          if (index >= lines.length - 2) {
+            console.warn(`Storage: Ignoring truncated record in ${this.file}`);
+            return;
+          }
+          throw new Error(`Storage: Corrupt record at ${this.file}:${index + 1}`);
+        }
+
+        this.replay(record);
+      });
+
+      // Start from a clean snapshot so a torn tail never gets appended to
+      this.rewrite();
+    }
+
+    this.fd = fs.openSync(this.file, 'a');
+    return this;
+  }
+
+  /**
+   * Apply a single log record to the in-memory map. A batch is one
+   * line, so a torn batch is dropped whole with the rest of the tail.
+   */
+  replay(record) {
+    if (record.op === 'set') {
+      this.data.set(record.id, record.value);
+    } else if (record.op === 'delete') {
+      this.data.delete(record.id);
+    } else if (record.op === 'clear') {
+      this.data.clear();
+    } else if (record.op === 'batch') {
+      super.batch(record.records);
+    }
+  }
+
+  /**
+   * Durably append a record to the log
+   */
+  append(record) {
+    if (this.fd === null) {
+      throw new Error('Storage: Store not loaded');
+    }
+
+    fs.writeSync(this.fd, JSON.stringify(record) + '\n');
+    if (this.config.fsync) {
+      fs.fsyncSync(this.fd);
+    }
+
+    this.lineCount++;
+  }
+
+  /**
+   * Compact once the log holds too many superseded lines
+   */
+  maybeCompact() {
+    if (this.lineCount - this.data.size > this.config.compactThreshold) {
+      this.compact();
+    }
+  }
+
+  set(id, value) {
+    this.append({ op: 'set', id, value });
+    this.data.set(id, value);
+    this.maybeCompact();
+    return this;
+  }
+
+  delete(id) {
+    if (!this.data.has(id)) return false;
+    this.append({ op: 'delete', id });
+    this.data.delete(id);
+    this.maybeCompact();
+    return true;
+  }
+
+  clear() {
+    this.append({ op: 'clear' });
+    this.data.clear();
+    this.maybeCompact();
+  }
+
+  batch(records) {
+    if (!records.length) return this;
+    this.append({ op: 'batch', records });
+    super.batch(records);
+    this.lineCount += records.length - 1; // Compaction counts records, not lines
+    this.maybeCompact();
+    return this;
+  }
+
+  /**
+   * Rewrite the log as one line per live record
+   */
+  compact() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+    }
+
+    this.rewrite();
+    this.fd = fs.openSync(this.file, 'a');
+  }
+
+  /**
+   * Write a snapshot to a temp file and atomically swap it in
+   */
+  rewrite() {
+    const tmp = `${this.file}.compact`;
+    const fd = fs.openSync(tmp, 'w');
+
+    try {
+      for (const [id, value] of this.data) {
+        fs.writeSync(fd, JSON.stringify({ op: 'set', id, value }) + '\n');
+      }
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    fs.renameSync(tmp, this.file);
+    this.lineCount = this.data.size;
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+const adapters = {
+  memory: MemoryStore,
+  file: FileStore
+};
+
+/**
+ * Create and load a store for a named collection.
+ * The adapter is selected with CMS_STORAGE (memory | file).
+ */
+function createStore(name, config = {}) {
+  const type = config.type || process.env.CMS_STORAGE || 'file';
+  const Adapter = adapters[type];
+
+  if (!Adapter) {
+    throw new Error(`Storage: Unknown adapter "${type}"`);
+  }
+
+  return new Adapter({
+    name,
+    dataDir: process.env.CMS_DATA_DIR || './data',
+    ...config
+  }).load();
+}
+
+module.exports = {
+  MemoryStore,
+  FileStore,
+  createStore,
+  adapters
+};
@@ -0,0 +1,113 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AssetLibrary, parseRange, sendFile } = require('../assets');
+const { boundaryOf, parseMultipart } = require('../multipart');
+const { MemoryStore } = require('../storage');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cms-assets-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// 1x1 PNG header: signature plus an IHDR chunk
+const PNG = Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]),
+  Buffer.from('IHDR'),
+  Buffer.from([0, 0, 0, 1, 0, 0, 0, 1, 8, 6, 0, 0, 0])
+]);
+
+function library(config = {}) {
+  return new AssetLibrary({ store: new MemoryStore(), dir, ...config });
+}
+
+test('parses multipart fields and files', () => {
+  const contentType = 'multipart/form-data; boundary="xyz"';
+  const body = Buffer.from([
+    '--xyz',
+    'Content-Disposition: form-data; name="tags"',
+    '',
+    'a, b',
+    '--xyz',
+    'Content-Disposition: form-data; name="file"; filename="x.txt"; filename*=UTF-8\'\'caf%C3%A9.txt',
+    'Content-Type: Text/Plain; charset=utf-8',
+    '',
+    'hello\r\nworld',
+    '--xyz--',
+    ''
+  ].join('\r\n'));
+
+  assert.equal(boundaryOf(contentType), 'xyz');
+  assert.equal(boundaryOf('application/json'), null);
+
+  const { fields, files } = parseMultipart(body, contentType);
+  assert.deepEqual(fields, { tags: 'a, b' });
+  assert.equal(files[0].filename, 'café.txt');
+  assert.equal(files[0].mimeType, 'text/plain');
+  assert.equal(files[0].data.toString(), 'hello\r\nworld');
+
+  assert.throws(() => parseMultipart(body, 'text/plain'), { status: 415 });
+  assert.throws(() => parseMultipart(Buffer.from('--xyz\r\nunterminated'), contentType), { status: 400 });
+});
+
+test('stores uploads by content hash and deduplicates them', () => {
+  const assets = library();
+  const { asset, created } = assets.add({ filename: '../pixel.png', mimeType: 'image/png', data: PNG }, { tags: '["hero"]' });
+
+  assert.equal(created, true);
+  assert.equal(asset.filename, 'pixel.png');
+  assert.equal(asset.id.length, 32);
+  assert.deepEqual([asset.width, asset.height], [1, 1]);
+  assert.deepEqual(fs.readFileSync(assets.filePath(asset)), PNG);
+
+  assert.equal(assets.add({ filename: 'again.png', mimeType: 'image/png', data: PNG }).created, false);
+  assert.deepEqual(assets.list({ mime: 'image/*', tag: 'hero' }).map(item => item.id), [asset.id]);
+
+  assets.remove(asset.id);
+  assert.equal(fs.existsSync(assets.filePath(asset)), false);
+});
+
+test('rejects mislabelled, disallowed and oversized files', () => {
+  const assets = library({ maxSize: 16 });
+
+  assert.equal(assets.check({ filename: 'x', mimeType: 'application/octet-stream', data: PNG.slice(0, 8) }), 'image/png');
+  assert.throws(() => assets.check({ filename: 'x.txt', mimeType: 'text/plain', data: PNG.slice(0, 8) }), { status: 415 });
+  assert.throws(() => assets.check({ filename: 'x.html', mimeType: 'text/html', data: Buffer.from('<p>') }), { status: 415 });
+  assert.throws(() => assets.check({ filename: 'x.png', mimeType: 'image/png', data: PNG }), { status: 413 });
+});
+
+test('updates metadata but never the bytes', () => {
+  const assets = library();
+  const { asset } = assets.add({ filename: 'a.txt', mimeType: 'text/plain', data: Buffer.from('a') });
+
+  const updated = assets.update(asset.id, { filename: 'dir/b.txt', tags: 'x,y', metadata: { alt: 'A' }, hash: 'nope' });
+  assert.equal(updated.filename, 'b.txt');
+  assert.deepEqual(updated.tags, ['x', 'y']);
+  assert.equal(updated.hash, asset.hash);
+  assert.throws(() => assets.update(asset.id, { metadata: '[1]' }), { status: 400 });
+});
+
+test('parses single byte ranges', () => {
+  assert.deepEqual(parseRange('bytes=0-9', 100), { start: 0, end: 9 });
+  assert.deepEqual(parseRange('bytes=-10', 100), { start: 90, end: 99 });
+  assert.deepEqual(parseRange('bytes=90-', 100), { start: 90, end: 99 });
+  assert.equal(parseRange('bytes=100-', 100), false);
+  assert.equal(parseRange('bytes=0-1,5-6', 100), null);
+});
+
+test('caches files publicly only when reads need no credentials', () => {
+  const assets = library();
+  const { asset } = assets.add({ filename: 'a.txt', mimeType: 'text/plain', data: Buffer.from('a') });
+  const file = assets.original(asset);
+
+  const cacheControl = options => {
+    let sent;
+    const res = { writeHead: (status, headers) => { sent = { status, headers }; }, end() {} };
+    sendFile({ method: 'GET', headers: { 'if-none-match': file.etag } }, res, file, options);
+    assert.equal(sent.status, 304);
+    return sent.headers['Cache-Control'];
+  };
+
+  assert.equal(cacheControl(), 'public, max-age=31536000, immutable');
+  assert.equal(cacheControl({ publicRead: false }), 'private, max-age=31536000, immutable');
+});
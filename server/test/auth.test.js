@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Auth, hasRole, corsOriginHeaders } = require('../auth');
+const { MemoryStore } = require('../storage');
+
+const secret = 'test-secret';
+
+function auth(config = {}) {
+  return new Auth({ jwtSecret: secret, adminKey: 'root', keyStore: new MemoryStore(), ...config });
+}
+
+function request(headers) {
+  return { headers };
+}
+
+// A token signed with the test secret around arbitrary claims
+function forge(claims) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+}
+
+test('roles include the ones before them', () => {
+  assert.equal(hasRole('admin', 'editor'), true);
+  assert.equal(hasRole('viewer', 'editor'), false);
+  assert.equal(hasRole('root', 'viewer'), false);
+});
+
+test('API keys authenticate until revoked', () => {
+  const a = auth();
+  const { key, id } = a.createKey({ name: 'ci', role: 'editor' });
+
+  assert.deepEqual(a.authenticate(request({ 'x-api-key': key })).role, 'editor');
+  assert.equal(a.authenticate(request({ 'x-api-key': 'root' })).role, 'admin');
+  assert.ok(!a.listKeys()[0].hash);
+
+  a.revokeKey(id);
+  assert.throws(() => a.authenticate(request({ 'x-api-key': key })), { status: 401 });
+});
+
+test('anonymous callers are viewers only with public reads', () => {
+  assert.equal(auth().authenticate(request({})).role, 'viewer');
+  assert.equal(auth({ publicRead: false }).authenticate(request({})).role, null);
+  assert.throws(() => auth().authorize({ role: 'viewer', via: 'anonymous' }, 'editor'), { status: 401 });
+  assert.throws(() => auth().authorize({ role: 'viewer', via: 'key' }, 'editor'), { status: 403 });
+});
+
+test('signed tokens round-trip and tampering is rejected', () => {
+  const a = auth();
+  const token = a.signToken({ sub: 'sam', role: 'publisher' }, 60);
+  const claims = a.verifyToken(token);
+
+  assert.equal(claims.role, 'publisher');
+  assert.equal(claims.exp - claims.iat, 60);
+  assert.throws(() => auth({ jwtSecret: 'other' }).verifyToken(token), /Invalid token signature/);
+  assert.throws(() => a.verifyToken('a.b'), /Malformed token/);
+});
+
+test('ttl must be a positive whole number of seconds within the limit', () => {
+  const a = auth({ maxTokenTTL: 3600 });
+
+  ['60', null, 0, -5, 1.5, 3601, {}].forEach(ttl => {
+    assert.throws(() => a.signToken({ role: 'viewer' }, ttl), { status: 400 }, `ttl ${JSON.stringify(ttl)}`);
+  });
+  assert.ok(a.signToken({ role: 'viewer' }, undefined));
+});
+
+test('tokens with non-numeric or past time claims are rejected', () => {
+  const a = auth();
+  const now = Math.floor(Date.now() / 1000);
+
+  assert.throws(() => a.verifyToken(forge({ role: 'admin', exp: `${now + 60}` })), /Malformed token/);
+  assert.throws(() => a.verifyToken(forge({ role: 'admin', nbf: null })), /Malformed token/);
+  assert.throws(() => a.verifyToken(forge(['admin'])), /Malformed token/);
+  assert.throws(() => a.verifyToken(forge({ role: 'admin', exp: now - 1 })), /Token expired/);
+  assert.equal(a.verifyToken(forge({ role: 'admin' })).role, 'admin');
+});
+
+test('CORS echoes allowed origins only', () => {
+  assert.deepEqual(corsOriginHeaders('https://a.test', ['*']), { 'Access-Control-Allow-Origin': '*' });
+  assert.equal(corsOriginHeaders('https://a.test', ['https://a.test'])['Access-Control-Allow-Origin'], 'https://a.test');
+  assert.equal(corsOriginHeaders('https://b.test', ['https://a.test'])['Access-Control-Allow-Origin'], undefined);
+});
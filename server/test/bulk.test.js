@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BulkWriter } = require('../bulk');
+const { ContentRepository } = require('../content');
+const { HttpError, etagFor } = require('../http');
+const { FileStore, MemoryStore } = require('../storage');
+
+function setup(contentStore = new MemoryStore()) {
+  const repository = new ContentRepository({ contentStore, publishedStore: new MemoryStore() });
+  const validate = content => {
+    if (typeof content.title !== 'string') throw new HttpError(422, 'title required');
+  };
+  return { repository, bulk: new BulkWriter({ repository, validate }) };
+}
+
+test('applies every operation against the state the earlier ones leave', () => {
+  const { repository, bulk } = setup();
+  repository.save('b', { title: 'B' });
+  repository.save('d', { title: 'D' });
+  repository.publish('d');
+
+  const results = bulk.apply([
+    { op: 'create', content: { id: 'a', title: 'A' } },
+    { op: 'patch', id: 'a', patch: [{ op: 'replace', path: '/title', value: 'A2' }] },
+    { op: 'update', id: 'b', content: { title: 'B2' }, if_match: etagFor(repository.get('b')) },
+    { op: 'delete', id: 'd' }
+  ], { actor: 'ed' });
+
+  assert.deepEqual(results.map(({ op, id, version }) => [op, id, version]), [
+    ['create', 'a', 1], ['patch', 'a', 2], ['update', 'b', 2], ['delete', 'd', undefined]
+  ]);
+  assert.equal(repository.get('a').title, 'A2');
+  assert.equal(repository.get('d'), undefined);
+  assert.equal(repository.getPublished('d'), undefined);
+});
+
+test('a failed batch changes nothing and names every failure', () => {
+  const { repository, bulk } = setup();
+  repository.save('b', { title: 'B' });
+
+  assert.throws(() => bulk.apply([
+    { op: 'create', content: { id: 'a', title: 'A' } },
+    { op: 'update', id: 'b', content: { title: 'B2' }, if_match: '"stale"' },
+    { op: 'create', content: { id: 'c' } },
+    { op: 'delete', id: 'missing' }
+  ]), error => {
+    assert.equal(error.status, 412);
+    assert.deepEqual(error.details.errors.map(({ index, status }) => [index, status]), [[1, 412], [2, 422], [3, 404]]);
+    return true;
+  });
+  assert.equal(repository.has('a'), false);
+  assert.equal(repository.get('b').version, 1);
+});
+
+test('writes one storage record and emits changes once it is written', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cms-bulk-'));
+  test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  const store = new FileStore({ name: 'content', dataDir, fsync: false }).load();
+  const { repository, bulk } = setup(store);
+  const seen = [];
+  repository.on('change', change => seen.push([change.type, change.id, store.has('b')]));
+
+  bulk.apply([
+    { op: 'create', content: { id: 'a', title: 'A' } },
+    { op: 'create', content: { id: 'b', title: 'B' } }
+  ]);
+  store.close();
+
+  assert.deepEqual(seen, [['create', 'a', true], ['create', 'b', true]]);
+  const lines = fs.readFileSync(path.join(dataDir, 'content.jsonl'), 'utf8').trim().split('\n');
+  assert.deepEqual(lines.map(line => JSON.parse(line).op), ['batch']);
+});
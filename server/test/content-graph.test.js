@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ContentGraph } = require('../content-graph');
+const { ContentRepository } = require('../content');
+const { ReferenceIndex } = require('../references');
+const { TypeRegistry } = require('../types');
+const { MemoryStore } = require('../storage');
+const { parse, execute, subscribe } = require('../graphql');
+
+function setup() {
+  const repository = new ContentRepository({ contentStore: new MemoryStore(), publishedStore: new MemoryStore() });
+  const types = new TypeRegistry({ store: new MemoryStore(), resolve: id => repository.get(id) });
+  types.define('author', { properties: { name: { type: 'string' } } });
+  types.define('blog-post', {
+    properties: {
+      title: { type: 'string' },
+      category: { type: 'string' },
+      author: { type: 'reference', to: 'author' }
+    }
+  });
+  const references = new ReferenceIndex({ types }).attach(repository);
+
+  const graph = new ContentGraph({
+    types,
+    repository,
+    references,
+    handlers: {
+      create: (input, caller) => repository.save(input.id, input, undefined, { actor: caller.sub })
+    }
+  }).attach(repository);
+
+  repository.save('ann', { type: 'author', name: 'Ann' });
+  repository.save('p1', { type: 'blog-post', title: 'First', category: 'guide', author: 'ann' });
+  repository.save('p2', { type: 'blog-post', title: 'Second', category: 'news', author: 'ann' });
+  repository.save('note', { type: 'memo', text: 'Untyped' });
+  repository.publish('p1');
+
+  const run = (query, context = { drafts: true }) => JSON.parse(JSON.stringify(execute(graph.schema(), parse(query), { context })));
+  return { repository, types, graph, run };
+}
+
+test('generates typed fields and follows references', () => {
+  const { graph, run } = setup();
+
+  assert.match(graph.sdl(), /type BlogPost implements Content \{/);
+  assert.deepEqual(run('{ blogPost(id: "p2") { title author { ... on Author { name } } } }').data,
+    { blogPost: { title: 'Second', author: { name: 'Ann' } } });
+  assert.deepEqual(run('{ blogPost(id: "ann") { title } }').data, { blogPost: null });
+  const note = run('{ content(id: "note") { __typename ... on Item { data } } }').data.content;
+  assert.equal(note.__typename, 'Item');
+  assert.equal(note.data.text, 'Untyped');
+  assert.deepEqual(run('{ author(id: "ann") { referrers { id } } }').data.author.referrers.map(item => item.id).sort(), ['p1', 'p2']);
+});
+
+test('lists with field filters, sorting and cursors; public callers see published snapshots', () => {
+  const { run } = setup();
+
+  assert.deepEqual(run('{ allBlogPost(filter: { category: "news" }) { totalCount nodes { id } } }').data.allBlogPost,
+    { totalCount: 1, nodes: [{ id: 'p2' }] });
+
+  const first = run('{ allBlogPost(sort: "title:asc", first: 1) { nodes { id } pageInfo { hasNextPage endCursor } } }').data.allBlogPost;
+  assert.deepEqual(first.nodes, [{ id: 'p1' }]);
+  assert.equal(first.pageInfo.hasNextPage, true);
+  const next = run(`{ allBlogPost(sort: "title:asc", first: 1, after: "${first.pageInfo.endCursor}") { nodes { id } } }`);
+  assert.deepEqual(next.data.allBlogPost.nodes, [{ id: 'p2' }]);
+
+  assert.deepEqual(run('{ contents { nodes { id } } }', { drafts: false }).data.contents.nodes, [{ id: 'p1' }]);
+  assert.deepEqual(run('{ blogPost(id: "p1") { author { id } } }', { drafts: false }).data.blogPost, { author: null });
+});
+
+test('mutations go through the shared handlers', () => {
+  const { repository, run } = setup();
+  const result = run('mutation { createBlogPost(input: { id: "p3", title: "Third" }) { id type version } }', { drafts: true, caller: { sub: 'ed' } });
+
+  assert.deepEqual(result.data.createBlogPost, { id: 'p3', type: 'blog-post', version: 1 });
+  assert.equal(repository.get('p3').title, 'Third');
+});
+
+test('subscriptions emit the changes a subscriber may see', () => {
+  const { repository, graph } = setup();
+  const document = parse('subscription { contentChanged(type: ["blog-post"]) { action id item { id } } }');
+  const drafts = [];
+  const published = [];
+
+  const stopDrafts = subscribe(graph.schema(), document, { context: { drafts: true } }).start(result => drafts.push(result.data.contentChanged));
+  const stopPublished = subscribe(graph.schema(), document, { context: { drafts: false } }).start(result => published.push(result.data.contentChanged));
+
+  repository.save('p2', { type: 'blog-post', title: 'Edited' });
+  repository.save('ann', { type: 'author', name: 'Anne' });
+  repository.publish('p2');
+  stopDrafts();
+  stopPublished();
+  repository.delete('p2');
+
+  assert.deepEqual(drafts, [
+    { action: 'update', id: 'p2', item: { id: 'p2' } },
+    { action: 'publish', id: 'p2', item: { id: 'p2' } }
+  ]);
+  assert.deepEqual(published, [{ action: 'publish', id: 'p2', item: { id: 'p2' } }]);
+});
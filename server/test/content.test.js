@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ContentRepository } = require('../content');
+const { MemoryStore } = require('../storage');
+
+function repository() {
+  return new ContentRepository({ contentStore: new MemoryStore(), publishedStore: new MemoryStore() });
+}
+
+test('saves versioned items and keeps workflow fields out of editors\' hands', () => {
+  const repo = repository();
+  const created = repo.save('a', { title: 'One', status: 'published' });
+
+  assert.equal(created.version, 1);
+  assert.equal(created.status, 'draft');
+
+  const updated = repo.save('a', { title: 'Two' });
+  assert.equal(updated.version, 2);
+  assert.equal(updated.created_at, created.created_at);
+});
+
+test('publishing freezes a snapshot until the next publish', () => {
+  const repo = repository();
+  repo.save('a', { title: 'One' });
+  repo.publish('a');
+  repo.save('a', { title: 'Draft edit' });
+
+  assert.equal(repo.getPublished('a').title, 'One');
+  assert.equal(repo.get('a').status, 'published');
+
+  repo.unpublish('a');
+  assert.equal(repo.getPublished('a'), undefined);
+  assert.equal(repo.get('a').status, 'draft');
+});
+
+test('future publishes are scheduled and picked up once due', () => {
+  const repo = repository();
+  repo.save('a', { title: 'Later' });
+
+  const at = Date.now() + 60000;
+  const scheduled = repo.publish('a', { publishAt: new Date(at).toISOString() });
+  assert.equal(scheduled.status, 'scheduled');
+  assert.equal(repo.listPublished().length, 0);
+
+  assert.equal(repo.publishDue(at - 1).length, 0);
+  assert.equal(repo.publishDue(at).length, 1);
+  assert.equal(repo.getPublished('a').status, 'published');
+  assert.equal(repo.get('a').publish_at, undefined);
+});
+
+test('change events carry what anonymous readers saw before and after', () => {
+  const repo = repository();
+  const events = [];
+  repo.on('change', event => events.push(event));
+
+  repo.save('a', { title: 'One' }, undefined, { actor: 'sam' });
+  repo.publish('a');
+  repo.delete('a');
+
+  assert.deepEqual(events.map(event => event.type), ['create', 'publish', 'delete']);
+  assert.equal(events[0].actor, 'sam');
+  assert.equal(events[1].publishedBefore, null);
+  assert.equal(events[2].publishedBefore.title, 'One');
+  assert.equal(events[2].publishedAfter, null);
+  assert.equal(repo.delete('a'), false);
+});
+
+test('a snapshot left without its working copy is dropped on startup', () => {
+  const publishedStore = new MemoryStore().set('gone', { id: 'gone' });
+  const repo = new ContentRepository({ contentStore: new MemoryStore(), publishedStore });
+  assert.equal(repo.getPublished('gone'), undefined);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { ContentRepository } = require('../content');
+const { ChangeFeed } = require('../events');
+const { MemoryStore } = require('../storage');
+
+function setup(config = {}) {
+  const repository = new ContentRepository({ contentStore: new MemoryStore(), publishedStore: new MemoryStore() });
+  const feed = new ChangeFeed({ heartbeatInterval: 60000, ...config }).attach(repository);
+  return { repository, feed };
+}
+
+// Enough of http.ServerResponse for an SSE stream
+function response() {
+  const res = { chunks: [], writeHead() {}, write(chunk) { this.chunks.push(chunk); }, end() { this.ended = true; } };
+  res.text = () => res.chunks.join('');
+  return res;
+}
+
+test('draft changes reach the draft channel, publishes both', () => {
+  const { repository, feed } = setup();
+  repository.save('a', { title: 'One' });
+  repository.publish('a');
+
+  assert.deepEqual(feed.buffer.map(event => event.channel), ['draft', 'draft', 'public']);
+
+  const [created, , published] = feed.buffer.map(event => event.patch);
+  assert.equal(created.type, 'create');
+  assert.ok(created.diff.some(op => op.path === '/title' && op.value === 'One'));
+  assert.equal(published.metadata.contentId, 'a');
+  assert.equal(published.metadata.action, 'publish');
+});
+
+test('Last-Event-ID resumes within the buffer and resets outside it', () => {
+  const { repository, feed } = setup({ bufferSize: 2 });
+  ['One', 'Two', 'Three'].forEach(title => repository.save('a', { title }));
+
+  const [first] = feed.buffer;
+  assert.deepEqual(feed.eventsSince(first.patch.id).map(event => event.seq), [3]);
+  assert.equal(feed.eventsSince(`${feed.epoch}-0`), null);
+  assert.equal(feed.eventsSince('old-1'), null);
+});
+
+test('subscribers get matching events until they disconnect', () => {
+  const { repository, feed } = setup();
+  const req = new EventEmitter();
+  const res = response();
+
+  repository.save('a', { title: 'Missed' });
+  feed.subscribe(req, res, { channel: 'draft', ids: ['a'], lastEventId: `${feed.epoch}-0` });
+  repository.save('b', { title: 'Other item' });
+  repository.save('a', { title: 'Live' });
+
+  const ids = res.text().match(/^id: .+$/gm);
+  assert.equal(ids.length, 2);
+  assert.match(res.text(), /Missed[\s\S]*Live/);
+  assert.doesNotMatch(res.text(), /Other item/);
+
+  req.emit('close');
+  assert.equal(feed.clients.size, 0);
+  repository.save('a', { title: 'After close' });
+  assert.doesNotMatch(res.text(), /After close/);
+});
+
+test('an unknown resume point gets a reset event', () => {
+  const { feed } = setup();
+  const req = new EventEmitter();
+  const res = response();
+  feed.subscribe(req, res, { lastEventId: 'stale-9' });
+
+  assert.match(res.text(), /event: reset/);
+  feed.close();
+  assert.equal(res.ended, true);
+  req.emit('close');
+});
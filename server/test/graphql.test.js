@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GraphQLError, Schema, parse, validate, execute } = require('../graphql');
+const { HttpError } = require('../http');
+
+const books = [{ id: '1', title: 'Dune', tags: ['sf'] }, { id: '2', title: 'Emma', tags: [] }];
+
+const schema = new Schema({
+  query: 'Query',
+  types: [
+    {
+      kind: 'OBJECT',
+      name: 'Book',
+      fields: {
+        id: { type: 'ID!' },
+        title: { type: 'String' },
+        tags: { type: '[String!]!' },
+        rating: { type: 'Int!', resolve: () => { throw new HttpError(404, 'No ratings'); } },
+        isbn: { type: 'String', resolve: () => { throw new Error('secret detail'); } }
+      }
+    },
+    {
+      kind: 'OBJECT',
+      name: 'Query',
+      fields: {
+        book: { type: 'Book', args: { id: { type: 'ID!' } }, resolve: (source, { id }) => books.find(book => book.id === id) || null },
+        books: { type: '[Book!]!', args: { first: { type: 'Int' } }, resolve: (source, { first = 10 }) => books.slice(0, first) }
+      }
+    }
+  ]
+});
+
+function run(query, variables) {
+  return JSON.parse(JSON.stringify(execute(schema, parse(query), { variables })));
+}
+
+test('executes queries with variables, aliases, fragments and directives', () => {
+  const result = run(`
+    query Pick($id: ID!, $brief: Boolean = false) {
+      first: book(id: $id) { ...parts tags @skip(if: $brief) }
+      books(first: 1) { title }
+    }
+    fragment parts on Book { id title }
+  `, { id: '1', brief: true });
+
+  assert.deepEqual(result, { data: { first: { id: '1', title: 'Dune' }, books: [{ title: 'Dune' }] } });
+  assert.deepEqual(run('{ book(id: "9") { title } }'), { data: { book: null } });
+});
+
+test('resolver errors null the nearest nullable field and carry a path', () => {
+  const result = run('{ book(id: "2") { title rating } }');
+
+  assert.deepEqual(result.data, { book: null });
+  assert.equal(result.errors[0].message, 'No ratings');
+  assert.deepEqual(result.errors[0].path, ['book', 'rating']);
+  assert.deepEqual(result.errors[0].locations, [{ line: 1, column: 25 }]);
+  assert.deepEqual(result.errors[0].extensions, { code: 'NOT_FOUND', status: 404 });
+
+  const internal = run('{ book(id: "1") { title isbn } }');
+  assert.deepEqual(internal.data, { book: { title: 'Dune', isbn: null } });
+  assert.equal(internal.errors[0].message, 'Internal server error');
+});
+
+test('rejects bad documents before running them', () => {
+  assert.throws(() => parse('{ book(id: "1") { title }'), GraphQLError);
+
+  const messages = query => validate(schema, parse(query), { maxDepth: 2 }).map(error => error.message);
+  assert.deepEqual(messages('{ books { title } }'), []);
+  assert.equal(messages('{ books { author } }').length, 1);
+  assert.equal(messages('{ book { title } }').length, 1);
+  assert.equal(messages('{ books }').length, 1);
+  assert.deepEqual(messages('{ books { ...missing } }'), ['Unknown fragment "missing".']);
+
+  const variables = execute(schema, parse('query ($id: ID!) { book(id: $id) { id } }'), { variables: {} });
+  assert.equal(variables.errors.length, 1);
+  assert.equal('data' in variables, false);
+});
+
+test('answers introspection and prints SDL', () => {
+  const result = run('{ __schema { queryType { name } } __type(name: "Book") { fields { name type { kind } } } }');
+
+  assert.equal(result.data.__schema.queryType.name, 'Query');
+  assert.deepEqual(result.data.__type.fields.map(field => [field.name, field.type.kind]),
+    [['id', 'NON_NULL'], ['title', 'SCALAR'], ['tags', 'NON_NULL'], ['rating', 'NON_NULL'], ['isbn', 'SCALAR']]);
+  assert.match(schema.print(), /type Book \{\n {2}id: ID!\n {2}title: String\n/);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { HttpError, readJSON, readBuffer, pathSegments, etagFor, etagMatches } = require('../http');
+
+function request(body, headers = {}) {
+  const req = Readable.from(body ? [Buffer.from(body)] : []);
+  req.headers = headers;
+  return req;
+}
+
+test('etags are stable for equal items and compared weakly', () => {
+  const etag = etagFor({ id: 'a', version: 1 });
+
+  assert.equal(etag, etagFor({ id: 'a', version: 1 }));
+  assert.notEqual(etag, etagFor({ id: 'a', version: 2 }));
+  assert.equal(etagMatches(`"x", W/${etag}`, etag), true);
+  assert.equal(etagMatches('*', etag), true);
+  assert.equal(etagMatches('*', null), false);
+  assert.equal(etagMatches('"x"', etag), false);
+});
+
+test('readJSON parses bodies, falls back on empty ones and rejects bad JSON', async () => {
+  assert.deepEqual(await readJSON(request('{"a":1}')), { a: 1 });
+  assert.deepEqual(await readJSON(request(''), {}), {});
+  await assert.rejects(readJSON(request('{')), error => error instanceof HttpError && error.status === 400);
+});
+
+test('readBuffer enforces the size limit', async () => {
+  await assert.rejects(readBuffer(request('x', { 'content-length': '100' }), { limit: 10 }), { status: 413 });
+  await assert.rejects(readBuffer(request('x'.repeat(20)), { limit: 10 }), { status: 413 });
+  assert.equal((await readBuffer(request('hello'), { limit: 10 })).toString(), 'hello');
+});
+
+test('pathSegments decodes ids and rejects malformed percent-encoding', () => {
+  assert.deepEqual(pathSegments('/content/a%20b/revisions/'), ['content', 'a b', 'revisions']);
+  assert.throws(() => pathSegments('/content/%E0%A4%A'), { status: 400, message: 'Malformed URL' });
+});
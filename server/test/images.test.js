@@ -0,0 +1,106 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ImageDerivatives, imageSize, parseTransform, transformQuery, loadTransformer } = require('../images');
+const { AssetLibrary } = require('../assets');
+const { MemoryStore } = require('../storage');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cms-images-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// PNG header for a 1200x800 image
+const PNG = Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]),
+  Buffer.from('IHDR'),
+  Buffer.from([0, 0, 0x04, 0xb0, 0, 0, 0x03, 0x20, 8, 6, 0, 0, 0])
+]);
+
+// Records each call and answers with the options it was given
+function fakeTransformer(calls = []) {
+  return async (input, ops) => {
+    calls.push(ops);
+    return { data: Buffer.from(JSON.stringify(ops)), mimeType: ops.format ? `image/${ops.format}` : 'image/png' };
+  };
+}
+
+function setup(config = {}) {
+  const library = new AssetLibrary({ store: new MemoryStore(), dir: path.join(dir, 'assets') });
+  const images = new ImageDerivatives({ library, dir: path.join(dir, 'derivatives'), ...config });
+  const { asset } = library.add({ filename: 'photo.png', mimeType: 'image/png', data: PNG });
+  return { images, asset };
+}
+
+test('reads dimensions from image headers', () => {
+  assert.deepEqual(imageSize(PNG), { width: 1200, height: 800 });
+  assert.equal(imageSize(Buffer.from('not an image')), null);
+});
+
+test('only accepts the configured sizes, formats and qualities', () => {
+  assert.equal(parseTransform({}), null);
+  assert.deepEqual(parseTransform({ w: '640', fm: 'jpg', q: '75' }), { width: 640, fit: 'inside', format: 'jpeg', quality: 75 });
+  assert.throws(() => parseTransform({ w: '641' }), { status: 400 });
+  assert.throws(() => parseTransform({ w: '640', q: '74' }), { status: 400 });
+  assert.throws(() => parseTransform({ fm: 'bmp' }), { status: 400 });
+  assert.throws(() => parseTransform({ rect: '0,0,0,10' }), { status: 400 });
+  assert.equal(transformQuery(parseTransform({ w: '320', h: '320' })), 'w=320&h=320&fit=cover');
+});
+
+test('reports transforms as unavailable without a transformer', async () => {
+  const { images, asset } = setup();
+
+  assert.deepEqual(images.capabilities(), { enabled: false, sizes: [], formats: [], qualities: [] });
+  assert.equal(await images.thumbnail(asset), null);
+  await assert.rejects(images.derive(asset, images.parse({ w: '320' })), { status: 501 });
+});
+
+test('makes each derivative once and serves it from disk after', async () => {
+  const calls = [];
+  const { images, asset } = setup({ transformer: fakeTransformer(calls), sizes: [640] });
+
+  assert.deepEqual(images.capabilities().sizes, [320, 640]); // Thumbnail width is always allowed
+  assert.equal(await images.thumbnail(asset), `${asset.url}?w=320&fm=webp`);
+
+  const ops = images.parse({ w: '640' });
+  const [first, second] = await Promise.all([images.derive(asset, ops), images.derive(asset, ops)]);
+  await images.derive(asset, ops);
+
+  assert.equal(calls.length, 2);
+  assert.equal(first.file, second.file);
+  assert.equal(first.etag, `"${asset.hash}-w640-finside"`);
+  assert.equal(first.filename, 'photo-w640-finside.png');
+});
+
+test('keeps at most maxPerAsset derivatives per asset', async () => {
+  const { images, asset } = setup({ transformer: fakeTransformer(), maxPerAsset: 2 });
+
+  for (const rect of ['0,0,10,10', '0,0,20,20', '0,0,30,30']) {
+    await images.derive(asset, images.parse({ rect }));
+  }
+  assert.deepEqual(fs.readdirSync(images.directory(asset)).sort(), ['r0.0.20.20.png', 'r0.0.30.30.png']);
+});
+
+test('refuses new renders past the concurrency limit', async () => {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const transformer = async (input, ops) => {
+    await gate;
+    return { data: Buffer.from('x'), mimeType: 'image/png' };
+  };
+  const { images, asset } = setup({ transformer, concurrency: 1 });
+
+  const pending = images.derive(asset, images.parse({ w: '160' }));
+  await assert.rejects(images.derive(asset, images.parse({ w: '320' })), { status: 503 });
+  release();
+  await pending;
+});
+
+test('uses sharp when it is installed unless told otherwise', () => {
+  const sharp = () => ({});
+
+  assert.equal(typeof loadTransformer(undefined, { sharp: () => sharp }), 'function');
+  assert.equal(loadTransformer(undefined, { sharp: () => null }), null);
+  assert.equal(loadTransformer('none', { sharp: () => sharp }), null);
+  assert.throws(() => loadTransformer('sharp', { sharp: () => null }), /not installed/);
+});
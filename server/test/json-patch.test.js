@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSONPatchError, applyPatch, computeDiff, parsePointer } = require('../json-patch');
+
+test('applies every RFC 6902 operation without touching the input', () => {
+  const doc = { title: 'a', tags: ['x'], meta: { n: 1 } };
+  const result = applyPatch(doc, [
+    { op: 'add', path: '/tags/-', value: 'y' },
+    { op: 'replace', path: '/title', value: 'b' },
+    { op: 'copy', from: '/meta/n', path: '/count' },
+    { op: 'move', from: '/meta', path: '/info' },
+    { op: 'remove', path: '/tags/0' },
+    { op: 'test', path: '/count', value: 1 }
+  ]);
+
+  assert.deepEqual(result, { title: 'b', tags: ['y'], count: 1, info: { n: 1 } });
+  assert.deepEqual(doc, { title: 'a', tags: ['x'], meta: { n: 1 } });
+});
+
+test('failed tests are conflicts, bad paths are not', () => {
+  assert.throws(() => applyPatch({ a: 1 }, [{ op: 'test', path: '/a', value: 2 }]),
+    error => error instanceof JSONPatchError && error.conflict && error.index === 0);
+  assert.throws(() => applyPatch({ a: [] }, [{ op: 'replace', path: '/a/3', value: 1 }]),
+    error => error instanceof JSONPatchError && !error.conflict);
+  assert.throws(() => applyPatch({}, [{ op: 'remove', path: '/missing' }]), JSONPatchError);
+});
+
+test('pointers unescape ~0 and ~1', () => {
+  assert.deepEqual(parsePointer('/a~1b/c~0d'), ['a/b', 'c~d']);
+  assert.deepEqual(parsePointer(''), []);
+  assert.throws(() => parsePointer('a'), JSONPatchError);
+});
+
+test('computeDiff round-trips through applyPatch', () => {
+  const before = { a: 1, b: { c: 2 }, 'x/y': 3 };
+  const after = { a: 1, b: { c: 4 }, d: 5 };
+  const patch = computeDiff(before, after);
+
+  assert.deepEqual(patch.map(op => op.op).sort(), ['add', 'remove', 'replace']);
+  assert.deepEqual(applyPatch(before, patch), after);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const locales = require('../locales');
+
+const item = {
+  id: 'home',
+  version: 3,
+  locale: 'en',
+  title: 'Hello',
+  body: 'Welcome',
+  locales: { fr: { title: 'Bonjour', body: 'Bienvenue' }, 'fr-CA': { title: 'Allô' } }
+};
+
+test('normalizes tags and orders Accept-Language by q-value', () => {
+  assert.equal(locales.normalizeLocale('fr_ca'), 'fr-CA');
+  assert.deepEqual(locales.parseAcceptLanguage('de;q=0.5, fr-ca, *;q=0.1, en;q=0'), ['fr-CA', 'de']);
+  assert.deepEqual(locales.fallbackChain('fr-CA', 'en'), ['fr-CA', 'fr', 'en']);
+});
+
+test('negotiates the closest available locale', () => {
+  assert.equal(locales.negotiateLocale(item, ['fr-BE'], 'en'), 'fr');
+  assert.equal(locales.negotiateLocale(item, ['de', 'fr-CA'], 'en'), 'fr-CA');
+  assert.equal(locales.negotiateLocale(item, ['de'], 'en'), 'en');
+});
+
+test('localizes field by field along the fallback chain', () => {
+  const localized = locales.localize(item, 'fr-CA', 'en');
+
+  assert.equal(localized.title, 'Allô');
+  assert.equal(localized.body, 'Bienvenue');
+  assert.equal(localized.locale, 'fr-CA');
+  assert.equal(localized.version, 3);
+  assert.deepEqual(localized.available_locales, ['en', 'fr', 'fr-CA']);
+  assert.equal('locales' in localized, false);
+});
+
+test('requested locales: ?locale= wins, "*" and editors get the raw item', () => {
+  const req = { headers: { 'accept-language': 'fr' } };
+
+  assert.deepEqual(locales.requestedLocales(req, { locale: 'de-at' }), ['de-AT']);
+  assert.deepEqual(locales.requestedLocales(req, {}), ['fr']);
+  assert.equal(locales.requestedLocales(req, { locale: '*' }), null);
+  assert.equal(locales.requestedLocales(req, {}, { negotiate: false }), null);
+  assert.throws(() => locales.requestedLocales(req, { locale: '12' }), { status: 400 });
+});
+
+test('rejects malformed locale data on write', () => {
+  assert.doesNotThrow(() => locales.validateLocales(item));
+  assert.throws(() => locales.validateLocales({ locale: 'fr-ca' }), { status: 422 });
+  assert.throws(() => locales.validateLocales({ locales: [] }), { status: 422 });
+  assert.throws(() => locales.validateLocales({ locales: { fr: 'x' } }), { status: 422 });
+  assert.throws(() => locales.validateLocales({ locales: { fr: { version: 2 } } }), { status: 422 });
+});
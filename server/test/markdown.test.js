@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CMSMarkdown } = require('../shared');
+
+const render = (markdown, options) => CMSMarkdown.render(markdown, options);
+
+test('drops script URLs hidden behind entities and escapes', () => {
+  for (const source of [
+    '[x](&#106;avascript:alert(1))',
+    '[x](javascript&colon;alert(1))',
+    '[x](JaVaScRiPt&#x3A;alert(1))',
+    '[x](<javascript:alert(1)>)',
+    '![x](vbscript&colon;msgbox)',
+    '[x]\n\n[x]: &#x6A;avascript:alert(1)'
+  ]) {
+    const html = render(source);
+    assert.doesNotMatch(html, /script:/i, source);
+    assert.match(html, /(?:href|src)=""/, source);
+  }
+});
+
+test('percent-encodes and escapes hrefs', () => {
+  assert.equal(render('[x](java&#9;script:alert(1)%)'), '<p><a href="java%09script:alert(1)%25">x</a></p>\n');
+  assert.equal(render('[x](/a?b=1&c="2")'), '<p><a href="/a?b=1&amp;c=%222%22">x</a></p>\n');
+  assert.equal(render('[x](/f&ouml;&ouml; "f&ouml;&ouml;")'), '<p><a href="/f%C3%B6%C3%B6" title="föö">x</a></p>\n');
+  assert.equal(render('![d](data:image/png;base64,AAA)'), '<p><img src="data:image/png;base64,AAA" alt="d" /></p>\n');
+});
+
+test('decodes entities in text but not unknown names', () => {
+  assert.equal(render('&copy; &#35; &#0; &quot; &MadeUp;'), '<p>© # � &quot; &amp;MadeUp;</p>\n');
+  assert.equal(render('&#42;foo&#42;'), '<p>*foo*</p>\n');
+  assert.equal(render('\\&ouml;'), '<p>&amp;ouml;</p>\n');
+});
+
+test('follows CommonMark for tabs, lists and link destinations', () => {
+  assert.equal(render('\tfoo\tbaz'), '<pre><code>foo\tbaz\n</code></pre>\n');
+  assert.equal(render('- a\n - b\n  - c\n   - d\n    - e'), '<ul>\n<li>a</li>\n<li>b</li>\n<li>c</li>\n<li>d\n- e</li>\n</ul>\n');
+  assert.equal(render('[l](foo(and(bar)))'), '<p><a href="foo(and(bar))">l</a></p>\n');
+  assert.equal(render('[l](<foo\\>)'), '<p>[l](&lt;foo&gt;)</p>\n');
+  assert.equal(render('[ẞ]\n\n[SS]: /url'), '<p><a href="/url">ẞ</a></p>\n');
+});
+
+test('escapes raw HTML unless allowed', () => {
+  assert.equal(render('a <b>c</b>'), '<p>a &lt;b&gt;c&lt;/b&gt;</p>\n');
+  assert.equal(render('a <!-- x -- y -->', { allowHTML: true }), '<p>a <!-- x -- y --></p>\n');
+});
+
+test('renders GFM tables, task lists and strikethrough', () => {
+  assert.equal(
+    render('| a | b |\n|:--|--:|\n| 1 | 2 |'),
+    '<table>\n<thead>\n<tr>\n<th align="left">a</th>\n<th align="right">b</th>\n</tr>\n</thead>\n' +
+    '<tbody>\n<tr>\n<td align="left">1</td>\n<td align="right">2</td>\n</tr>\n</tbody>\n</table>\n'
+  );
+  assert.equal(render('- [x] done'), '<ul>\n<li class="task-list-item"><input type="checkbox" disabled="" checked="" /> done</li>\n</ul>\n');
+  assert.equal(render('~~gone~~'), '<p><del>gone</del></p>\n');
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Metrics, routeLabel } = require('../metrics');
+const { Logger, requestId } = require('../logging');
+
+test('route labels replace ids and collapse unknown resources', () => {
+  const resources = ['content', 'webhooks'];
+
+  assert.equal(routeLabel([], resources), '/');
+  assert.equal(routeLabel(['content', 'home', 'revisions', '3'], resources), '/content/:id/revisions/:id');
+  assert.equal(routeLabel(['webhooks', 'w1', 'deliveries'], resources), '/webhooks/:id/deliveries');
+  assert.equal(routeLabel(['wp-admin', 'x'], resources), 'other');
+});
+
+test('renders counters, histograms and collected gauges', () => {
+  const metrics = new Metrics({ buckets: [0.1, 1] })
+    .counter('cms_requests_total', 'Requests')
+    .histogram('cms_request_seconds', 'Latency')
+    .collected('cms_items', 'gauge', 'Items', () => 7);
+
+  metrics.inc('cms_requests_total', { route: '/content', status: 200 });
+  metrics.inc('cms_requests_total', { status: 200, route: '/content' });
+  metrics.inc('cms_requests_total', { route: 'say "hi"', status: 404 });
+  metrics.observe('cms_request_seconds', {}, 0.5);
+
+  const text = metrics.render();
+  assert.match(text, /# TYPE cms_requests_total counter\n/);
+  assert.match(text, /^cms_requests_total\{route="\/content",status="200"\} 2$/m);
+  assert.match(text, /^cms_requests_total\{route="say \\"hi\\"",status="404"\} 1$/m);
+  assert.match(text, /^cms_request_seconds_bucket\{le="0.1"\} 0$/m);
+  assert.match(text, /^cms_request_seconds_bucket\{le="1"\} 1$/m);
+  assert.match(text, /^cms_request_seconds_bucket\{le="\+Inf"\} 1$/m);
+  assert.match(text, /^cms_request_seconds_sum 0.5$/m);
+  assert.match(text, /^cms_items 7$/m);
+  assert.throws(() => metrics.inc('cms_unknown'), /Unknown metric/);
+});
+
+test('logs one JSON object per line and keeps sane request ids', () => {
+  const lines = [];
+  const logger = new Logger({ stream: { write: line => lines.push(line) } });
+
+  logger.warn({ msg: 'slow', ms: 12 });
+  assert.equal(lines[0].endsWith('\n'), true);
+  assert.deepEqual({ ...JSON.parse(lines[0]), time: null }, { time: null, level: 'warn', msg: 'slow', ms: 12 });
+
+  assert.equal(requestId({ headers: { 'x-request-id': 'abc-123' } }), 'abc-123');
+  assert.notEqual(requestId({ headers: { 'x-request-id': 'bad id\n' } }), 'bad id\n');
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QueryError, queryContent, listParam } = require('../query');
+
+const items = [
+  { id: 'a', type: 'post', tags: ['x'], title: 'Alpha news', updated_at: '2024-01-03' },
+  { id: 'b', type: 'post', tags: ['x', 'y'], title: 'Beta', updated_at: '2024-01-01' },
+  { id: 'c', type: 'page', title: 'Gamma news', updated_at: '2024-01-03' },
+  { id: 'd', type: 'post', title: 'Delta' }
+];
+
+test('listParam splits repeated and comma-separated values', () => {
+  assert.deepEqual(listParam(['a,b', ' c ']), ['a', 'b', 'c']);
+  assert.deepEqual(listParam(''), []);
+});
+
+test('filters by type, tag and text', () => {
+  const ids = params => queryContent(items, params).items.map(item => item.id);
+
+  assert.deepEqual(ids({ type: 'post', sort: 'id' }), ['a', 'b', 'd']);
+  assert.deepEqual(ids({ tag: 'x,y' }), ['b']);
+  assert.deepEqual(ids({ q: 'NEWS', sort: 'id' }), ['a', 'c']);
+});
+
+test('sorts with missing values last and ties broken by id', () => {
+  assert.deepEqual(queryContent(items).items.map(item => item.id), ['a', 'c', 'b', 'd']);
+  assert.throws(() => queryContent(items, { sort: 'title:sideways' }), QueryError);
+});
+
+test('cursors page through every item exactly once', () => {
+  const seen = [];
+  let cursor;
+  do {
+    const page = queryContent(items, { limit: 3, cursor });
+    assert.equal(page.total, 4);
+    seen.push(...page.items.map(item => item.id));
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  assert.deepEqual(seen, ['a', 'c', 'b', 'd']);
+  assert.throws(() => queryContent(items, { cursor: 'not-a-cursor' }), /Invalid cursor/);
+  assert.throws(() => queryContent(items, { limit: 0 }), /Invalid limit/);
+});
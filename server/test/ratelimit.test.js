@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter } = require('../ratelimit');
+
+function limiter(config) {
+  const rateLimiter = new RateLimiter({ rate: 1, burst: 2, ...config });
+  test.after(() => rateLimiter.close());
+  return rateLimiter;
+}
+
+function response() {
+  return { headers: {}, setHeader(name, value) { this.headers[name] = value; } };
+}
+
+test('spends the burst, then refills at the rate', () => {
+  const rateLimiter = limiter();
+
+  assert.deepEqual(rateLimiter.take('a', 0), { allowed: true, remaining: 1, retryAfter: 0 });
+  assert.equal(rateLimiter.take('a', 0).allowed, true);
+  assert.deepEqual(rateLimiter.take('a', 0), { allowed: false, remaining: 0, retryAfter: 1 });
+  assert.equal(rateLimiter.take('b', 0).allowed, true);
+  assert.equal(rateLimiter.take('a', 1000).allowed, true);
+
+  rateLimiter.sweep(10000);
+  assert.equal(rateLimiter.buckets.size, 0);
+});
+
+test('buckets callers by key, token subject or IP', () => {
+  const rateLimiter = limiter({ trustProxy: true });
+  const req = { headers: { 'x-forwarded-for': '10.0.0.1, 10.0.0.2' }, socket: { remoteAddress: '127.0.0.1' } };
+
+  assert.equal(rateLimiter.clientKey(req, { via: 'key', keyId: 'k1' }), 'key:k1');
+  assert.equal(rateLimiter.clientKey(req, { via: 'token', sub: 'sam' }), 'token:sam');
+  assert.equal(rateLimiter.clientKey(req, { via: 'anonymous' }), 'ip:10.0.0.1');
+  assert.equal(limiter().clientKey(req, null), 'ip:127.0.0.1');
+});
+
+test('refuses with 429 and Retry-After once empty', () => {
+  const rateLimiter = limiter({ burst: 1 });
+  const req = { headers: {}, socket: { remoteAddress: '127.0.0.1' } };
+  const res = response();
+
+  rateLimiter.check(req, res, null);
+  assert.equal(res.headers['X-RateLimit-Remaining'], '0');
+  assert.throws(() => rateLimiter.check(req, res, null), { status: 429 });
+  assert.equal(res.headers['Retry-After'], '1');
+  assert.equal(rateLimiter.limited, 1);
+});
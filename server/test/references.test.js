@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ReferenceIndex } = require('../references');
+const { ContentRepository } = require('../content');
+const { TypeRegistry } = require('../types');
+const { MemoryStore } = require('../storage');
+
+function setup({ onDelete = 'restrict' } = {}) {
+  const repository = new ContentRepository({ contentStore: new MemoryStore(), publishedStore: new MemoryStore() });
+  const types = new TypeRegistry({ store: new MemoryStore(), resolve: id => repository.get(id) });
+  types.define('author', { properties: { name: { type: 'string' }, mentor: { type: 'reference', to: 'author' } } });
+  types.define('post', {
+    properties: {
+      title: { type: 'string' },
+      author: { type: 'reference', to: 'author', onDelete },
+      related: { type: 'array', items: { type: 'reference', to: 'post', onDelete: 'unset' } }
+    }
+  });
+
+  const references = new ReferenceIndex({
+    types,
+    maxDepth: 2,
+    validate: (content, { resolve }) => types.validate(content, { resolve })
+  }).attach(repository);
+
+  repository.save('ann', { type: 'author', name: 'Ann', mentor: 'bob' });
+  repository.save('bob', { type: 'author', name: 'Bob', mentor: 'ann' });
+  repository.save('p1', { type: 'post', title: 'One', author: 'ann', related: [] });
+  repository.save('p2', { type: 'post', title: 'Two', author: 'ann', related: ['p1'] });
+  return { repository, references };
+}
+
+test('keeps a reverse index current with repository changes', () => {
+  const { repository, references } = setup();
+
+  assert.deepEqual(references.referrers('ann').map(({ id, path }) => [id, path]).sort(),
+    [['bob', '/mentor'], ['p1', '/author'], ['p2', '/author']]);
+  assert.deepEqual(references.referrers('p1'), [{ id: 'p2', type: 'post', path: '/related/0', onDelete: 'unset' }]);
+
+  repository.save('p2', { type: 'post', title: 'Two', author: 'bob', related: [] });
+  assert.deepEqual(references.referrers('p1'), []);
+  assert.deepEqual(references.referrers('bob').map(({ id }) => id).sort(), ['ann', 'p2']);
+});
+
+test('expands includes and leaves cycles and missing targets as ids', () => {
+  const { repository, references } = setup();
+  const resolve = id => repository.get(id);
+
+  const post = references.expand(repository.get('p2'), references.parseInclude('author.mentor,related'), { resolve });
+  assert.equal(post.author.name, 'Ann');
+  assert.equal(post.author.mentor.name, 'Bob');
+  assert.equal(post.related[0].title, 'One');
+
+  const author = references.expand(repository.get('ann'), references.parseInclude('*'), { resolve });
+  assert.equal(author.mentor.mentor, 'ann');
+  assert.equal(references.expand(repository.get('p1'), { author: {} }, { resolve: () => undefined }).author, 'ann');
+
+  assert.equal(references.parseInclude(''), null);
+  assert.throws(() => references.parseInclude('a.b.c'), { status: 400 });
+  assert.throws(() => references.parseInclude('a..b'), { status: 400 });
+});
+
+test('plans deletes by each reference\'s onDelete', () => {
+  const restricted = setup().references.planDelete('ann');
+  assert.deepEqual(restricted.blocked.map(({ id }) => id).sort(), ['bob', 'p1', 'p2']);
+
+  const cascaded = setup({ onDelete: 'cascade' }).references.planDelete('p1');
+  assert.deepEqual(cascaded, {
+    deleted: ['p1'],
+    updates: [{ id: 'p2', content: cascaded.updates[0].content }],
+    blocked: []
+  });
+  assert.deepEqual(cascaded.updates[0].content.related, []);
+
+  const { repository, references } = setup({ onDelete: 'cascade' });
+  repository.save('bob', { type: 'author', name: 'Bob' });
+  const plan = references.planDelete('ann');
+  assert.deepEqual(plan.deleted.sort(), ['ann', 'p1', 'p2']);
+  assert.deepEqual(plan.blocked, []);
+});
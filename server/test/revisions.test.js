@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ContentRepository } = require('../content');
+const { RevisionHistory } = require('../revisions');
+const { MemoryStore } = require('../storage');
+
+function setup(config = {}) {
+  const repository = new ContentRepository({ contentStore: new MemoryStore(), publishedStore: new MemoryStore() });
+  const store = new MemoryStore();
+  const history = new RevisionHistory({ store, ...config }).attach(repository);
+  return { repository, history, store };
+}
+
+test('records every write and diffs between revisions', () => {
+  const { repository, history } = setup();
+  repository.save('a', { title: 'One' });
+  repository.save('a', { title: 'Two', tags: ['x'] });
+
+  assert.deepEqual(history.list('a').map(entry => [entry.revision, entry.type]), [[1, 'create'], [2, 'update']]);
+  assert.equal(history.get('a', 1).content.title, 'One');
+
+  const ops = history.diff('a', 1, 2).patch.filter(op => op.path === '/title' || op.path === '/tags');
+  assert.deepEqual(ops, [{ op: 'replace', path: '/title', value: 'Two' }, { op: 'add', path: '/tags', value: ['x'] }]);
+  assert.equal(history.diff('a', 1, 9), null);
+});
+
+test('numbering survives deletes and restarts', () => {
+  const { repository, history, store } = setup();
+  repository.save('a', { title: 'One' });
+  repository.delete('a');
+  repository.save('a', { title: 'Again' });
+
+  assert.deepEqual(history.list('a').map(entry => entry.revision), [1, 2]);
+  assert.equal(new RevisionHistory({ store }).latest('a'), 2);
+});
+
+test('prunes the oldest revisions past maxRevisions', () => {
+  const { repository, history } = setup({ maxRevisions: 2 });
+  ['One', 'Two', 'Three'].forEach(title => repository.save('a', { title }));
+
+  assert.deepEqual(history.list('a').map(entry => entry.revision), [2, 3]);
+  assert.equal(history.get('a', 1), null);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SearchIndex, parseQuery, parseBoosts } = require('../search');
+const { ContentRepository } = require('../content');
+const { MemoryStore } = require('../storage');
+
+function repository() {
+  const repo = new ContentRepository({ contentStore: new MemoryStore(), publishedStore: new MemoryStore() });
+  repo.save('cafe', { type: 'post', title: 'Café culture', body: 'Coffee <b>houses</b> &amp; bars in Vienna', tags: ['food'] });
+  repo.save('vienna', { type: 'page', title: 'Vienna', body: 'The city of coffee and music', tags: ['travel'] });
+  repo.save('music', { type: 'post', title: 'Music', body: 'Concerts in the city', tags: ['travel'] });
+  return repo;
+}
+
+test('parses terms, prefixes and phrases', () => {
+  assert.deepEqual(parseQuery('Café mus* "city of coffee" "one"'), [
+    { kind: 'term', terms: ['cafe'] },
+    { kind: 'prefix', terms: ['mus'] },
+    { kind: 'phrase', terms: ['city', 'of', 'coffee'] },
+    { kind: 'term', terms: ['one'] }
+  ]);
+  assert.deepEqual(parseBoosts('title:5, body:1'), { title: 5, body: 1 });
+  assert.throws(() => parseBoosts('title'), /Invalid search boost/);
+});
+
+test('ranks title matches first and requires every clause', () => {
+  const index = new SearchIndex().attach(repository());
+
+  assert.deepEqual(index.search('vienna').results.map(hit => hit.id), ['vienna', 'cafe']);
+  assert.deepEqual(index.search('coffee city').results.map(hit => hit.id), ['vienna']);
+  assert.deepEqual(index.search('"city of coffee"').results.map(hit => hit.id), ['vienna']);
+  assert.deepEqual(index.search('"coffee of city"').results, []);
+  assert.deepEqual(index.search('cafe').results.map(hit => hit.id), ['cafe']);
+  assert.deepEqual(index.search('mus*').results.map(hit => hit.id), ['music', 'vienna']);
+});
+
+test('filters, counts facets and highlights escaped snippets', () => {
+  const index = new SearchIndex().attach(repository());
+  const result = index.search('coffee', { type: ['post'] });
+
+  assert.equal(result.total, 1);
+  assert.deepEqual(result.facets, { type: { post: 1 }, tag: { food: 1 }, status: { draft: 1 } });
+  assert.deepEqual(result.results[0].highlights, { body: '<mark>Coffee</mark> houses &amp; bars in Vienna' });
+  assert.equal(index.search('city', { tag: ['travel'], limit: 1, offset: 1 }).results.length, 1);
+});
+
+test('follows repository changes, published snapshots separately', () => {
+  const repo = repository();
+  const drafts = new SearchIndex().attach(repo);
+  const published = new SearchIndex().attach(repo, { published: true });
+
+  repo.save('music', { type: 'post', title: 'Opera', body: 'Concerts' });
+  repo.publish('music');
+  repo.delete('cafe');
+
+  assert.deepEqual(drafts.search('opera').results.map(hit => hit.id), ['music']);
+  assert.equal(drafts.search('culture').total, 0);
+  assert.equal(published.size, 1);
+  assert.equal(published.search('opera').total, 1);
+
+  repo.save('music', { type: 'post', title: 'Ballet' });
+  assert.equal(published.search('ballet').total, 0);
+  assert.equal(drafts.search('ballet').total, 1);
+});
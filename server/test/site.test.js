@@ -0,0 +1,115 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SiteBuilder } = require('../site');
+const { ContentRepository } = require('../content');
+const { MemoryStore } = require('../storage');
+
+const dirs = [];
+
+after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function setup() {
+  dirs.push(fs.mkdtempSync(path.join(os.tmpdir(), 'cms-site-')));
+  const out = dirs[dirs.length - 1];
+  const repository = new ContentRepository({ contentStore: new MemoryStore(), publishedStore: new MemoryStore() });
+  const publish = (id, content) => {
+    repository.save(id, content);
+    repository.publish(id);
+  };
+  const builder = new SiteBuilder({ repository, out, baseUrl: 'https://example.com', title: 'Site' });
+  const read = file => fs.readFileSync(path.join(out, file), 'utf8');
+  return { repository, publish, builder, read, out };
+}
+
+test('renders published items with sitemap and feeds', async () => {
+  const { repository, publish, builder, read } = setup();
+  publish('hello', { title: 'Hello <world>', body: '# Heading\n\nSome *text*' });
+  repository.save('draft', { title: 'Draft' });
+
+  const result = await builder.build();
+  assert.equal(result.pages, 1);
+  assert.deepEqual(result.errors, []);
+
+  const page = read('hello/index.html');
+  assert.match(page, /<title>Hello &lt;world&gt; \| Site<\/title>/);
+  assert.match(page, /<h1>Heading<\/h1>\n<p>Some <em>text<\/em><\/p>/);
+  assert.match(page, /<link rel="canonical" href="https:\/\/example.com\/hello\/">/);
+  assert.match(read('sitemap.xml'), /<loc>https:\/\/example.com\/hello\/<\/loc>/);
+  assert.match(read('feed.xml'), /<title>Hello &lt;world&gt;<\/title>/);
+  assert.match(read('rss.xml'), /<link>https:\/\/example.com\/hello\/<\/link>/);
+  assert.equal(fs.existsSync(path.join(builder.config.out, 'draft')), false);
+});
+
+test('rebuilds only changed pages and removes unpublished ones', async () => {
+  const { repository, publish, builder, read } = setup();
+  publish('a', { title: 'A', body: 'one' });
+  publish('b', { title: 'B', body: 'two' });
+  await builder.build();
+  const before = read('a/index.html');
+
+  publish('b', { title: 'B', body: 'changed' });
+  repository.unpublish('a');
+  const result = await builder.build();
+
+  assert.deepEqual(result.written.filter(file => file.endsWith('.html')), ['b/index.html']);
+  assert.deepEqual(result.removed, ['a/index.html']);
+  assert.deepEqual((await builder.build()).skipped, ['b/index.html']);
+
+  publish('a', { title: 'A', body: 'one' });
+  await builder.build({ full: true });
+  assert.equal(read('a/index.html'), before);
+});
+
+test('fills CR8ENGINE views from the item or its body', async () => {
+  const { publish, builder, read } = setup();
+  publish('story', {
+    title: 'Story',
+    template: 'cr8story-0',
+    chapters: [{ title: 'One', content: 'First *part*' }, { title: 'Two', html: '<p>Second</p>' }]
+  });
+  publish('plain', { title: 'Plain', template: 'cr8story-0', body: 'Only a body' });
+  publish('list', { title: 'List', template: 'cr8base-0', items: ['<apple>', { markdown: '**pear**' }] });
+  publish('form', { title: 'Form', template: 'cr8form-0', body: 'No fields' });
+  publish('signup', { title: 'Signup', template: 'cr8form-0', fields: [{ name: 'email', type: 'email' }, { label: 'bad' }] });
+
+  const result = await builder.build();
+  assert.deepEqual(result.errors, []);
+
+  const story = read('story/index.html');
+  assert.match(story, /<h2>One<\/h2>\s*<div class="story-content"><p>First <em>part<\/em><\/p>/);
+  assert.match(story, /<h2>Two<\/h2>\s*<div class="story-content"><p>Second<\/p><\/div>/);
+  assert.match(read('plain/index.html'), /<h2>Plain<\/h2>\s*<div class="story-content"><p>Only a body<\/p>/);
+
+  const list = read('list/index.html');
+  assert.match(list, /<div class="cr8-item">&lt;apple&gt;<\/div>/);
+  assert.match(list, /<div class="cr8-item"><p><strong>pear<\/strong><\/p>\n<\/div>/);
+
+  const form = read('form/index.html');
+  assert.match(form, /<article class="cms-page">\s*<h1>Form<\/h1>\s*<p>No fields<\/p>/);
+  assert.doesNotMatch(form, /cr8-form|<style>/);
+
+  const signup = read('signup/index.html');
+  assert.match(signup, /<label>email<\/label>\s*<input type="email" name="email" \/>/);
+  assert.equal((signup.match(/class="form-field"/g) || []).length, 1);
+});
+
+test('template items supply views and a changed template rebuilds its pages', async () => {
+  const { publish, builder, read } = setup();
+  publish('layout', { title: 'Layout', template: '<main>{{title}}: {{content}}</main>' });
+  publish('post', { title: 'Post', template: 'layout', body: 'Hi' });
+
+  await builder.build();
+  assert.match(read('post/index.html'), /<main>Post: <p>Hi<\/p>\n<\/main>/);
+  assert.equal(fs.existsSync(path.join(builder.config.out, 'layout')), false);
+
+  publish('layout', { title: 'Layout', template: '<section>{{title}}</section>' });
+  const result = await builder.build();
+  assert.deepEqual(result.written.filter(file => file.endsWith('.html')), ['post/index.html']);
+  assert.match(read('post/index.html'), /<section>Post<\/section>/);
+
+  publish('broken', { title: 'Broken', template: 'missing' });
+  assert.deepEqual((await builder.build()).errors, [{ id: 'broken', message: 'Template missing not found' }]);
+});
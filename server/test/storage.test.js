@@ -0,0 +1,102 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStore, FileStore, createStore } = require('../storage');
+
+const dirs = [];
+
+function tempDir() {
+  dirs.push(fs.mkdtempSync(path.join(os.tmpdir(), 'cms-storage-')));
+  return dirs[dirs.length - 1];
+}
+
+after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+test('memory store behaves like a Map', () => {
+  const store = new MemoryStore().load();
+  store.set('a', { n: 1 }).set('b', { n: 2 });
+
+  assert.deepEqual(store.get('a'), { n: 1 });
+  assert.equal(store.size, 2);
+  assert.equal(store.delete('a'), true);
+  assert.equal(store.delete('a'), false);
+  assert.deepEqual(Array.from(store.keys()), ['b']);
+});
+
+test('file store replays its log after a restart', () => {
+  const dataDir = tempDir();
+  const store = new FileStore({ name: 'items', dataDir, fsync: false }).load();
+  store.set('a', { n: 1 });
+  store.set('b', { n: 2 });
+  store.set('a', { n: 3 });
+  store.delete('b');
+  store.close();
+
+  const reopened = new FileStore({ name: 'items', dataDir }).load();
+  assert.deepEqual(Array.from(reopened.entries()), [['a', { n: 3 }]]);
+  reopened.close();
+});
+
+test('file store ignores a torn last line but not earlier corruption', () => {
+  const dataDir = tempDir();
+  const file = path.join(dataDir, 'items.jsonl');
+
+  fs.writeFileSync(file, '{"op":"set","id":"a","value":1}\n{"op":"set","id":"b","val');
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const store = new FileStore({ name: 'items', dataDir }).load();
+    assert.deepEqual(Array.from(store.keys()), ['a']);
+    store.close();
+  } finally {
+    console.warn = warn;
+  }
+  assert.equal(fs.readFileSync(file, 'utf8'), '{"op":"set","id":"a","value":1}\n');
+
+  fs.writeFileSync(file, '{"op":"set"\n{"op":"set","id":"a","value":1}\n{"op":"clear"}\n');
+  assert.throws(() => new FileStore({ name: 'items', dataDir }).load(), /Corrupt record at .*:1/);
+});
+
+test('file store writes a batch as one record, replayed whole or not at all', () => {
+  const dataDir = tempDir();
+  const file = path.join(dataDir, 'items.jsonl');
+  const store = new FileStore({ name: 'items', dataDir, fsync: false }).load();
+  store.set('a', 1);
+  store.batch([{ op: 'set', id: 'b', value: 2 }, { op: 'delete', id: 'a' }, { op: 'set', id: 'c', value: 3 }]);
+  store.close();
+
+  const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+  assert.equal(lines.length, 2);
+  assert.deepEqual(Array.from(new FileStore({ name: 'items', dataDir }).load().entries()), [['b', 2], ['c', 3]]);
+
+  fs.writeFileSync(file, lines[0] + '\n' + lines[1].slice(0, -10));
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.deepEqual(Array.from(new FileStore({ name: 'items', dataDir }).load().entries()), [['a', 1]]);
+  } finally {
+    console.warn = warn;
+  }
+
+  const memory = new MemoryStore().load().set('a', 1);
+  memory.batch([{ op: 'set', id: 'b', value: 2 }, { op: 'delete', id: 'a' }]);
+  assert.deepEqual(Array.from(memory.entries()), [['b', 2]]);
+});
+
+test('file store compacts superseded lines', () => {
+  const dataDir = tempDir();
+  const store = new FileStore({ name: 'items', dataDir, fsync: false, compactThreshold: 3 }).load();
+  for (let i = 0; i < 10; i++) store.set('a', i);
+  store.close();
+
+  const lines = fs.readFileSync(path.join(dataDir, 'items.jsonl'), 'utf8').trim().split('\n');
+  assert.ok(lines.length <= 4, `${lines.length} lines left`);
+  assert.equal(new FileStore({ name: 'items', dataDir }).load().get('a'), 9);
+});
+
+test('createStore rejects unknown adapters', () => {
+  assert.throws(() => createStore('items', { type: 'redis' }), /Unknown adapter "redis"/);
+  assert.ok(createStore('items', { type: 'memory' }) instanceof MemoryStore);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CMSTemplate } = require('../shared');
+
+const { render, SafeHTML } = CMSTemplate;
+
+test('escapes values unless triple-braced or SafeHTML', () => {
+  const data = { title: '<b>Hi</b>', body: new SafeHTML('<p>ok</p>') };
+
+  assert.equal(render('{{title}}|{{{title}}}|{{body}}', data), '&lt;b&gt;Hi&lt;/b&gt;|<b>Hi</b>|<p>ok</p>');
+  assert.equal(render('{{missing}}{{meta.count}}', { meta: { count: 0 } }), '0');
+});
+
+test('loops over lists and objects with outer scope lookups', () => {
+  const data = { site: 'S', tags: ['a', 'b'], sizes: { s: 1, m: 2 }, none: [] };
+
+  assert.equal(render('{{#each tags}}{{@index}}:{{this}}@{{site}} {{/each}}', data), '0:a@S 1:b@S ');
+  assert.equal(render('{{#each sizes}}{{@key}}={{.}};{{/each}}', data), 's=1;m=2;');
+  assert.equal(render('{{#each none}}x{{else}}empty{{/each}}', data), 'empty');
+  assert.equal(render('{{#each tags}}{{this.site}}{{/each}}', data), '');
+});
+
+test('branches on truthiness and rejects malformed blocks', () => {
+  assert.equal(render('{{#if list}}yes{{else}}no{{/if}}', { list: [] }), 'no');
+  assert.equal(render('{{#if html}}yes{{/if}}', { html: new SafeHTML('') }), '');
+  assert.throws(() => render('{{#if a}}x', {}), /Unclosed \{\{#if\}\}/);
+  assert.throws(() => render('{{#each a}}x{{/if}}', {}), /Unexpected \{\{\/if\}\}/);
+});
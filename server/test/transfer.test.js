@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ContentTransfer } = require('../transfer');
+const { ContentRepository } = require('../content');
+const { TypeRegistry } = require('../types');
+const { MemoryStore } = require('../storage');
+const { packTar, readArchive, toNDJSONLine, toTarball } = require('../archive');
+
+const post = {
+  properties: { title: { type: 'string' }, related: { type: 'reference', to: 'post' } },
+  required: ['title']
+};
+
+function instance() {
+  const repository = new ContentRepository({ contentStore: new MemoryStore(), publishedStore: new MemoryStore() });
+  const types = new TypeRegistry({ store: new MemoryStore(), resolve: id => repository.get(id) });
+  const transfer = new ContentTransfer({
+    repository,
+    types,
+    validate: (content, { registry = types, resolve } = {}) => registry.validate(content, { resolve })
+  });
+  return { repository, types, transfer };
+}
+
+function source() {
+  const { repository, types, transfer } = instance();
+  types.define('post', post);
+  repository.save('a', { type: 'post', title: 'A', related: 'b' });
+  repository.save('b', { type: 'post', title: 'B' });
+  repository.publish('b');
+  return Array.from(transfer.records({ assets: false }));
+}
+
+test('archives round-trip as NDJSON and as a tarball', () => {
+  const records = source();
+
+  for (const buffer of [Buffer.from(records.map(toNDJSONLine).join('')), toTarball(records)]) {
+    const read = readArchive(buffer);
+    assert.deepEqual(read.map(record => record.kind), ['meta', 'type', 'content', 'content']);
+    assert.deepEqual(read.filter(record => record.kind === 'content').map(record => record.item.title).sort(), ['A', 'B']);
+  }
+
+  assert.throws(() => readArchive(Buffer.from('{"kind":"meta","format":"other","version":1}\n')), { status: 400 });
+  assert.throws(() => readArchive(Buffer.from('{"kind":"user"}\n')), { status: 400 });
+  assert.throws(() => readArchive(packTar([{ name: 'files/%ZZ', data: Buffer.from('x') }])), { status: 400 });
+});
+
+test('imports types and content with published snapshots', () => {
+  const { repository, types, transfer } = instance();
+  const report = transfer.import(source());
+
+  assert.deepEqual(report.summary, { create: 3, overwrite: 0, rename: 0, unchanged: 0, skip: 0, error: 0 });
+  assert.ok(types.get('post'));
+  assert.equal(repository.get('a').related, 'b');
+  assert.equal(repository.getPublished('b').title, 'B');
+  assert.equal(repository.getPublished('a'), undefined);
+});
+
+test('conflict policies and dry runs', () => {
+  const records = source();
+  const { repository, types, transfer } = instance();
+  types.define('post', post);
+  repository.save('b', { type: 'post', title: 'Local B' });
+
+  const dry = transfer.import(records, { policy: 'overwrite', dryRun: true });
+  assert.equal(dry.summary.overwrite, 1);
+  assert.equal(repository.has('a'), false);
+
+  assert.deepEqual(transfer.import(records).items.map(item => [item.id, item.action]),
+    [['post', 'unchanged'], ['a', 'create'], ['b', 'skip']]);
+  assert.equal(repository.get('b').title, 'Local B');
+
+  repository.delete('a');
+  const renamed = transfer.import(records, { policy: 'rename' });
+  assert.deepEqual(renamed.items.find(item => item.id === 'b'), { kind: 'content', id: 'b', action: 'rename', new_id: 'b-2' });
+  assert.equal(repository.get('a').related, 'b-2');
+  assert.equal(repository.get('b-2').title, 'B');
+});
+
+test('reports invalid records without stopping the import', () => {
+  const { repository, transfer } = instance();
+  const records = source();
+  const broken = { kind: 'content', item: { id: 'c', type: 'post' }, published: null };
+
+  const report = transfer.import([...records, broken]);
+  assert.equal(report.summary.error, 1);
+  assert.equal(report.items.find(item => item.id === 'c').status, 422);
+  assert.equal(repository.has('c'), false);
+  assert.equal(repository.has('a'), true);
+  assert.throws(() => transfer.import(records, { policy: 'merge' }), { status: 400 });
+});
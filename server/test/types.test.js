@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CMSSchema } = require('../shared');
+const { TypeRegistry } = require('../types');
+const { MemoryStore } = require('../storage');
+
+const article = {
+  name: 'article',
+  properties: {
+    title: { type: 'string', maxLength: 5 },
+    category: { enum: ['news'] },
+    author: { type: 'reference', to: 'author' },
+    tags: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['title']
+};
+
+test('checks definitions for bad names and reserved fields', () => {
+  assert.deepEqual(CMSSchema.checkDefinition(article), []);
+
+  const errors = CMSSchema.checkDefinition({ name: 'Bad', properties: { id: { type: 'string' } } });
+  assert.deepEqual(errors.map(error => error.path), ['/name', '/properties/id']);
+});
+
+test('reports every problem with a JSON Pointer path', () => {
+  const errors = CMSSchema.validate({
+    category: 'sport',
+    author: 'a1',
+    tags: [1],
+    locales: { fr: { title: 'Trop long' } }
+  }, article, { resolve: id => ({ id, type: 'post' }) });
+
+  assert.deepEqual(errors.map(({ path, code }) => [path, code]), [
+    ['/title', 'required'],
+    ['/category', 'enum'],
+    ['/author', 'referenceType'],
+    ['/tags/0', 'type'],
+    ['/locales/fr/title', 'maxLength']
+  ]);
+  assert.throws(() => CMSSchema.assert({}, article), CMSSchema.SchemaValidationError);
+});
+
+test('locale variants only need the fields they override', () => {
+  assert.deepEqual(CMSSchema.validate({ title: 'Hi', locales: { fr: {} } }, article), []);
+  assert.deepEqual(
+    CMSSchema.references({ author: 'a1', locales: { fr: { author: 'a2' } } }, article).map(ref => [ref.path, ref.id]),
+    [['/author', 'a1'], ['/locales/fr/author', 'a2']]
+  );
+});
+
+test('registry versions definitions and validates items of known types', () => {
+  const registry = new TypeRegistry({ store: new MemoryStore() });
+  const changes = [];
+  registry.on('change', change => changes.push(change));
+
+  assert.equal(registry.define('article', article).version, 1);
+  assert.equal(registry.define('article', article).version, 2);
+  assert.throws(() => registry.define('article', { properties: { version: {} } }), { status: 422 });
+
+  assert.doesNotThrow(() => registry.validate({ type: 'page' }));
+  assert.throws(() => registry.validate({ type: 'article', title: 'Much too long' }), error => {
+    assert.equal(error.status, 422);
+    assert.equal(error.details.errors[0].code, 'maxLength');
+    return true;
+  });
+
+  registry.remove('article');
+  assert.equal(registry.get('article'), undefined);
+  assert.deepEqual(changes.map(change => Boolean(change.after)), [true, true, false]);
+});
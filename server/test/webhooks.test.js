@@ -0,0 +1,101 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { EventEmitter } = require('events');
+const { WebhookDispatcher, sign } = require('../webhooks');
+const { MemoryStore } = require('../storage');
+
+// Receiver answering with the queued status codes, then 200
+const received = [];
+const statuses = [];
+let receiver;
+let url;
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(statuses.shift() || 200).end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+after(() => receiver.close());
+
+function dispatcher() {
+  return new WebhookDispatcher({
+    store: new MemoryStore(),
+    deliveryStore: new MemoryStore(),
+    retryDelays: [5, 5]
+  });
+}
+
+async function settled(webhooks, id) {
+  for (let i = 0; i < 200; i++) {
+    const delivery = webhooks.getDelivery(id);
+    if (delivery.status !== 'pending') return delivery;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error(`Delivery ${id} still pending`);
+}
+
+test('validates webhooks and hides the secret once created', () => {
+  const webhooks = dispatcher();
+
+  assert.throws(() => webhooks.create({ url: 'ftp://example.com' }), { status: 422 });
+  assert.throws(() => webhooks.create({ url, events: ['rename'] }), { status: 422 });
+  assert.throws(() => webhooks.create({ url, secret: 'short' }), { status: 422 });
+
+  const hook = webhooks.create({ url, events: ['publish'] });
+  assert.ok(hook.secret.length >= 16);
+  assert.equal('secret' in webhooks.describe(hook), false);
+  assert.equal(webhooks.update(hook.id, { active: false }).active, false);
+});
+
+test('delivers repository changes signed with the secret', async () => {
+  const webhooks = dispatcher();
+  const repository = new EventEmitter();
+  webhooks.attach(repository);
+
+  const hook = webhooks.create({ url, events: ['create'], secret: 'a-long-enough-secret' });
+  received.length = 0;
+
+  repository.emit('change', { type: 'update', id: 'x', before: {}, after: {}, actor: 'ed' });
+  repository.emit('change', { type: 'create', id: 'home', before: null, after: { id: 'home', type: 'page', version: 1 }, actor: 'ed' });
+
+  const [delivery] = webhooks.listDeliveries(hook.id);
+  assert.equal((await settled(webhooks, delivery.id)).status, 'succeeded');
+  assert.equal(received.length, 1);
+
+  const { headers, body } = received[0];
+  const timestamp = /^t=(\d+),/.exec(headers['x-cms-signature'])[1];
+  assert.equal(headers['x-cms-signature'], sign('a-long-enough-secret', body, Number(timestamp)));
+  assert.equal(headers['x-cms-event'], 'create');
+  assert.deepEqual(JSON.parse(body).content, { id: 'home', type: 'page', version: 1, status: null });
+});
+
+test('retries server errors and gives up on client errors', async () => {
+  const webhooks = dispatcher();
+  const hook = webhooks.create({ url });
+
+  statuses.push(503, 500);
+  const retried = webhooks.deliver(hook, 'publish', { content: { id: 'a' } });
+  const done = await settled(webhooks, retried.id);
+  assert.equal(done.status, 'succeeded');
+  assert.deepEqual(done.attempts.map(attempt => attempt.status_code), [503, 500, 200]);
+
+  statuses.push(404);
+  const rejected = webhooks.deliver(hook, 'publish', { content: { id: 'b' } });
+  const failed = await settled(webhooks, rejected.id);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.attempts.length, 1);
+
+  const again = await settled(webhooks, webhooks.redeliver(rejected.id).id);
+  assert.equal(again.status, 'succeeded');
+  assert.equal(again.attempts.length, 2);
+  webhooks.close();
+});
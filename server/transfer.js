@@ -0,0 +1,268 @@
+/**
+ * Import and Export
+ * Moves content, content types and assets between CMS instances as
+ * archive records (see server/archive.js).
+ *
+ * Imports go record by record and report what happened to each. When an
+ * item already exists the conflict policy decides:
+ * - skip: keep the local one (default)
+ * - overwrite: replace it with the archived one
+ * - rename: import content under a free id ("<id>-2", ...) and point the
+ *   archive's references at it. Types and assets are matched by name and
+ *   by hash, so they are skipped instead.
+ *
+ * A dry run checks everything and returns the same report without writing.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { CMSSchema } = require('./shared');
+const { HttpError } = require('./http');
+const { TypeRegistry } = require('./types');
+const { assetId } = require('./assets');
+const { applyPatch, deepEqual } = require('./json-patch');
+const { manifest } = require('./archive');
+
+const POLICIES = ['skip', 'overwrite', 'rename'];
+const ACTIONS = ['create', 'overwrite', 'rename', 'unchanged', 'skip', 'error'];
+
+// Stamped by TypeRegistry.define, not part of a definition
+const TYPE_STAMPS = ['name', 'version', 'created_at', 'updated_at'];
+
+function withoutStamps(definition) {
+  return Object.fromEntries(Object.entries(definition).filter(([field]) => !TYPE_STAMPS.includes(field)));
+}
+
+function failure(kind, id, error) {
+  if (!(error instanceof HttpError)) throw error;
+  return { kind, id, action: 'error', status: error.status, message: error.message, ...error.details };
+}
+
+class ContentTransfer {
+  constructor(config = {}) {
+    this.config = {
+      repository: null,
+      types: null,
+      assets: null,
+      validate: () => {}, // (content, { registry, resolve }), throws HttpError
+      ...config
+    };
+
+    this.repository = this.config.repository;
+    this.types = this.config.types;
+    this.assets = this.config.assets;
+  }
+
+  /**
+   * Export records, manifest first. Working copies travel with their
+   * published snapshot; revisions, API keys and webhooks stay behind.
+   */
+  * records({ assets = true } = {}) {
+    const types = this.types.list();
+    const content = this.repository.list();
+    const files = assets ? this.assets.list() : [];
+
+    yield manifest({ types: types.length, content: content.length, assets: files.length });
+
+    for (const definition of types) {
+      yield { kind: 'type', definition };
+    }
+
+    for (const asset of files) {
+      const file = this.assets.filePath(asset);
+      yield { kind: 'asset', asset, data: fs.existsSync(file) ? fs.readFileSync(file) : undefined };
+    }
+
+    for (const item of content) {
+      yield { kind: 'content', item, published: this.repository.getPublished(item.id) || null };
+    }
+  }
+
+  /**
+   * Import records in archive order (types, assets, content) and report
+   * on each: { dry_run, on_conflict, summary, items }
+   */
+  import(records, { policy = 'skip', dryRun = false, actor = null } = {}) {
+    if (!POLICIES.includes(policy)) {
+      throw new HttpError(400, `on_conflict must be one of: ${POLICIES.join(', ')}`);
+    }
+
+    // Definitions as they will be after the import, so a dry run checks
+    // content against the archived types
+    const registry = new TypeRegistry({ store: new Map(this.types.list().map(definition => [definition.name, definition])) });
+    const options = { policy, dryRun, actor, registry };
+
+    const items = [
+      ...records.filter(record => record.kind === 'type').map(record => this.importType(record, options)),
+      ...records.filter(record => record.kind === 'asset').map(record => this.importAsset(record, options)),
+      ...this.importContent(records.filter(record => record.kind === 'content'), options)
+    ];
+
+    const summary = Object.fromEntries(ACTIONS.map(action => [action, 0]));
+    items.forEach(item => summary[item.action]++);
+
+    return { dry_run: dryRun, on_conflict: policy, summary, items };
+  }
+
+  importType({ definition }, { policy, dryRun, registry }) {
+    const name = definition && definition.name;
+
+    try {
+      if (typeof name !== 'string' || !name) {
+        throw new HttpError(422, 'Type record has no name');
+      }
+
+      const current = registry.get(name);
+      if (current && deepEqual(withoutStamps(current), withoutStamps(definition))) {
+        return { kind: 'type', id: name, action: 'unchanged' };
+      }
+      if (current && policy !== 'overwrite') {
+        return { kind: 'type', id: name, action: 'skip', ...(policy === 'rename' ? { message: 'Types are matched by name and not renamed' } : {}) };
+      }
+
+      registry.define(name, withoutStamps(definition));
+      if (!dryRun) {
+        this.types.define(name, withoutStamps(definition));
+      }
+      return { kind: 'type', id: name, action: current ? 'overwrite' : 'create' };
+    } catch (error) {
+      return failure('type', name || null, error);
+    }
+  }
+
+  importAsset({ asset, data }, { policy, dryRun }) {
+    const id = asset && asset.id;
+
+    try {
+      if (typeof id !== 'string' || !id) {
+        throw new HttpError(422, 'Asset record has no id');
+      }
+      if (!Buffer.isBuffer(data)) {
+        throw new HttpError(422, 'Asset record has no data');
+      }
+      if (assetId(crypto.createHash('sha256').update(data).digest('hex')) !== id) {
+        throw new HttpError(422, 'Asset data does not match its id');
+      }
+
+      const fields = { filename: asset.filename, tags: asset.tags, metadata: asset.metadata };
+      const current = this.assets.get(id);
+
+      if (current) {
+        if (deepEqual([current.filename, current.tags, current.metadata], [fields.filename, fields.tags, fields.metadata])) {
+          return { kind: 'asset', id, action: 'unchanged' };
+        }
+        if (policy !== 'overwrite') {
+          return { kind: 'asset', id, action: 'skip', ...(policy === 'rename' ? { message: 'Assets are matched by content hash and not renamed' } : {}) };
+        }
+        if (!dryRun) {
+          this.assets.update(id, fields);
+        }
+        return { kind: 'asset', id, action: 'overwrite' };
+      }
+
+      const file = { filename: asset.filename, mimeType: asset.mime_type, data };
+      this.assets.check(file);
+      if (!dryRun) {
+        this.assets.add(file, { tags: asset.tags, metadata: asset.metadata });
+      }
+      return { kind: 'asset', id, action: 'create' };
+    } catch (error) {
+      return failure('asset', id || null, error);
+    }
+  }
+
+  /**
+   * Content is placed in two passes: ids first, so references between
+   * archived items can follow renames and resolve during validation
+   */
+  importContent(records, { policy, dryRun, actor, registry }) {
+    const archived = new Set(records.map(({ item }) => item && item.id));
+    const taken = new Set();
+    const renamed = new Map(); // archived id -> local id
+    const placed = new Map(); // local id -> item, for reference checks
+
+    const plans = records.map(({ item, published }) => {
+      const id = item && item.id;
+
+      try {
+        if (typeof id !== 'string' || !id) {
+          throw new HttpError(422, 'Content record has no id');
+        }
+        if (taken.has(id) || renamed.has(id)) {
+          throw new HttpError(422, 'Duplicate id in archive');
+        }
+
+        const exists = this.repository.has(id);
+        if (exists && policy === 'skip') {
+          taken.add(id);
+          return { report: { kind: 'content', id, action: 'skip' } };
+        }
+
+        const target = exists && policy === 'rename' ? this.freeId(id, id => archived.has(id) || taken.has(id)) : id;
+        taken.add(target);
+        if (target !== id) renamed.set(id, target);
+
+        return {
+          id,
+          target,
+          item: { ...item, id: target },
+          published: published ? { ...published, id: target } : null,
+          action: !exists ? 'create' : target !== id ? 'rename' : 'overwrite'
+        };
+      } catch (error) {
+        return { report: failure('content', id || null, error) };
+      }
+    });
+
+    plans.filter(plan => plan.item).forEach(plan => {
+      plan.item = this.followRenames(plan.item, renamed, registry);
+      if (plan.published) plan.published = this.followRenames(plan.published, renamed, registry);
+      placed.set(plan.target, plan.item);
+    });
+
+    const resolve = id => placed.get(id) || this.repository.get(id);
+
+    return plans.map(plan => {
+      if (plan.report) return plan.report;
+
+      try {
+        this.config.validate(plan.item, { registry, resolve });
+        if (!dryRun) {
+          this.repository.restore(plan.target, plan.item, plan.published, { actor });
+        }
+        return { kind: 'content', id: plan.id, action: plan.action, ...(plan.action === 'rename' ? { new_id: plan.target } : {}) };
+      } catch (error) {
+        placed.delete(plan.target);
+        return failure('content', plan.id, error);
+      }
+    });
+  }
+
+  /**
+   * First "<id>-<n>" that is neither stored nor claimed by the archive
+   */
+  freeId(id, claimed) {
+    let n = 2;
+    while (this.repository.has(`${id}-${n}`) || claimed(`${id}-${n}`)) n++;
+    return `${id}-${n}`;
+  }
+
+  /**
+   * Point an item's reference fields at renamed items
+   */
+  followRenames(item, renamed, registry) {
+    const definition = renamed.size && registry.get(item.type);
+    if (!definition) return item;
+
+    const patch = CMSSchema.references(item, definition)
+      .filter(reference => renamed.has(reference.id))
+      .map(reference => ({ op: 'replace', path: reference.path, value: renamed.get(reference.id) }));
+
+    return patch.length ? applyPatch(item, patch) : item;
+  }
+}
+
+module.exports = {
+  ContentTransfer,
+  IMPORT_POLICIES: POLICIES
+};
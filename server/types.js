@@ -0,0 +1,91 @@
+/**
+ * Content Types
+ * Registry of the content-type definitions managed through /types.
+ * Items whose `type` has a definition are validated on every write,
+ * items of other types are stored as before.
+ *
+ * The dialect and validator live in cms_schema.js, shared with
+ * PGliteManager in the browser.
+ *
+ * Events:
+ * - change: { name, before, after } when a definition is stored or removed
+ */
+
+const { EventEmitter } = require('events');
+const { CMSSchema } = require('./shared');
+const { HttpError } = require('./http');
+
+class TypeRegistry extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      store: null,
+      resolve: () => undefined, // id -> item, for reference checks
+      ...config
+    };
+
+    this.store = this.config.store;
+  }
+
+  list() {
+    return Array.from(this.store.values());
+  }
+
+  get(name) {
+    return this.store.get(name);
+  }
+
+  /**
+   * Create or replace a definition, rejecting malformed ones with 422
+   */
+  define(name, definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new HttpError(422, 'Type definition must be an object');
+    }
+
+    const current = this.get(name);
+    const now = new Date().toISOString();
+    const stored = {
+      ...definition,
+      name,
+      version: current ? current.version + 1 : 1,
+      created_at: current ? current.created_at : now,
+      updated_at: now
+    };
+
+    const errors = CMSSchema.checkDefinition(stored);
+    if (errors.length) {
+      throw new HttpError(422, 'Invalid type definition', { errors });
+    }
+
+    this.store.set(name, stored);
+    this.emit('change', { name, before: current || null, after: stored });
+    return stored;
+  }
+
+  remove(name) {
+    const current = this.get(name);
+    if (current) {
+      this.store.delete(name);
+      this.emit('change', { name, before: current, after: null });
+    }
+    return current || null;
+  }
+
+  /**
+   * Reject an item that does not match its type with a 422 listing
+   * every problem found. options.resolve overrides the configured lookup.
+   */
+  validate(content, { resolve = this.config.resolve } = {}) {
+    const definition = content && this.get(content.type);
+    if (!definition) return;
+
+    const errors = CMSSchema.validate(content, definition, { resolve });
+    if (errors.length) {
+      throw new HttpError(422, `Content does not match type "${definition.name}"`, { errors });
+    }
+  }
+}
+
+module.exports = { TypeRegistry };
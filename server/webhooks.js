@@ -0,0 +1,347 @@
+/**
+ * Outbound Webhooks
+ * POSTs ContentRepository changes (create, update, delete, publish,
+ * unpublish) to registered URLs, managed through /webhooks.
+ *
+ * Each request carries:
+ * - X-CMS-Event: the change type ("ping" for test deliveries)
+ * - X-CMS-Delivery: delivery id, stable across retries
+ * - X-CMS-Signature: "t=<unix seconds>,v1=<hex>", the HMAC-SHA256 of
+ *   "<t>.<raw body>" keyed with the webhook's secret. Receivers should
+ *   recompute it and reject stale timestamps to stop replays.
+ *
+ * Failed deliveries (network errors, timeouts, 5xx, 408, 429) are retried
+ * on the AevIPProtocol schedule, one delay per retry; other 4xx responses
+ * fail at once. Every attempt is kept in a delivery log, and deliveries
+ * still pending at shutdown are resumed on the next start.
+ */
+
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+
+const EVENTS = ['create', 'update', 'delete', 'publish', 'unpublish'];
+
+function randomId(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Signature header value for a body sent at a given time
+ */
+function sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+function isRetryable(status) {
+  return status >= 500 || status === 408 || status === 429;
+}
+
+class WebhookDispatcher {
+  constructor(config = {}) {
+    this.config = {
+      store: null, // webhooks
+      deliveryStore: null, // delivery log
+      retryDelays: [2000, 4000, 8000, 16000], // Same backoff as AevIPProtocol
+      timeout: 10000, // ms per attempt
+      maxDeliveries: 100, // Finished deliveries kept per webhook
+      ...config
+    };
+
+    this.store = this.config.store;
+    this.deliveries = this.config.deliveryStore;
+    this.timers = new Map(); // delivery id -> retry timer
+  }
+
+  attach(repository) {
+    repository.on('change', change => this.handleChange(change));
+    return this;
+  }
+
+  handleChange({ type, id, before, after, actor }) {
+    const item = after || before;
+
+    this.dispatch(type, {
+      event: type,
+      timestamp: new Date().toISOString(),
+      actor,
+      content: {
+        id,
+        type: item ? item.type || null : null,
+        version: item ? item.version : null,
+        status: after ? after.status || null : null
+      },
+      data: after
+    });
+  }
+
+  /**
+   * Queue a delivery of an event to every active webhook subscribed to it
+   */
+  dispatch(event, payload) {
+    this.list()
+      .filter(hook => hook.active && (hook.events.includes('*') || hook.events.includes(event)))
+      .forEach(hook => this.deliver(hook, event, payload));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Webhooks
+  // ---------------------------------------------------------------------------
+
+  list() {
+    return Array.from(this.store.values());
+  }
+
+  get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * A webhook as shown by the API: the secret is only returned when it
+   * is set, so it cannot be read back later
+   */
+  describe(hook, { withSecret = false } = {}) {
+    const { secret, ...rest } = hook;
+    return withSecret ? hook : rest;
+  }
+
+  validate(fields) {
+    const errors = [];
+
+    if (fields.url !== undefined) {
+      let parsed = null;
+      try {
+        parsed = new URL(fields.url);
+      } catch (error) {
+        // Reported below
+      }
+      if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        errors.push({ path: '/url', code: 'format', message: 'url must be an http(s) URL' });
+      }
+    }
+
+    if (fields.events !== undefined &&
+        !(Array.isArray(fields.events) && fields.events.length &&
+          fields.events.every(event => event === '*' || EVENTS.includes(event)))) {
+      errors.push({ path: '/events', code: 'enum', message: `events must list "*" or any of: ${EVENTS.join(', ')}` });
+    }
+
+    if (fields.secret !== undefined && (typeof fields.secret !== 'string' || fields.secret.length < 16)) {
+      errors.push({ path: '/secret', code: 'minLength', message: 'secret must be at least 16 characters' });
+    }
+
+    if (fields.active !== undefined && typeof fields.active !== 'boolean') {
+      errors.push({ path: '/active', code: 'type', message: 'active must be a boolean' });
+    }
+
+    if (errors.length) {
+      throw new HttpError(422, 'Invalid webhook', { errors });
+    }
+  }
+
+  create({ url, events = ['*'], secret, active = true, description = '' } = {}) {
+    if (url === undefined) {
+      throw new HttpError(422, 'Invalid webhook', { errors: [{ path: '/url', code: 'required', message: 'url is required' }] });
+    }
+    this.validate({ url, events, secret, active });
+
+    const now = new Date().toISOString();
+    const hook = {
+      id: randomId('wh'),
+      url,
+      events,
+      secret: secret || crypto.randomBytes(24).toString('base64url'),
+      active,
+      description: String(description),
+      created_at: now,
+      updated_at: now
+    };
+
+    this.store.set(hook.id, hook);
+    return hook;
+  }
+
+  update(id, changes = {}) {
+    const current = this.get(id);
+    if (!current) return null;
+
+    const fields = ['url', 'events', 'secret', 'active', 'description'].reduce((acc, field) => {
+      if (changes[field] !== undefined) acc[field] = changes[field];
+      return acc;
+    }, {});
+    this.validate(fields);
+
+    const hook = { ...current, ...fields, updated_at: new Date().toISOString() };
+    this.store.set(id, hook);
+    return hook;
+  }
+
+  remove(id) {
+    const hook = this.get(id);
+    if (!hook) return null;
+
+    this.store.delete(id);
+    this.listDeliveries(id).forEach(delivery => {
+      clearTimeout(this.timers.get(delivery.id));
+      this.timers.delete(delivery.id);
+      this.deliveries.delete(delivery.id);
+    });
+    return hook;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Deliveries
+  // ---------------------------------------------------------------------------
+
+  listDeliveries(webhookId, { status = null } = {}) {
+    return Array.from(this.deliveries.values())
+      .filter(delivery => delivery.webhook_id === webhookId)
+      .filter(delivery => !status || delivery.status === status)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  getDelivery(id) {
+    return this.deliveries.get(id);
+  }
+
+  /**
+   * Record a delivery and make its first attempt
+   */
+  deliver(hook, event, payload) {
+    const now = new Date().toISOString();
+    const delivery = {
+      id: randomId('dlv'),
+      webhook_id: hook.id,
+      event,
+      content_id: payload.content ? payload.content.id : null,
+      status: 'pending',
+      payload: { id: null, ...payload },
+      attempts: [],
+      next_attempt_at: now,
+      created_at: now,
+      updated_at: now
+    };
+    delivery.payload.id = delivery.id;
+
+    this.deliveries.set(delivery.id, delivery);
+    this.prune(hook.id);
+    this.attempt(delivery.id);
+    return delivery;
+  }
+
+  /**
+   * Send a finished delivery again as a new round of attempts
+   */
+  redeliver(id) {
+    const delivery = this.getDelivery(id);
+    if (!delivery) return null;
+
+    clearTimeout(this.timers.get(id));
+    this.timers.delete(id);
+
+    const restarted = { ...delivery, status: 'pending', round_start: delivery.attempts.length, next_attempt_at: new Date().toISOString() };
+    this.deliveries.set(id, restarted);
+    this.attempt(id);
+    return restarted;
+  }
+
+  async attempt(id) {
+    this.timers.delete(id);
+
+    const delivery = this.getDelivery(id);
+    const hook = delivery && this.get(delivery.webhook_id);
+    if (!delivery || !hook || delivery.status !== 'pending') return;
+
+    const body = JSON.stringify(delivery.payload);
+    const started = Date.now();
+    const result = { at: new Date(started).toISOString(), status_code: null, error: null, duration_ms: 0 };
+
+    try {
+      const response = await fetch(hook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'cms-server-webhooks',
+          'X-CMS-Event': delivery.event,
+          'X-CMS-Delivery': delivery.id,
+          'X-CMS-Signature': sign(hook.secret, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.config.timeout)
+      });
+      result.status_code = response.status;
+      // Drain so the connection can be reused
+      await response.arrayBuffer().catch(() => null);
+    } catch (error) {
+      result.error = error.name === 'TimeoutError' ? `Timed out after ${this.config.timeout}ms` : error.message;
+    }
+    result.duration_ms = Date.now() - started;
+
+    // The webhook or delivery may have been removed while the request ran
+    const current = this.getDelivery(id);
+    if (!current || !this.get(current.webhook_id)) return;
+
+    const attempts = [...current.attempts, result];
+    const succeeded = result.status_code >= 200 && result.status_code < 300;
+    const retry = (current.round_start || 0) + this.config.retryDelays.length;
+    const canRetry = !succeeded &&
+      (result.status_code === null || isRetryable(result.status_code)) &&
+      attempts.length <= retry;
+
+    const delay = canRetry ? this.config.retryDelays[attempts.length - 1 - (current.round_start || 0)] : null;
+    const updated = {
+      ...current,
+      attempts,
+      status: succeeded ? 'succeeded' : canRetry ? 'pending' : 'failed',
+      next_attempt_at: canRetry ? new Date(Date.now() + delay).toISOString() : null,
+      updated_at: new Date().toISOString()
+    };
+
+    this.deliveries.set(id, updated);
+    if (canRetry) {
+      this.schedule(id, delay);
+    } else if (!succeeded) {
+      console.warn(`CMS API: Webhook ${hook.id} delivery ${id} failed after ${attempts.length} attempt(s)`);
+    }
+  }
+
+  schedule(id, delay) {
+    const timer = setTimeout(() => this.attempt(id), Math.max(delay, 0));
+    timer.unref();
+    this.timers.set(id, timer);
+  }
+
+  /**
+   * Pick up deliveries left pending by a previous run
+   */
+  resume() {
+    for (const delivery of this.deliveries.values()) {
+      if (delivery.status === 'pending' && !this.timers.has(delivery.id)) {
+        this.schedule(delivery.id, new Date(delivery.next_attempt_at).getTime() - Date.now());
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Keep the newest finished deliveries per webhook
+   */
+  prune(webhookId) {
+    this.listDeliveries(webhookId)
+      .filter(delivery => delivery.status !== 'pending')
+      .slice(this.config.maxDeliveries)
+      .forEach(delivery => this.deliveries.delete(delivery.id));
+  }
+
+  close() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+}
+
+module.exports = {
+  WebhookDispatcher,
+  WEBHOOK_EVENTS: EVENTS,
+  sign
+};
@@ -4,6 +4,8 @@
  * Deep IntersectionObserver and MutationObserver integration
  */
 
+import { renderMarkdown } from '../markdown/index.js';
+
 export class ViewportSync {
   constructor(aevipProtocol, config = {}) {
     this.protocol = aevipProtocol;
@@ -17,6 +19,7 @@ export class ViewportSync {
         nearVisible: 2,
         offscreen: 3
       },
+      markdown: { allowHTML: false }, // Options for data-aevip-type="markdown"
       ...config
     };
 
@@ -24,6 +27,7 @@ export class ViewportSync {
       observedElements: new Map(), // element -> metadata
       visibleElements: new Set(),
       pendingUpdates: new Map(), // contentId -> patch
+      markdownSources: new WeakMap(), // element -> Markdown it was rendered from
       mutationBuffer: [],
       stats: {
         totalObserved: 0,
@@ -394,6 +398,13 @@ export class ViewportSync {
         return { html: element.innerHTML };
       case 'text':
         return { text: element.textContent };
+      case 'markdown':
+        // Until first rendered, the element holds its Markdown as text
+        return {
+          markdown: this.state.markdownSources.has(element)
+            ? this.state.markdownSources.get(element)
+            : element.textContent
+        };
       case 'json':
         try {
           return JSON.parse(element.textContent || '{}');
@@ -417,6 +428,12 @@ export class ViewportSync {
       case 'text':
         element.textContent = content.text || content.content || '';
         break;
+      case 'markdown': {
+        const markdown = content.markdown || content.content || '';
+        element.innerHTML = renderMarkdown(markdown, this.config.markdown);
+        this.state.markdownSources.set(element, markdown);
+        break;
+      }
       case 'json':
         element.textContent = JSON.stringify(content, null, 2);
         break;
@@ -5,18 +5,29 @@
  */
 
 import { PGlite } from '@electric-sql/pglite';
+import { CMSSchema, SchemaValidationError } from '../schema/index.js';
+
+// NOT NULL columns of the content table, checked before any SQL runs
+const CONTENT_REQUIRED = ['id', 'type', 'body'];
+
+// Canonical tags only ("fr-CA", not "fr-ca"), as server/locales.js stores them
+const LOCALE_TAG = /^[a-z]{2,3}(?:-(?:[A-Z0-9]{2}|[A-Za-z0-9]{3,8}))*$/;
 
 export class PGliteManager {
   constructor(config = {}) {
     this.config = {
       dataDir: 'idb://cmsjs-db',
       debug: false,
+      defaultLocale: 'en',
+      assetEndpoint: null, // cms_server.cjs base URL that assets sync to
+      apiKey: null,
       schema: {
         content: true,
         templates: true,
         variations: true,
         assets: true,
-        settings: true
+        settings: true,
+        types: true
       },
       ...config
     };
@@ -39,6 +50,10 @@ export class PGliteManager {
       await this.createSchema();
       this.ready = true;
 
+      if (this.config.assetEndpoint && typeof window !== 'undefined') {
+        window.addEventListener('online', () => this.syncAssets());
+      }
+
       console.log('PGlite: Database initialized');
     } catch (error) {
       console.error('PGlite: Initialization failed', error);
@@ -65,18 +80,25 @@ export class PGliteManager {
           tags TEXT[],
           status TEXT DEFAULT 'draft',
           author TEXT,
+          locale TEXT,
+          locales JSONB DEFAULT '{}',
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           published_at TIMESTAMP,
           version INTEGER DEFAULT 1
         );
 
+        -- Databases created before content was localized
+        ALTER TABLE content ADD COLUMN IF NOT EXISTS locale TEXT;
+        ALTER TABLE content ADD COLUMN IF NOT EXISTS locales JSONB DEFAULT '{}';
+
         CREATE INDEX IF NOT EXISTS idx_content_type ON content(type);
         CREATE INDEX IF NOT EXISTS idx_content_status ON content(status);
         CREATE INDEX IF NOT EXISTS idx_content_created ON content(created_at DESC);
         CREATE INDEX IF NOT EXISTS idx_content_updated ON content(updated_at DESC);
         CREATE INDEX IF NOT EXISTS idx_content_tags ON content USING GIN(tags);
         CREATE INDEX IF NOT EXISTS idx_content_metadata ON content USING GIN(metadata);
+        CREATE INDEX IF NOT EXISTS idx_content_locale ON content(locale);
       `);
     }
 
@@ -139,7 +161,13 @@ export class PGliteManager {
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
         );
 
+        -- Local copies of files not yet uploaded, and what still has to sync
+        ALTER TABLE assets ADD COLUMN IF NOT EXISTS hash TEXT;
+        ALTER TABLE assets ADD COLUMN IF NOT EXISTS blob BYTEA;
+        ALTER TABLE assets ADD COLUMN IF NOT EXISTS sync_state TEXT DEFAULT 'synced';
+
         CREATE INDEX IF NOT EXISTS idx_assets_mime ON assets(mime_type);
+        CREATE INDEX IF NOT EXISTS idx_assets_sync ON assets(sync_state);
         CREATE INDEX IF NOT EXISTS idx_assets_tags ON assets USING GIN(tags);
       `);
     }
@@ -156,6 +184,18 @@ export class PGliteManager {
       `);
     }
 
+    // Content types table - definitions validated by cms_schema.js
+    if (this.config.schema.types) {
+      await this.db.exec(`
+        CREATE TABLE IF NOT EXISTS content_types (
+          name TEXT PRIMARY KEY,
+          definition JSONB NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+    }
+
     // A-Frame 3D objects table
     await this.db.exec(`
       CREATE TABLE IF NOT EXISTS aframe_objects (
@@ -217,11 +257,18 @@ export class PGliteManager {
 
   /**
    * Content CRUD operations
+   *
+   * Same model as the server (server/locales.js): a row is written in
+   * its base locale and carries per-locale variants of some fields,
+   * { locale: 'en', title, locales: { fr: { title }, 'fr-CA': { title } } }.
+   * Rows without a locale are in config.defaultLocale.
    */
   async createContent(content) {
+    await this.validateContent(content);
+
     const sql = `
-      INSERT INTO content (id, type, title, body, html, css, js, metadata, tags, status, author)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      INSERT INTO content (id, type, title, body, html, css, js, metadata, tags, status, author, locale, locales)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
       RETURNING *
     `;
 
@@ -236,7 +283,9 @@ export class PGliteManager {
       JSON.stringify(content.metadata || {}),
       content.tags || [],
       content.status || 'draft',
-      content.author || null
+      content.author || null,
+      content.locale || this.config.defaultLocale,
+      JSON.stringify(content.locales || {})
     ];
 
     const result = await this.query(sql, params);
@@ -249,7 +298,72 @@ export class PGliteManager {
     return result.rows[0];
   }
 
+  /**
+   * An item in the closest available locale, e.g. fr-CA -> fr -> en
+   */
+  async getLocalizedContent(id, locale) {
+    const item = await this.getContent(id);
+    return item && this.localize(item, this.negotiateLocale(item, locale));
+  }
+
+  /**
+   * Fallback chain for a locale tag, most specific first
+   */
+  localeChain(locale, fallback = this.config.defaultLocale) {
+    const chain = [];
+    const parts = String(locale).split('-');
+
+    while (parts.length) {
+      chain.push(parts.join('-'));
+      parts.pop();
+    }
+    if (fallback && !chain.includes(fallback)) {
+      chain.push(fallback);
+    }
+    return chain;
+  }
+
+  availableLocales(item) {
+    const tags = [item.locale || this.config.defaultLocale, ...Object.keys(item.locales || {})];
+    return tags.filter((tag, index) => tags.indexOf(tag) === index);
+  }
+
+  /**
+   * First locale along the tag's chain the item has, else its base locale
+   */
+  negotiateLocale(item, locale) {
+    const available = this.availableLocales(item);
+    return this.localeChain(locale, null).find(tag => available.includes(tag)) ||
+      item.locale || this.config.defaultLocale;
+  }
+
+  /**
+   * The row as seen in one locale: base fields overlaid with each variant
+   * along the chain, least specific first
+   */
+  localize(item, locale) {
+    const { locales, ...base } = item;
+    const variants = locales || {};
+    const fields = this.localeChain(locale, item.locale || this.config.defaultLocale)
+      .reverse()
+      .reduce((acc, tag) => ({ ...acc, ...(variants[tag] || {}) }), {});
+
+    return {
+      ...base,
+      ...fields,
+      id: item.id,
+      version: item.version,
+      locale,
+      available_locales: this.availableLocales(item)
+    };
+  }
+
   async updateContent(id, updates) {
+    const current = await this.getContent(id);
+    if (current) {
+      await this.validateContent({ ...current, ...updates, id });
+    }
+
     const fields = [];
     const params = [];
     let paramIndex = 1;
@@ -288,11 +402,22 @@ export class PGliteManager {
     return result.rows[0];
   }
 
+  /**
+   * filters.locale keeps items available in that locale and returns them
+   * localized; with filters.fallback every item is returned, in the
+   * closest locale along its fallback chain
+   */
   async listContent(filters = {}) {
     let sql = 'SELECT * FROM content WHERE 1=1';
     const params = [];
     let paramIndex = 1;
 
+    if (filters.locale && !filters.fallback) {
+      sql += ` AND (COALESCE(locale, $${paramIndex}) = $${paramIndex + 1} OR locales ? $${paramIndex + 1})`;
+      params.push(this.config.defaultLocale, filters.locale);
+      paramIndex += 2;
+    }
+
     if (filters.type) {
       sql += ` AND type = $${paramIndex}`;
       params.push(filters.type);
@@ -317,10 +442,330 @@ export class PGliteManager {
       sql += ` LIMIT ${parseInt(filters.limit)}`;
     }
 
+    const result = await this.query(sql, params);
+    if (!filters.locale) return result.rows;
+
+    return result.rows.map(row => this.localize(row, filters.fallback
+      ? this.negotiateLocale(row, filters.locale)
+      : filters.locale));
+  }
+
+  /**
+   * Content type operations
+   * Same definitions as the server's /types (see cms_schema.js)
+   */
+  async defineType(definition) {
+    const errors = CMSSchema.checkDefinition(definition);
+    if (errors.length) {
+      throw new SchemaValidationError(errors, 'Invalid type definition');
+    }
+
+    const sql = `
+      INSERT INTO content_types (name, definition)
+      VALUES ($1, $2)
+      ON CONFLICT (name) DO UPDATE
+      SET definition = $2, updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+
+    const result = await this.query(sql, [definition.name, JSON.stringify(definition)]);
+    return result.rows[0].definition;
+  }
+
+  async getType(name) {
+    const result = await this.query('SELECT definition FROM content_types WHERE name = $1', [name]);
+    return result.rows[0]?.definition || null;
+  }
+
+  async listTypes() {
+    const result = await this.query('SELECT definition FROM content_types ORDER BY name');
+    return result.rows.map(row => row.definition);
+  }
+
+  async deleteType(name) {
+    const result = await this.query('DELETE FROM content_types WHERE name = $1 RETURNING definition', [name]);
+    return result.rows[0]?.definition || null;
+  }
+
+  /**
+   * Check an item before it is written, throwing a SchemaValidationError
+   * listing every problem. Fields a type declares that are not content
+   * columns are read from metadata.
+   */
+  async validateContent(content) {
+    const missing = CONTENT_REQUIRED.filter(field => content[field] === undefined || content[field] === null);
+    if (missing.length) {
+      throw new SchemaValidationError(missing.map(field => ({
+        path: `/${field}`,
+        code: 'required',
+        message: `${field} is required`
+      })));
+    }
+
+    const localeErrors = this.checkLocales(content);
+    if (localeErrors.length) {
+      throw new SchemaValidationError(localeErrors, 'Invalid locales');
+    }
+
+    if (!this.config.schema.types) return content;
+
+    const definition = await this.getType(content.type);
+    if (!definition) return content;
+
+    const fields = this.typedFields(content);
+
+    // Load referenced items up front, the validator resolves synchronously
+    const ids = [...new Set(CMSSchema.references(fields, definition).map(ref => ref.id))];
+    const targets = new Map();
+    if (ids.length) {
+      const result = await this.query('SELECT id, type FROM content WHERE id = ANY($1)', [ids]);
+      result.rows.forEach(row => targets.set(row.id, row));
+    }
+
+    return CMSSchema.assert(fields, definition, { resolve: id => targets.get(id) });
+  }
+
+  /**
+   * Problems with an item's locale and per-locale variants, the same
+   * rules the server applies on write
+   */
+  checkLocales(content) {
+    const errors = [];
+    const invalid = (path, message) => errors.push({ path, code: 'locale', message });
+
+    if (content.locale && !LOCALE_TAG.test(content.locale)) {
+      invalid('/locale', `Invalid locale: ${content.locale}`);
+    }
+    if (content.locales === undefined || content.locales === null) return errors;
+
+    if (typeof content.locales !== 'object' || Array.isArray(content.locales)) {
+      invalid('/locales', 'locales must be an object keyed by locale');
+      return errors;
+    }
+
+    Object.entries(content.locales).forEach(([tag, variant]) => {
+      if (!LOCALE_TAG.test(tag)) {
+        invalid(`/locales/${tag}`, `Invalid locale: ${tag}`);
+      } else if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+        invalid(`/locales/${tag}`, `locales.${tag} must be an object`);
+      } else if ('id' in variant || 'locales' in variant || 'version' in variant) {
+        invalid(`/locales/${tag}`, `locales.${tag} may not override id, version or locales`);
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * An item as its type sees it: metadata entries plus set columns
+   */
+  typedFields(content) {
+    const { metadata, ...columns } = content;
+    const metadataFields = typeof metadata === 'string' ? JSON.parse(metadata) : (metadata || {});
+    const fields = { ...metadataFields };
+
+    Object.entries(columns).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) {
+        fields[key] = value instanceof Date ? value.toISOString() : value;
+      }
+    });
+    return fields;
+  }
+
+  /**
+   * Asset operations
+   * Files are kept as blobs here until they reach the server's /assets,
+   * so uploads made offline go through once the browser is back online.
+   * Ids match the server's (first 32 hex digits of the SHA-256).
+   */
+  async createAsset(file, { filename = file.name, tags = [], metadata = {} } = {}) {
+    const data = new Uint8Array(await file.arrayBuffer());
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+    const hash = Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+    const id = hash.slice(0, 32);
+
+    const existing = await this.getAsset(id);
+    if (existing && existing.sync_state !== 'pending_delete') {
+      return existing;
+    }
+
+    const sql = `
+      INSERT INTO assets (id, filename, mime_type, size, url, metadata, tags, hash, blob, sync_state)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending_upload')
+      ON CONFLICT (id) DO UPDATE
+      SET filename = $2, metadata = $6, tags = $7, blob = $9, sync_state = 'pending_update'
+      RETURNING id
+    `;
+
+    await this.query(sql, [
+      id,
+      filename || id,
+      file.type || 'application/octet-stream',
+      data.byteLength,
+      `/assets/${id}`,
+      JSON.stringify(metadata),
+      tags,
+      hash,
+      data
+    ]);
+
+    await this.syncAssets();
+    return this.getAsset(id);
+  }
+
+  async getAsset(id) {
+    const result = await this.query('SELECT * FROM assets WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  async listAssets(filters = {}) {
+    let sql = `
+      SELECT id, filename, mime_type, size, url, thumbnail_url, metadata, tags, hash, sync_state, created_at
+      FROM assets WHERE sync_state <> 'pending_delete'
+    `;
+    const params = [];
+
+    if (filters.mime) {
+      params.push(filters.mime.endsWith('/*') ? `${filters.mime.slice(0, -1)}%` : filters.mime);
+      sql += ` AND mime_type LIKE $${params.length}`;
+    }
+
+    if (filters.tag) {
+      params.push(filters.tag);
+      sql += ` AND $${params.length} = ANY(tags)`;
+    }
+
+    sql += ' ORDER BY created_at DESC';
+
+    if (filters.limit) {
+      sql += ` LIMIT ${parseInt(filters.limit)}`;
+    }
+
     const result = await this.query(sql, params);
     return result.rows;
   }
 
+  /**
+   * Change filename, tags or metadata; the bytes of an asset never change
+   */
+  async updateAsset(id, { filename, tags, metadata } = {}) {
+    const sql = `
+      UPDATE assets
+      SET filename = COALESCE($2, filename),
+          tags = COALESCE($3, tags),
+          metadata = COALESCE($4, metadata),
+          sync_state = CASE WHEN sync_state = 'synced' THEN 'pending_update' ELSE sync_state END
+      WHERE id = $1 AND sync_state <> 'pending_delete'
+      RETURNING id
+    `;
+
+    const result = await this.query(sql, [id, filename ?? null, tags ?? null, metadata ? JSON.stringify(metadata) : null]);
+    if (!result.rows.length) return undefined;
+
+    await this.syncAssets();
+    return this.getAsset(id);
+  }
+
+  async deleteAsset(id) {
+    const asset = await this.getAsset(id);
+    if (!asset) return undefined;
+
+    // Never uploaded, nothing for the server to forget
+    if (asset.sync_state === 'pending_upload') {
+      await this.query('DELETE FROM assets WHERE id = $1', [id]);
+    } else {
+      await this.query(`UPDATE assets SET sync_state = 'pending_delete', blob = NULL WHERE id = $1`, [id]);
+      await this.syncAssets();
+    }
+    return asset;
+  }
+
+  /**
+   * URL to display an asset: the local blob while it has not been
+   * uploaded, the server's copy afterwards
+   */
+  async getAssetURL(id) {
+    const asset = await this.getAsset(id);
+    if (!asset || asset.sync_state === 'pending_delete') return null;
+
+    if (asset.blob) {
+      return URL.createObjectURL(new Blob([asset.blob], { type: asset.mime_type }));
+    }
+    return this.config.assetEndpoint ? new URL(asset.url, this.config.assetEndpoint).href : asset.url;
+  }
+
+  /**
+   * Push pending uploads, edits and deletes to the server, oldest first.
+   * Stops at the first network error and leaves the rest pending.
+   */
+  async syncAssets() {
+    const { assetEndpoint, apiKey } = this.config;
+    if (!assetEndpoint || (typeof navigator !== 'undefined' && navigator.onLine === false)) {
+      return { synced: 0 };
+    }
+
+    const pending = await this.query(`
+      SELECT * FROM assets
+      WHERE sync_state IN ('pending_upload', 'pending_update', 'pending_delete')
+      ORDER BY created_at
+    `);
+    const headers = apiKey ? { 'X-API-Key': apiKey } : {};
+    const collection = new URL('assets', assetEndpoint.replace(/\/?$/, '/')).href;
+    let synced = 0;
+
+    for (const asset of pending.rows) {
+      const url = `${collection}/${encodeURIComponent(asset.id)}`;
+      let response;
+
+      try {
+        if (asset.sync_state === 'pending_upload') {
+          const form = new FormData();
+          form.append('file', new Blob([asset.blob], { type: asset.mime_type }), asset.filename);
+          form.append('tags', JSON.stringify(asset.tags || []));
+          form.append('metadata', JSON.stringify(asset.metadata || {}));
+          response = await fetch(collection, { method: 'POST', headers, body: form });
+        } else if (asset.sync_state === 'pending_update') {
+          response = await fetch(url, {
+            method: 'PATCH',
+            headers: { ...headers, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ filename: asset.filename, tags: asset.tags || [], metadata: asset.metadata || {} })
+          });
+        } else {
+          response = await fetch(url, { method: 'DELETE', headers });
+        }
+      } catch (error) {
+        console.warn('PGlite: Asset sync paused, server unreachable', error);
+        break;
+      }
+
+      // Gone from the server already counts as deleted
+      if (!response.ok && !(asset.sync_state === 'pending_delete' && response.status === 404)) {
+        console.error(`PGlite: Asset sync failed for ${asset.id}: HTTP ${response.status}`);
+
+        // The server refused it (type, size, permissions); retrying will not help
+        if (response.status < 500 && response.status !== 408 && response.status !== 429) {
+          await this.query(`UPDATE assets SET sync_state = 'rejected' WHERE id = $1`, [asset.id]);
+        }
+        continue;
+      }
+
+      if (asset.sync_state === 'pending_delete') {
+        await this.query('DELETE FROM assets WHERE id = $1', [asset.id]);
+      } else if (asset.sync_state === 'pending_upload') {
+        // The server fills thumbnail_url for images it can resize
+        const { assets: [uploaded] = [] } = await response.json();
+        await this.query(`
+          UPDATE assets SET sync_state = 'synced', blob = NULL, thumbnail_url = $2
+          WHERE id = $1
+        `, [asset.id, uploaded?.thumbnail_url || null]);
+      } else {
+        await this.query(`UPDATE assets SET sync_state = 'synced', blob = NULL WHERE id = $1`, [asset.id]);
+      }
+      synced++;
+    }
+
+    return { synced };
+  }
+
   /**
    * Template operations
    */
@@ -472,7 +917,11 @@ export class PGliteManager {
       templates: await this.query('SELECT * FROM templates'),
       variations: await this.query('SELECT * FROM variations'),
       aframe_objects: await this.query('SELECT * FROM aframe_objects'),
-      settings: await this.query('SELECT * FROM settings')
+      settings: await this.query('SELECT * FROM settings'),
+      // Only created when config.schema.types is on
+      content_types: this.config.schema.types
+        ? await this.query('SELECT * FROM content_types')
+        : { rows: [] }
     };
 
     return {
@@ -483,7 +932,8 @@ export class PGliteManager {
         templates: data.templates.rows,
         variations: data.variations.rows,
         aframe_objects: data.aframe_objects.rows,
-        settings: data.settings.rows
+        settings: data.settings.rows,
+        content_types: data.content_types.rows
       }
     };
   }
@@ -0,0 +1,16 @@
+/**
+ * Markdown
+ * ES module entry for the shared CommonMark renderer (cms_markdown.js),
+ * so src/ and the standalone CMSClient render Markdown the same way.
+ */
+
+import '../../../cms_markdown.js';
+
+export const CMSMarkdown = window.CMSMarkdown;
+
+/**
+ * Render Markdown to HTML. Raw HTML is escaped unless options.allowHTML.
+ */
+export function renderMarkdown(markdown, options = {}) {
+  return CMSMarkdown.render(markdown, options);
+}
@@ -0,0 +1,18 @@
+/**
+ * Content Schemas
+ * ES module entry for the shared content-type validator (cms_schema.js),
+ * so PGliteManager checks items exactly as cms_server.cjs does.
+ */
+
+import '../../../cms_schema.js';
+
+export const CMSSchema = window.CMSSchema;
+
+export const { SchemaValidationError } = CMSSchema;
+
+/**
+ * Errors in an item against a type definition, [] when valid
+ */
+export function validateContent(content, definition, options = {}) {
+  return CMSSchema.validate(content, definition, options);
+}